@@ -1,362 +1,315 @@
 // api/chat-sp.js
 //
-// SharePoint -> Graph Drive Search -> Extract -> Gemini summary (SAFE MODE)
+// SharePoint -> local passage index -> LLM summary (SAFE MODE)
 //
 // Fixes included:
-// - Sanitise search term (avoid dangerous characters like ? ' etc).
-// - Deterministic TXI keyword search for leadership questions.
-// - Summarise top N files (not only one).
+// - Chunked full-text index over every source configured for "chat"
+//   (config/sharepoint-sources.json, lib/sharepoint-index.js), so answers can
+//   use passages from anywhere in a document.
+// - The index is kept current from the Graph delta feed (and by
+//   /api/sharepoint-sync); every answer carries `refreshedAt`. A stale index
+//   is served while it syncs in the background; before the first sync the
+//   route answers 503 with code "INDEX_BUILDING".
+// - With SP_ACCESS_MODE=obo only files the caller may open are searched,
+//   cited or listed (lib/sharepoint-access.js).
+// - Deterministic TXI keyword boost for leadership questions.
+// - Summarise passages from several files (not only one).
+// - Every bullet cites file + quote; quotes are verified against the
+//   extracted text and unsupported claims are removed or flagged.
 // - Always return JSON.
 
-const {
-  GRAPH_TENANT_ID,
-  GRAPH_CLIENT_ID,
-  GRAPH_CLIENT_SECRET,
-  GEMINI_API_KEY,
-  GEMINI_MODEL, // optional
-} = process.env;
+import { generateText, streamText, isLlmConfigured } from "../lib/llm.js";
+import { getOrCreateSession, recordTurn, formatHistory, sessionOwner, SessionNotFoundError } from "../lib/sessions.js";
+import { ensureIndex, mergeIndexes, getFileText, IndexBuildingError } from "../lib/sharepoint-index.js";
+import { resolveAccess, permittedFileIds, searchPermitted, AccessError } from "../lib/sharepoint-access.js";
+import { getSources, resolveSource } from "../lib/sharepoint-sources.js";
+import { GraphError } from "../lib/graph.js";
+import { CITATION_INSTRUCTIONS, verifyCitations } from "../lib/citations.js";
+import { wantsEventStream, startEventStream, sendEvent, streamAnswer, sendAnswerEvents, sendErrorEvent } from "../lib/sse.js";
+import { withAuth } from "../lib/auth.js";
+import { chargeLlm } from "../lib/ratelimit.js";
 
 export const config = { runtime: "nodejs" };
 
-// -------- Simple CORS helpers --------
-function setCorsHeaders(res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
-}
-
-// -------- Gemini helper --------
-async function callGeminiSummary({ question, files }) {
-  const model = GEMINI_MODEL || "gemini-2.0-flash";
-
-  const url =
-    `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${GEMINI_API_KEY}`;
-
+// -------- LLM helper --------
+function buildSummaryPrompt({ question, files, history, earlierFiles }) {
   const compactFiles = (files || []).map((f) => ({
     fileName: f.fileName,
-    excerpt: (f.extractedText || "").slice(0, 2000),
+    passages: f.passages,
   }));
+  const passageCount = compactFiles.reduce((n, f) => n + f.passages.length, 0);
 
   const prompt = `
 You are an enterprise-safe assistant summarising SharePoint documents.
 
+Conversation so far:
+${history || "(new conversation)"}
+
+Files used earlier in this conversation, in order:
+${(earlierFiles || []).map((f, i) => `${i + 1}. ${f.name}`).join("\n") || "(none)"}
+
 User question:
 ${question}
 
-You have up to ${compactFiles.length} documents. Summarise ONLY what is present.
+You have ${passageCount} passages from ${compactFiles.length} documents. Summarise ONLY what is present.
 
 Rules:
 - Output concise bullets.
-- If multiple files: group by file name.
 - Do NOT invent contacts, numbers, owners.
-- If content is empty, say that clearly.
-`.trim();
-
-  const body = {
-    contents: [
-      {
-        parts: [{ text: `${prompt}\n\nDOCS:\n${JSON.stringify(compactFiles)}` }],
-      },
-    ],
-  };
-
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
-
-  const raw = await resp.text();
-  let data;
-  try {
-    data = JSON.parse(raw);
-  } catch {
-    throw new Error("Gemini returned non-JSON");
-  }
+- If content is empty, say that clearly (and cite the file it came from).
 
-  if (!resp.ok) {
-    const msg = data?.error?.message || "Gemini API error";
-    const code = data?.error?.code || resp.status;
-    throw new Error(`Gemini error (${code}): ${msg}`);
-  }
+${CITATION_INSTRUCTIONS}
+`.trim();
 
-  return data?.candidates?.[0]?.content?.parts?.[0]?.text || "";
+  return `${prompt}\n\nDOCS:\n${JSON.stringify(compactFiles)}`;
 }
 
-// -------- Graph token helper --------
-async function getGraphToken() {
-  if (!GRAPH_TENANT_ID || !GRAPH_CLIENT_ID || !GRAPH_CLIENT_SECRET) {
-    throw new Error("GRAPH_TENANT_ID / GRAPH_CLIENT_ID / GRAPH_CLIENT_SECRET are not set");
-  }
-
-  const tokenUrl = `https://login.microsoftonline.com/${GRAPH_TENANT_ID}/oauth2/v2.0/token`;
-  const params = new URLSearchParams();
-  params.append("client_id", GRAPH_CLIENT_ID);
-  params.append("client_secret", GRAPH_CLIENT_SECRET);
-  params.append("scope", "https://graph.microsoft.com/.default");
-  params.append("grant_type", "client_credentials");
-
-  const resp = await fetch(tokenUrl, {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body: params.toString(),
-  });
-
-  const data = await resp.json();
-  if (!resp.ok) throw new Error("Failed to get Graph access token");
-  return data.access_token;
+async function callLlmSummary(context) {
+  const { text } = await generateText({ prompt: buildSummaryPrompt(context) });
+  return text;
 }
 
-// -------- Site + Drive helpers --------
-const SP_HOSTNAME = "vationbangalore.sharepoint.com";
-const SP_SITE_PATH = "/sites/VationGTM";
-
-async function getSiteAndDriveIds(accessToken) {
-  const siteUrl = `https://graph.microsoft.com/v1.0/sites/${SP_HOSTNAME}:${SP_SITE_PATH}?$select=id`;
-  const siteResp = await fetch(siteUrl, {
-    headers: { Authorization: `Bearer ${accessToken}` },
-  });
-  const siteData = await siteResp.json();
-  if (!siteResp.ok) throw new Error("Failed to get VationGTM SharePoint site from Graph");
-  const siteId = siteData.id;
-
-  const drivesUrl = `https://graph.microsoft.com/v1.0/sites/${siteId}/drives`;
-  const drivesResp = await fetch(drivesUrl, {
-    headers: { Authorization: `Bearer ${accessToken}` },
-  });
-  const drivesData = await drivesResp.json();
-  if (!drivesResp.ok) throw new Error("Failed to get drives for VationGTM site");
-
-  const docsDrive =
-    drivesData.value.find((d) => d.name === "Documents") ||
-    drivesData.value.find((d) => d.driveType === "documentLibrary") ||
-    drivesData.value[0];
-
-  return { siteId, driveId: docsDrive.id };
+// Check the model's quotes against the full text of each file it was given.
+function checkCitations(rawAnswer, files, index) {
+  const sources = files.map((f) => ({
+    fileName: f.fileName,
+    webUrl: f.webUrl,
+    text: getFileText(index, f.id),
+  }));
+  const { answer, bullets, citations, unsupportedClaims } = verifyCitations(rawAnswer, sources);
+  return { answer, meta: { bullets, citations, unsupportedClaims } };
 }
 
-// -------- Search helpers --------
-function getExtension(name = "") {
-  const parts = name.split(".");
-  return parts.length < 2 ? "" : parts[parts.length - 1].toLowerCase();
-}
-function isSupportedExtension(ext) {
-  return ["docx", "xlsx", "txt", "csv"].includes(ext);
-}
+// -------- Sources --------
+// Index every chat source and search them as one
+async function loadChatIndex() {
+  const sources = getSources({ use: "chat" });
+  if (!sources.length) throw new Error('No SharePoint source is configured for "chat" (config/sharepoint-sources.json)');
 
-// Fix the “dangerous (?)” and other Graph search oddities.
-// Graph drive search is sensitive. Keep it alphanumeric-ish.
-function sanitizeSearchTerm(term) {
-  return (term || "")
-    .replace(/[\?\#\%\&\{\}\|\\\^~\[\]`]/g, " ")
-    .replace(/['"]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim()
-    .slice(0, 180);
+  const indexes = [];
+  for (const source of sources) {
+    indexes.push(await ensureIndex(await resolveSource(source)));
+  }
+  return { index: mergeIndexes(indexes), sourceNames: sources.map((s) => s.name) };
 }
 
+// -------- Retrieval helpers --------
+// Leadership risk/impact questions lean on the TXI documents, so boost their terms.
 function buildSmartSearchTerm(question) {
   const q = (question || "").toLowerCase();
 
-  // If they ask leadership risk/impact questions, force TXI keywords
   if (q.includes("risk") || q.includes("impact") || q.includes("issues") || q.includes("customer")) {
-    return "EBC_Account_Health_Risk IT_Operations_Weekly_Report Sales_Risk_Accounts_List";
+    return `${question} EBC Account Health Risk IT Operations Weekly Report Sales Risk Accounts List`;
   }
-
-  // If they mention a filename explicitly
-  const fileMatch = question.match(/([A-Za-z0-9_\- ]+\.(docx|xlsx|txt|csv))/i);
-  if (fileMatch && fileMatch[1]) return fileMatch[1];
-
   return question;
 }
 
-async function searchFiles(question, accessToken) {
-  const { driveId } = await getSiteAndDriveIds(accessToken);
-
-  const term = sanitizeSearchTerm(buildSmartSearchTerm(question));
-  const encoded = encodeURIComponent(term);
-
-  const url = `https://graph.microsoft.com/v1.0/drives/${driveId}/root/search(q='${encoded}')`;
-
-  const resp = await fetch(url, {
-    headers: { Authorization: `Bearer ${accessToken}` },
-  });
-
-  const raw = await resp.text();
-  let data;
-  try {
-    data = JSON.parse(raw);
-  } catch {
-    throw new Error("Drive search returned non-JSON response");
-  }
+// Index summary for the UI, including files whose text could not be read
+// (only those the caller may see).
+async function describeIndex(index, access) {
+  const files = Object.values(index.files);
+  const unreadable = files.filter((f) => f.extraction && !f.extraction.ok);
+  const visible = await permittedFileIds(access, index, unreadable.map((f) => f.id));
+  return {
+    refreshedAt: index.refreshedAt,
+    fileCount: files.length,
+    access: access.mode,
+    sources: index.sources || [
+      { id: index.sourceId, name: index.sourceName, refreshedAt: index.refreshedAt, fileCount: files.length },
+    ],
+    unreadableFiles: unreadable
+      .filter((f) => visible.has(f.id))
+      .map((f) => ({ id: f.id, name: f.name, webUrl: f.webUrl, format: f.extraction.format, error: f.extraction.error })),
+  };
+}
 
-  if (!resp.ok) throw new Error("Drive search API error");
-
-  const results = [];
-  if (Array.isArray(data.value)) {
-    for (const item of data.value) {
-      const parent = item.parentReference || {};
-      results.push({
-        id: item.id || "",
-        driveId: parent.driveId || driveId,
-        name: item.name || "",
-        webUrl: item.webUrl || "",
-        lastModified: item.lastModifiedDateTime || "",
-        kind: item.file ? "file" : "other",
+// Group ranked passages per file, keeping the best-ranked file first.
+function groupPassages(passages) {
+  const byFile = new Map();
+  for (const p of passages) {
+    if (!byFile.has(p.fileId)) {
+      byFile.set(p.fileId, {
+        id: p.fileId,
+        driveId: p.driveId,
+        fileName: p.fileName,
+        webUrl: p.webUrl,
+        lastModified: p.lastModified,
+        extension: p.extension,
+        passages: [],
       });
     }
+    byFile.get(p.fileId).passages.push(p.text);
   }
-  return results;
+  return [...byFile.values()];
 }
 
-// -------- Download + extract --------
-async function downloadFileBuffer(accessToken, driveId, itemId) {
-  const url = `https://graph.microsoft.com/v1.0/drives/${driveId}/items/${itemId}/content`;
-  const resp = await fetch(url, {
-    headers: { Authorization: `Bearer ${accessToken}` },
-  });
-  if (!resp.ok) throw new Error("Failed to download file content from Graph");
-  const arrayBuffer = await resp.arrayBuffer();
-  return Buffer.from(arrayBuffer);
-}
+// -------- Session follow-ups --------
+const ORDINALS = { first: 0, second: 1, third: 2, fourth: 3, fifth: 4, "1st": 0, "2nd": 1, "3rd": 2, "4th": 3, "5th": 4 };
 
-async function extractTextFromBuffer(buffer, ext) {
-  if (ext === "txt" || ext === "csv") {
-    return buffer.toString("utf8");
-  }
+// "what about the second file?" -> that file; "summarise those again" -> all of them.
+// Returns null when the question is not about files from earlier turns.
+function resolveFollowUpFiles(question, sessionFiles) {
+  if (!sessionFiles?.length) return null;
+  const q = (question || "").toLowerCase();
 
-  if (ext === "docx") {
-    try {
-      const mammoth = await import("mammoth");
-      const result = await mammoth.extractRawText({ buffer });
-      return result.value || "";
-    } catch {
-      return "";
-    }
+  const ord = q.match(/\b(first|second|third|fourth|fifth|1st|2nd|3rd|4th|5th|last)\s+(file|document|doc|one)\b/);
+  if (ord) {
+    const idx = ord[1] === "last" ? sessionFiles.length - 1 : ORDINALS[ord[1]];
+    return sessionFiles[idx] ? [sessionFiles[idx]] : null;
   }
 
-  if (ext === "xlsx") {
-    try {
-      const xlsxModule = await import("xlsx");
-      const XLSX = xlsxModule.default || xlsxModule;
-      const workbook = XLSX.read(buffer, { type: "buffer" });
-      let textChunks = [];
-
-      workbook.SheetNames.forEach((sheetName) => {
-        const sheet = workbook.Sheets[sheetName];
-        if (!sheet) return;
-        const sheetJson = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false });
-        sheetJson.forEach((row) => {
-          const cells = (row || []).map((c) => (c == null ? "" : String(c)));
-          const line = cells.join(" | ").trim();
-          if (line) textChunks.push(line);
-        });
-      });
+  const named = sessionFiles.filter((f) => f.name && q.includes(f.name.toLowerCase()));
+  if (named.length) return named;
 
-      return textChunks.join("\n");
-    } catch {
-      return "";
-    }
+  if (/\b(that|this|those|these|same)\s+(file|files|document|documents|doc|docs)\b/.test(q)) {
+    return sessionFiles.slice(-3);
   }
-
-  return "";
+  return null;
 }
 
 // -------- Main handler --------
-export default async function handler(req, res) {
-  setCorsHeaders(res);
-
-  if (req.method === "OPTIONS") {
-    res.status(200).end();
-    return;
-  }
-
+async function handler(req, res) {
   if (req.method !== "POST") {
     res.status(405).json({ error: 'Use POST with JSON body { "question": "..." }' });
     return;
   }
 
+  const stream = wantsEventStream(req);
+
   try {
-    const { question } = req.body || {};
+    const { question, sessionId } = req.body || {};
     if (!question || typeof question !== "string") {
       res.status(400).json({ error: 'Missing "question" in request body.' });
       return;
     }
 
-    const token = await getGraphToken();
-    const results = await searchFiles(question, token);
+    const access = await resolveAccess(req);
+    const session = await getOrCreateSession(sessionId, "sharepoint", sessionOwner(req));
+    const history = formatHistory(session);
+    const earlierFiles = session.files || [];
 
-    if (!results.length) {
-      res.status(200).json({
+    const reply = async (payload, files = []) => {
+      await recordTurn(session, { question, answer: payload.answer, files });
+      const body = { ...payload, sessionId: session.id };
+      if (stream) sendAnswerEvents(res, body);
+      else res.status(200).json(body);
+    };
+
+    // Before the event stream starts, so "index building" is a plain 503
+    const { index, sourceNames } = await loadChatIndex();
+
+    if (stream) {
+      startEventStream(res);
+      sendEvent(res, "status", { stage: "searching" });
+    }
+
+    const indexInfo = await describeIndex(index, access);
+
+    // Follow-ups about earlier files only look inside those files
+    const followUp = resolveFollowUpFiles(question, earlierFiles);
+    const passages = followUp
+      ? await searchPermitted(access, index, question, { fileIds: followUp.map((f) => f.id) })
+      : await searchPermitted(access, index, buildSmartSearchTerm(question));
+
+    const candidateFiles = groupPassages(
+      await searchPermitted(access, index, buildSmartSearchTerm(question), { limit: 10, perFile: 1 })
+    ).map((f) => ({
+      id: f.id,
+      driveId: f.driveId,
+      name: f.fileName,
+      webUrl: f.webUrl,
+      lastModified: f.lastModified,
+      kind: "file",
+    }));
+
+    if (!passages.length) {
+      await reply({
         answer:
-          "I couldn't find any matching SharePoint files in the VationGTM Documents library. Try using an exact file name like 'EBC_Account_Health_Risk.docx' or a strong keyword from inside the document.",
+          `I couldn't find any matching SharePoint files in ${sourceNames.join(", ")}. Try using an exact file name like 'EBC_Account_Health_Risk.docx' or a strong keyword from inside the document.`,
         usedFiles: [],
-        candidateFiles: [],
+        candidateFiles,
+        refreshedAt: indexInfo.refreshedAt,
+        index: indexInfo,
       });
       return;
     }
 
-    // Pick top 3 supported files
-    const supported = results
-      .filter((r) => isSupportedExtension(getExtension(r.name)))
-      .slice(0, 3);
-
-    if (!supported.length) {
-      res.status(200).json({
+    const extracted = groupPassages(passages);
+
+    const usedFiles = extracted.map((f) => ({
+      name: f.fileName,
+      webUrl: f.webUrl,
+      extension: f.extension,
+      lastModified: f.lastModified,
+    }));
+    const sessionFiles = extracted.map((f) => ({
+      id: f.id,
+      driveId: f.driveId,
+      name: f.fileName,
+      webUrl: f.webUrl,
+      lastModified: f.lastModified,
+    }));
+
+    // If the LLM is not configured, return deterministic info anyway
+    if (!isLlmConfigured()) {
+      await reply({
         answer:
-          "I found files for your search, but none are in a supported format for summarisation (allowed: .docx, .xlsx, .txt, .csv).",
-        usedFiles: [],
-        candidateFiles: results,
-      });
+          "Files found, but AI summarisation is not configured (LLM_PROVIDER / GEMINI_API_KEY missing).",
+        usedFiles,
+        candidateFiles,
+        refreshedAt: indexInfo.refreshedAt,
+        index: indexInfo,
+      }, sessionFiles);
       return;
     }
 
-    const extracted = [];
-    for (const f of supported) {
-      const ext = getExtension(f.name);
-      const buffer = await downloadFileBuffer(token, f.driveId, f.id);
-      const extractedText = await extractTextFromBuffer(buffer, ext);
-      extracted.push({
-        fileName: f.name,
-        extractedText,
-        webUrl: f.webUrl,
-        lastModified: f.lastModified,
-        extension: ext,
-      });
+    await chargeLlm(req, res, "chat-sp");
+    const meta = { sessionId: session.id, usedFiles, candidateFiles, refreshedAt: indexInfo.refreshedAt, index: indexInfo };
+    const context = { question, files: extracted, history, earlierFiles };
+
+    if (stream) {
+      sendEvent(res, "status", { stage: "summarising" });
+      const answer = await streamAnswer(
+        res,
+        streamText({ prompt: buildSummaryPrompt(context) }),
+        {
+          meta,
+          fallback: "I couldn't generate a summary.",
+          finalize: (raw) => checkCitations(raw, extracted, index),
+        }
+      );
+      await recordTurn(session, { question, answer, files: sessionFiles });
+      return;
     }
 
-    // If Gemini not configured, return deterministic info anyway
-    if (!GEMINI_API_KEY) {
-      res.status(200).json({
-        answer:
-          "Files found, but Gemini summarisation is not configured (GEMINI_API_KEY missing).",
-        usedFiles: extracted.map((f) => ({
-          name: f.fileName,
-          webUrl: f.webUrl,
-          extension: f.extension,
-          lastModified: f.lastModified,
-        })),
-        candidateFiles: results,
-      });
+    const summary = await callLlmSummary(context);
+    if (!summary) {
+      await reply({ answer: "I couldn't generate a summary.", usedFiles, candidateFiles, refreshedAt: indexInfo.refreshedAt, index: indexInfo }, sessionFiles);
       return;
     }
 
-    const summary = await callGeminiSummary({ question, files: extracted });
-
-    res.status(200).json({
-      answer: summary || "I couldn't generate a summary.",
-      usedFiles: extracted.map((f) => ({
-        name: f.fileName,
-        webUrl: f.webUrl,
-        extension: f.extension,
-        lastModified: f.lastModified,
-      })),
-      candidateFiles: results,
-    });
+    const checked = checkCitations(summary, extracted, index);
+    await recordTurn(session, { question, answer: checked.answer, files: sessionFiles });
+
+    res.status(200).json({ answer: checked.answer, ...meta, ...checked.meta });
   } catch (err) {
-    res.status(500).json({
-      error: "Internal server error in SharePoint assistant. Please check logs or configuration.",
-      details: String(err),
-    });
+    const known = err instanceof AccessError || err instanceof SessionNotFoundError || err instanceof IndexBuildingError;
+    const payload = known
+      ? { error: err.message, code: err.code }
+      : {
+          error: "Internal server error in SharePoint assistant. Please check logs or configuration.",
+          details: String(err),
+          ...(err instanceof GraphError ? { code: err.code, status: err.status } : {}),
+        };
+    // Permission checks also run while searching, after the event stream has
+    // started; from then on only an "error" event can be sent
+    if (res.headersSent) {
+      if (!res.writableEnded) sendErrorEvent(res, payload);
+      return;
+    }
+    if (err instanceof IndexBuildingError) res.setHeader("Retry-After", "120");
+    res.status(known ? err.status : 500).json(payload);
   }
 }
+
+export default withAuth(handler, { route: "chat-sp", methods: ["POST"], llmMethods: ["POST"] });
@@ -1,55 +1,32 @@
 // /api/chat.js
-
-import jsforce from 'jsforce';
-
-const {
-  SF_USERNAME,
-  SF_PASSWORD,
-  SF_TOKEN,
-  SF_LOGIN_URL,
-  GEMINI_API_KEY
-} = process.env;
-
-const loginUrl = SF_LOGIN_URL || 'https://login.salesforce.com';
-
-// ---- Gemini helper ----
-async function callGemini(prompt) {
-  const url =
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${GEMINI_API_KEY}`;
-
-  const body = {
-    contents: [
-      {
-        parts: [{ text: prompt }]
-      }
-    ]
-  };
-
-  const resp = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
-  });
-
-  if (!resp.ok) {
-    const txt = await resp.text();
-    console.error('Gemini error:', resp.status, txt);
-    throw new Error('Gemini API error');
-  }
-
-  const data = await resp.json();
-  const candidate = data.candidates && data.candidates[0];
-  const parts = candidate && candidate.content && candidate.content.parts;
-  const text = parts && parts[0] && parts[0].text;
-
-  return text || 'I was not able to generate a proper response.';
+//
+// Salesforce assistant. The question is turned into SOQL by lib/soql.js
+// (allowlisted objects / fields, read-only, validated before it runs); when no
+// valid query can be generated the fixed queries below are used instead.
+// The query that ran is returned as `soql`.
+
+import { generateText, streamText } from '../lib/llm.js';
+import { getOrCreateSession, recordTurn, formatHistory, sessionOwner, SessionNotFoundError } from '../lib/sessions.js';
+import { wantsEventStream, startEventStream, streamAnswer, sendErrorEvent } from '../lib/sse.js';
+import { generateSoql, validateSoql } from '../lib/soql.js';
+import { getSalesforceConnection } from '../lib/salesforce.js';
+import { buildChartSpec, requestedChartType } from '../lib/charts.js';
+import { withAuth } from '../lib/auth.js';
+import { chargeLlm } from '../lib/ratelimit.js';
+
+// ---- LLM helper ----
+const FALLBACK_ANSWER = 'I was not able to generate a proper response.';
+
+async function callLlm(prompt) {
+  const { text } = await generateText({ prompt });
+  return text || FALLBACK_ANSWER;
 }
 
 // ---- Simple classifier ----
 function classifyQuestion(question) {
   const q = (question || '').toLowerCase();
 
-  if (q.includes('chart') || q.includes('graph') || q.includes('pie')) {
+  if (q.includes('chart') || q.includes('graph') || q.includes('plot') || requestedChartType(q)) {
     return 'chart';
   }
   if (q.includes('summary') || q.includes('summarise') || q.includes('summarize')) {
@@ -58,8 +35,36 @@ function classifyQuestion(question) {
   return 'generic';
 }
 
+// ---- Fixed queries (used when no valid SOQL could be generated) ----
+const FALLBACK_SOQL = {
+  chart:
+    'SELECT StageName, COUNT(Id) total ' +
+    'FROM Opportunity ' +
+    'WHERE IsClosed = false ' +
+    'GROUP BY StageName',
+  accounts:
+    'SELECT Id, Name, Industry, Rating, Type ' +
+    'FROM Account ' +
+    'ORDER BY LastModifiedDate DESC ' +
+    'LIMIT 5'
+};
+
+async function planQuery(question, mode, session) {
+  const generated = await generateSoql({
+    question,
+    history: formatHistory(session, { turns: 6, maxChars: 300 })
+  }).catch((err) => ({ ok: false, error: `GENERATION_FAILED: ${err?.message || err}` }));
+
+  if (generated.ok) return { ...generated.query, source: 'generated' };
+
+  // Fixed queries go through the same validator so they stay inside the allowlist
+  const fallback = validateSoql(mode === 'chart' ? FALLBACK_SOQL.chart : FALLBACK_SOQL.accounts);
+  if (!fallback.ok) throw new Error(`Fallback query rejected: ${fallback.error}`);
+  return { ...fallback, source: 'fallback', rejected: generated.error };
+}
+
 // ---- Main handler ----
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     res
       .status(405)
@@ -67,93 +72,132 @@ export default async function handler(req, res) {
     return;
   }
 
+  const stream = wantsEventStream(req);
+
   try {
-    const { question } = req.body || {};
+    const { question, sessionId } = req.body || {};
     if (!question || typeof question !== 'string') {
       res.status(400).json({ error: 'Missing "question" in request body.' });
       return;
     }
 
-    // 1) Login to Salesforce
-    const conn = new jsforce.Connection({ loginUrl });
-    await conn.login(SF_USERNAME, SF_PASSWORD + SF_TOKEN);
-
-    // 2) Decide mode + query SF
-    const mode = classifyQuestion(question);
+    const session = await getOrCreateSession(sessionId, 'salesforce', sessionOwner(req));
 
-    let salesforceRecords = [];
-    let chartData = null;
+    // Query generation and the answer both use the model
+    await chargeLlm(req, res, 'chat');
 
-    if (mode === 'chart') {
-      // Opportunities grouped by StageName
-      const soql =
-        "SELECT StageName, COUNT(Id) total " +
-        "FROM Opportunity " +
-        "WHERE IsClosed = false " +
-        "GROUP BY StageName";
+    // Open the event stream early so the client sees progress immediately
+    if (stream) startEventStream(res);
 
-      const result = await conn.query(soql);
-      salesforceRecords = result.records || [];
+    // 1) Shared Salesforce session (logs in only when needed)
+    const conn = await getSalesforceConnection();
 
-      const labels = salesforceRecords.map((r) => r.StageName || 'Unknown');
-      const values = salesforceRecords.map((r) =>
-        Number(r.total || r.expr0 || 0)
-      );
-
-      chartData = {
-        title: 'Active opportunities by stage',
-        labels,
-        values
-      };
-    } else {
-      // Top 5 accounts (used for both summary + generic)
-      const soql =
-        "SELECT Id, Name, Industry, Rating, Type " +
-        "FROM Account " +
-        "ORDER BY LastModifiedDate DESC " +
-        "LIMIT 5";
-
-      const result = await conn.query(soql);
-      salesforceRecords = result.records || [];
-    }
+    // 2) Decide mode, turn the question into SOQL and query SF
+    const mode = classifyQuestion(question);
+    const query = await planQuery(question, mode, session);
+
+    const result = await conn.query(query.soql);
+    const salesforceRecords = result.records || [];
+    const chartData =
+      mode === 'chart'
+        ? buildChartSpec({
+            query,
+            records: salesforceRecords,
+            question,
+            title: query.source === 'fallback' ? 'Active opportunities by stage' : undefined
+          })
+        : null;
+    const soqlInfo = {
+      soql: query.soql,
+      soqlSource: query.source,
+      ...(query.rejected ? { soqlRejected: query.rejected } : {}),
+      ...(query.notes.length ? { soqlNotes: query.notes } : {})
+    };
+
+    // 3) Build LLM prompt (with earlier turns so follow-ups keep context)
+    const history = formatHistory(session);
+    const earlierRecords = (session.salesforceRecords || []).slice(-20);
 
-    // 3) Build Gemini prompt
     const prompt = `
 You are an assistant helping the user understand Salesforce data.
 
+Conversation so far:
+${history || '(new conversation)'}
+
+Salesforce records retrieved earlier in this conversation (JSON):
+${earlierRecords.length ? JSON.stringify(earlierRecords, null, 2) : '(none)'}
+
+Last chart shown to the user (JSON):
+${session.lastChart ? JSON.stringify({ ...session.lastChart, table: undefined }) : '(none)'}
+
 User question:
 ${question}
 
 Mode: ${mode}
 
-Salesforce data (JSON):
+SOQL used for this question:
+${query.soql}
+
+Salesforce data for this question (JSON):
 ${JSON.stringify(salesforceRecords, null, 2)}
 
 If mode is "chart":
-- Briefly explain what the chart would show (1–2 sentences).
-- Mention key stages and which stage has the highest and lowest count.
+- A ${chartData ? chartData.type : 'chart'} is shown next to your answer; briefly explain what it shows (1–2 sentences).
+- Mention the key groups and which group has the highest and lowest value.
 
 If mode is "summary":
 - Summarise in 3–4 sentences.
 - Highlight top accounts/opportunities, risks, or anything notable.
 
+If the question is a follow-up ("that", "those", "break that down"), answer it
+using the conversation and the earlier records.
+
 Answer in clear, simple English.
 `.trim();
 
-    const answer = await callGemini(prompt);
-
     // 4) Send back to UI
+    if (stream) {
+      const answer = await streamAnswer(
+        res,
+        streamText({ prompt }),
+        {
+          meta: { sessionId: session.id, type: mode, chartData, salesforceRecords, ...soqlInfo },
+          fallback: FALLBACK_ANSWER
+        }
+      );
+      await recordTurn(session, { question, answer, salesforceRecords, chartData });
+      return;
+    }
+
+    const answer = await callLlm(prompt);
+    await recordTurn(session, { question, answer, salesforceRecords, chartData });
+
     res.status(200).json({
       answer,
+      sessionId: session.id,
       type: mode,
       chartData,
-      salesforceRecords
+      salesforceRecords,
+      ...soqlInfo
     });
   } catch (err) {
+    // Raised before the event stream starts
+    if (err instanceof SessionNotFoundError) {
+      res.status(err.status).json({ error: err.message, code: err.code });
+      return;
+    }
     console.error('Backend error in /api/chat:', err);
+    if (stream) {
+      if (!res.writableEnded) {
+        sendErrorEvent(res, { error: 'Internal error in /api/chat.', details: String(err) });
+      }
+      return;
+    }
     res.status(500).json({
       error: 'Internal error in /api/chat.',
       details: String(err)
     });
   }
 }
+
+export default withAuth(handler, { route: 'chat', methods: ['POST'], llmMethods: ['POST'] });
@@ -0,0 +1,41 @@
+// api/sessions.js
+//
+// Conversation sessions used by /api/chat and /api/chat-sp. Callers only see
+// and delete their own sessions (lib/sessions.js); others' ids are 404.
+//
+// GET    /api/sessions            -> list active sessions
+// GET    /api/sessions?id=<id>    -> full session (turns, files, records, last chart)
+// DELETE /api/sessions?id=<id>    -> delete a session
+
+import { getSession, listSessions, deleteSession, sessionOwner } from "../lib/sessions.js";
+import { withAuth } from "../lib/auth.js";
+
+async function handler(req, res) {
+  const id = req.query?.id;
+  const owner = sessionOwner(req);
+
+  try {
+    if (req.method === "GET" && !id) {
+      return res.status(200).json({ sessions: await listSessions(owner) });
+    }
+
+    if (req.method === "GET") {
+      const session = await getSession(id, owner);
+      if (!session) return res.status(404).json({ error: "Session not found." });
+      return res.status(200).json({ session });
+    }
+
+    if (req.method === "DELETE") {
+      if (!id) return res.status(400).json({ error: 'Missing "id" query parameter.' });
+      const deleted = await deleteSession(id, owner);
+      if (!deleted) return res.status(404).json({ error: "Session not found." });
+      return res.status(200).json({ deleted: true, id });
+    }
+
+    return res.status(405).json({ error: "GET or DELETE only" });
+  } catch (e) {
+    return res.status(500).json({ error: "Session store error", details: e?.message || String(e) });
+  }
+}
+
+export default withAuth(handler, { route: "sessions", methods: ["GET", "DELETE"] });
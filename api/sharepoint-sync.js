@@ -0,0 +1,74 @@
+// api/sharepoint-sync.js
+// Sync job: pull the Graph delta feed for every configured SharePoint source
+// into the local index that /api/chat-sp and /api/sharepoint-signals serve from.
+//
+// GET or POST /api/sharepoint-sync            (schedule it, e.g. a Vercel cron)
+//   ?source=<id>   only this source (repeatable)
+//   ?full=1        ignore the saved delta token and re-list every file
+//                  (unchanged eTags are still not downloaded again)
+//
+// Needs the role "SharePoint.Sync" or "Cron" (config/auth.json). A scheduler
+// can send "Authorization: Bearer <CRON_SECRET>" (see lib/auth.js).
+//
+// ENV:
+// Graph credentials and sources: see lib/graph.js and lib/sharepoint-sources.js
+
+import { GraphError } from "../lib/graph.js";
+import { getSources, resolveSource } from "../lib/sharepoint-sources.js";
+import { syncIndex } from "../lib/sharepoint-index.js";
+import { withAuth } from "../lib/auth.js";
+
+function param(req, name) {
+  const value = req.query?.[name] ?? req.body?.[name];
+  return value == null ? [] : [].concat(value).map(String);
+}
+
+async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "GET or POST only" });
+
+  let sources;
+  try {
+    sources = getSources();
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+
+  const wanted = param(req, "source");
+  const unknown = wanted.filter((id) => !sources.some((s) => s.id === id));
+  if (unknown.length) return res.status(400).json({ error: `Unknown source: ${unknown.join(", ")}` });
+  if (wanted.length) sources = sources.filter((s) => wanted.includes(s.id));
+
+  const full = ["1", "true"].includes(param(req, "full")[0]);
+  const results = [];
+
+  // One source at a time: each sync downloads and parses files
+  for (const configured of sources) {
+    const started = Date.now();
+    try {
+      const { index, stats } = await syncIndex(await resolveSource(configured), { full });
+      results.push({
+        id: configured.id,
+        name: configured.name,
+        ok: true,
+        refreshedAt: index.refreshedAt,
+        fileCount: Object.keys(index.files).length,
+        ...stats,
+        ms: Date.now() - started,
+      });
+    } catch (e) {
+      console.error("SharePoint sync failed:", configured.id, e?.message || e);
+      results.push({
+        id: configured.id,
+        name: configured.name,
+        ok: false,
+        error: e?.message || String(e),
+        ...(e instanceof GraphError ? { code: e.code, status: e.status } : {}),
+        ms: Date.now() - started,
+      });
+    }
+  }
+
+  return res.status(results.every((r) => r.ok) ? 200 : 502).json({ ok: results.every((r) => r.ok), sources: results });
+}
+
+export default withAuth(handler, { route: "sharepoint-sync", methods: ["GET", "POST"] });
@@ -0,0 +1,55 @@
+// api/txi-brief-delivery.js
+// Daily executive brief by email: sends the brief to every subscription that
+// is due (lib/brief-delivery.js; subscriptions via /api/txi-subscriptions).
+//
+// GET or POST /api/txi-brief-delivery     (schedule it every few minutes, e.g. a Vercel cron)
+//   ?subscription=<id>   only this subscription (repeatable)
+//   ?force=1             send now, whatever the schedule and today's attempts
+//                        (needs ?subscription; disabled subscriptions and
+//                        recipients outside the allowed domains are still skipped)
+//   ?dryRun=1            render the deterministic briefs without sending, logging,
+//                        saving or calling the model
+//
+// -> { ok, ranAt, deliveries: [{ subscriptionId, recipient, sent, reason?,
+//      deliveryId?, attempt?, error?, code?, preview? }] }
+//
+// Needs the role "TXI.Subscriptions" or "Cron" (config/auth.json). A scheduler
+// can send "Authorization: Bearer <CRON_SECRET>" (see lib/auth.js).
+//
+// ENV:
+// Mail transport: see lib/mailer.js; defaults: see lib/subscriptions.js
+
+import { runDueDeliveries } from "../lib/brief-delivery.js";
+import { getSubscription } from "../lib/subscriptions.js";
+import { withAuth } from "../lib/auth.js";
+
+function param(req, name) {
+  const value = req.query?.[name] ?? req.body?.[name];
+  return value == null ? [] : [].concat(value).map(String);
+}
+
+const flag = (req, name) => ["1", "true"].includes(param(req, name)[0]);
+
+async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "GET or POST only" });
+
+  const only = param(req, "subscription");
+  const force = flag(req, "force");
+  if (force && !only.length) return res.status(400).json({ error: '"force" needs "subscription".' });
+
+  try {
+    const unknown = [];
+    for (const id of only) if (!(await getSubscription(id))) unknown.push(id);
+    if (unknown.length) return res.status(400).json({ error: `Unknown subscription: ${unknown.join(", ")}` });
+
+    const ranAt = new Date();
+    const deliveries = await runDueDeliveries({ only, force, dryRun: flag(req, "dryRun"), now: ranAt });
+
+    const ok = deliveries.every((d) => !d.error);
+    return res.status(ok ? 200 : 502).json({ ok, ranAt: ranAt.toISOString(), deliveries });
+  } catch (e) {
+    return res.status(500).json({ error: "Brief delivery failed", detail: e?.message || String(e) });
+  }
+}
+
+export default withAuth(handler, { route: "txi-brief-delivery", methods: ["GET", "POST"] });
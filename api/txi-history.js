@@ -0,0 +1,62 @@
+// api/txi-history.js
+// Saved metrics of earlier /api/txi-dashboard runs (lib/snapshots.js).
+//
+// GET /api/txi-history
+//   portfolio     saved portfolio id, name or alias (default: the default portfolio)
+//   scope         snapshot scope instead, e.g. "accounts-1a2b3c4d5e6f"
+//                 (returned as trend.scope by /api/txi-dashboard)
+//   days          how far back (default 14, max SNAPSHOT_RETENTION_DAYS)
+//   granularity   day (default: last snapshot of each UTC day) | all
+//
+// -> { scope, days, granularity, snapshots: [{ takenAt, metrics, sources, … }],
+//      latest, trend: { yesterday, lastWeek } (deltas of the latest snapshot),
+//      scopes (every scope with history) }
+//
+// Auth: role "TXI.Read", like /api/txi-dashboard.
+
+import { findPortfolio, getDefaultPortfolio } from "../lib/portfolios.js";
+import { loadHistory, dailySeries, compareWithHistory, listScopes, isValidScope, retentionDays } from "../lib/snapshots.js";
+import { withAuth } from "../lib/auth.js";
+
+async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "GET only" });
+
+  const q = req.query || {};
+  let scope = q.scope ? String(q.scope) : null;
+  if (scope && !isValidScope(scope)) return res.status(400).json({ error: `Invalid scope "${scope}".` });
+  if (!scope) {
+    try {
+      const portfolio = q.portfolio ? findPortfolio(q.portfolio) : getDefaultPortfolio();
+      if (q.portfolio && !portfolio) return res.status(400).json({ error: `Unknown portfolio "${q.portfolio}".` });
+      scope = portfolio?.id || null;
+    } catch (e) {
+      return res.status(500).json({ error: "Portfolio config error", detail: e?.message || String(e) });
+    }
+  }
+
+  const days = Math.min(Math.max(1, Math.floor(Number(q.days) || 14)), retentionDays());
+  const granularity = q.granularity === "all" ? "all" : "day";
+
+  try {
+    const scopes = await listScopes();
+    if (!scope) return res.status(200).json({ scope: null, days, granularity, snapshots: [], latest: null, trend: null, scopes });
+
+    const history = await loadHistory(scope, { days });
+    const latest = history[history.length - 1] || null;
+    const trend = latest ? await compareWithHistory(latest) : null;
+
+    return res.status(200).json({
+      scope,
+      days,
+      granularity,
+      snapshots: granularity === "all" ? history : dailySeries(history),
+      latest,
+      trend: trend ? { yesterday: trend.yesterday, lastWeek: trend.lastWeek } : null,
+      scopes
+    });
+  } catch (e) {
+    return res.status(500).json({ error: "Snapshot store error", detail: e?.message || String(e) });
+  }
+}
+
+export default withAuth(handler, { route: "txi-history", methods: ["GET"] });
@@ -0,0 +1,65 @@
+// api/txi-incidents.js
+// Incident drill-down behind the TXI executive brief: the incidents counted
+// in a figure such as "P1 12, P2 30".
+//
+// GET /api/txi-incidents?figure=p1
+//   figure       p1 | p2 | high-priority (default) | open
+//   priority     narrow to these priorities, e.g. 1,2
+//   group        assignment group (name or sys_id)
+//   ci           configuration item (name or sys_id)
+//   customer     linked customer (name or sys_id; field set by customerField
+//                in config/servicenow.json)
+//   q            incident number or text in the short description
+//   minAgeDays / maxAgeDays   opened at least / at most this many days ago
+//   sort         newest (default) | oldest | priority
+//   page, pageSize (default 25, max 100)
+//
+// -> { figure, label, total, page, pageSize, pages, incidents: [{ number,
+//      shortDescription, priority, state, openedAt, ageDays, assignmentGroup,
+//      ci, customer, url }] }
+//
+// Auth: role "TXI.Read", like /api/txi-dashboard.
+//
+// ENV:
+// ServiceNow instance and credentials: see lib/servicenow.js
+
+import { listIncidents, isServiceNowConfigured, ServiceNowError } from "../lib/servicenow.js";
+import { withAuth } from "../lib/auth.js";
+
+function param(req, name) {
+  const value = req.query?.[name];
+  return Array.isArray(value) ? value.join(",") : value;
+}
+
+async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "GET only" });
+  if (!isServiceNowConfigured()) return res.status(503).json({ error: "Missing SN env vars", code: "SN_NOT_CONFIGURED" });
+
+  try {
+    const result = await listIncidents({
+      figure: param(req, "figure") || "high-priority",
+      sort: param(req, "sort") || "newest",
+      page: param(req, "page"),
+      pageSize: param(req, "pageSize"),
+      filters: {
+        priority: param(req, "priority"),
+        group: param(req, "group"),
+        ci: param(req, "ci"),
+        customer: param(req, "customer"),
+        q: param(req, "q"),
+        minAgeDays: param(req, "minAgeDays"),
+        maxAgeDays: param(req, "maxAgeDays"),
+      },
+    });
+    const { query, ...body } = result;
+    return res.status(200).json(body);
+  } catch (e) {
+    if (e instanceof ServiceNowError) {
+      const status = e.status === 400 ? 400 : 502;
+      return res.status(status).json({ error: e.message, code: e.code });
+    }
+    return res.status(500).json({ error: "Incident drill-down failed", detail: e?.message || String(e) });
+  }
+}
+
+export default withAuth(handler, { route: "txi-incidents", methods: ["GET"] });
@@ -0,0 +1,51 @@
+// api/txi-monitor.js
+// Scheduled TXI risk monitoring: runs the monitors in config/monitors.json
+// that are due and posts their alerts to Teams / Slack / JSON webhooks
+// (lib/monitor.js).
+//
+// GET or POST /api/txi-monitor          (schedule it every few minutes, e.g. a Vercel cron)
+//   ?monitor=<id>   only this monitor (repeatable)
+//   ?force=1        run now, whatever the monitor's cadence
+//   ?dryRun=1       evaluate alerts without posting them or saving state or snapshots
+//
+// -> { ok, ranAt, monitors: [{ id, ran, reason?, risk, alerts, deduped, quiet,
+//      pending, deliveries: [{ webhook, type, ok, status?, error? }], error? }] }
+//
+// Needs the role "TXI.Monitor" or "Cron" (config/auth.json). A scheduler
+// can send "Authorization: Bearer <CRON_SECRET>" (see lib/auth.js).
+//
+// ENV:
+// Monitors and webhooks: see lib/monitor.js and lib/webhooks.js
+
+import { runDueMonitors, loadMonitorConfig } from "../lib/monitor.js";
+import { withAuth } from "../lib/auth.js";
+
+function param(req, name) {
+  const value = req.query?.[name] ?? req.body?.[name];
+  return value == null ? [] : [].concat(value).map(String);
+}
+
+const flag = (req, name) => ["1", "true"].includes(param(req, name)[0]);
+
+async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "GET or POST only" });
+
+  let config;
+  try {
+    config = loadMonitorConfig();
+  } catch (e) {
+    return res.status(500).json({ error: "Monitor config error", detail: e?.message || String(e) });
+  }
+
+  const only = param(req, "monitor");
+  const unknown = only.filter((id) => !config.monitors.some((m) => m.id === id));
+  if (unknown.length) return res.status(400).json({ error: `Unknown monitor: ${unknown.join(", ")}` });
+
+  const ranAt = new Date();
+  const monitors = await runDueMonitors({ config, only, force: flag(req, "force"), dryRun: flag(req, "dryRun"), now: ranAt });
+
+  const ok = monitors.every((m) => !m.error && (m.deliveries || []).every((d) => d.ok || d.skipped));
+  return res.status(ok ? 200 : 502).json({ ok, ranAt: ranAt.toISOString(), monitors });
+}
+
+export default withAuth(handler, { route: "txi-monitor", methods: ["GET", "POST"] });
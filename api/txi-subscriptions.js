@@ -0,0 +1,85 @@
+// api/txi-subscriptions.js
+//
+// Email subscriptions to the daily executive brief (lib/subscriptions.js),
+// sent by /api/txi-brief-delivery (lib/brief-delivery.js).
+//
+// GET    /api/txi-subscriptions                    -> { subscriptions }
+// GET    /api/txi-subscriptions?id=<id>            -> { subscription, deliveries } (last 14 days)
+// GET    /api/txi-subscriptions?deliveries=1&days=7 -> { deliveries } (all subscriptions)
+// POST   /api/txi-subscriptions { recipient, name?, question?, portfolio?, timeZone?,
+//                                 schedule?: { time: "08:00", days: ["mon", …] }, enabled? }
+// PATCH  /api/txi-subscriptions?id=<id> { …any of the fields above }
+// DELETE /api/txi-subscriptions?id=<id>
+//
+// Recipients must be in allowedRecipientDomains (config/brief-email.json).
+//
+// Needs the role "TXI.Subscriptions" (config/auth.json).
+
+import {
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  SubscriptionError,
+} from "../lib/subscriptions.js";
+import { listDeliveries } from "../lib/brief-delivery.js";
+import { withAuth } from "../lib/auth.js";
+
+function readBody(req) {
+  let body = req.body;
+  if (typeof body === "string") {
+    try { body = JSON.parse(body); } catch { body = null; }
+  }
+  return body && typeof body === "object" && !Array.isArray(body) ? body : null;
+}
+
+async function handler(req, res) {
+  const id = req.query?.id;
+
+  try {
+    if (req.method === "GET" && !id) {
+      if (["1", "true"].includes(String(req.query?.deliveries))) {
+        const days = Math.min(90, Math.max(1, Number(req.query?.days) || 7));
+        return res.status(200).json({ deliveries: await listDeliveries({ days }) });
+      }
+      return res.status(200).json({ subscriptions: await listSubscriptions() });
+    }
+
+    if (req.method === "GET") {
+      const subscription = await getSubscription(id);
+      if (!subscription) return res.status(404).json({ error: "Subscription not found." });
+      return res.status(200).json({ subscription, deliveries: await listDeliveries({ days: 14, subscriptionId: subscription.id }) });
+    }
+
+    if (req.method === "POST") {
+      const body = readBody(req);
+      if (!body) return res.status(400).json({ error: "Body must be a JSON object." });
+      const createdBy = req.auth ? `${req.auth.type}:${req.auth.id}` : null;
+      return res.status(201).json({ subscription: await createSubscription(body, { createdBy }) });
+    }
+
+    if (req.method === "PATCH") {
+      if (!id) return res.status(400).json({ error: 'Missing "id" query parameter.' });
+      const body = readBody(req);
+      if (!body) return res.status(400).json({ error: "Body must be a JSON object." });
+      const subscription = await updateSubscription(id, body);
+      if (!subscription) return res.status(404).json({ error: "Subscription not found." });
+      return res.status(200).json({ subscription });
+    }
+
+    if (req.method === "DELETE") {
+      if (!id) return res.status(400).json({ error: 'Missing "id" query parameter.' });
+      const deleted = await deleteSubscription(id);
+      if (!deleted) return res.status(404).json({ error: "Subscription not found." });
+      return res.status(200).json({ deleted: true, id });
+    }
+
+    return res.status(405).json({ error: "GET, POST, PATCH or DELETE only" });
+  } catch (e) {
+    if (e instanceof SubscriptionError) return res.status(400).json({ error: e.message });
+    return res.status(500).json({ error: "Subscription store error", details: e?.message || String(e) });
+  }
+}
+
+export default withAuth(handler, { route: "txi-subscriptions", methods: ["GET", "POST", "PATCH", "DELETE"] });
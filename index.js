@@ -1,9 +1,37 @@
 import express from "express";
-import fetch from "node-fetch";
+import { generateText, streamText, isLlmConfigured, LlmError } from "./lib/llm.js";
+import { wantsEventStream, startEventStream, streamAnswer } from "./lib/sse.js";
+import {
+  getOrCreateSession,
+  getSession,
+  listSessions,
+  deleteSession,
+  recordTurn,
+  formatHistory,
+  sessionOwner,
+  SessionNotFoundError
+} from "./lib/sessions.js";
+import { requireAuth } from "./lib/auth.js";
+import { chargeLlm } from "./lib/ratelimit.js";
+import { startMonitorScheduler } from "./lib/monitor.js";
+import { startBriefScheduler } from "./lib/brief-delivery.js";
 
 const app = express();
 app.use(express.json());
 
+// Behind a reverse proxy, TRUST_PROXY ("loopback", a hop count, subnets…) lets
+// req.ip, which keys anonymous rate limits, come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const value = process.env.TRUST_PROXY;
+  app.set("trust proxy", value === "true" ? true : /^\d+$/.test(value) ? Number(value) : value);
+}
+
+// CORS allowlist, preflight, authentication and rate limits (lib/auth.js)
+app.use("/api/chat", requireAuth("chat", ["POST"], { llmMethods: ["POST"] }));
+app.use("/api/sessions", requireAuth("sessions", ["GET", "DELETE"]));
+
+const FALLBACK_ANSWER = "Sorry, I couldn’t get a response from the AI.";
+
 // Simple health check
 app.get("/", (req, res) => {
   res.send("AI backend is running");
@@ -12,19 +40,21 @@ app.get("/", (req, res) => {
 // Main chat endpoint
 app.post("/api/chat", async (req, res) => {
   try {
-    const { question, page_context } = req.body || {};
+    const { question, page_context, sessionId } = req.body || {};
 
     if (!question) {
       return res.status(400).json({ error: "Missing 'question' in body" });
     }
 
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
+    if (!isLlmConfigured()) {
       return res
         .status(500)
-        .json({ error: "GEMINI_API_KEY is not configured on the server" });
+        .json({ error: "LLM provider is not configured on the server" });
     }
 
+    const session = await getOrCreateSession(sessionId, "general", sessionOwner(req));
+    await chargeLlm(req, res, "chat");
+
     const prompt = `
 You are an AI assistant embedded inside a SharePoint page.
 The current SharePoint context/path is: ${page_context || "unknown"}.
@@ -33,50 +63,89 @@ Answer in simple, clear English.
 Keep responses short: 3–5 sentences maximum.
 If the user asks something unrelated to work, answer politely but briefly.
 
+Conversation so far:
+${formatHistory(session) || "(new conversation)"}
+
 User question:
 ${question}
 `;
 
-    const body = {
-      contents: [
-        {
-          parts: [{ text: prompt }]
-        }
-      ]
-    };
-
-    const url =
-      "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=" +
-      apiKey;
-
-    const response = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(body)
-    });
-
-    if (!response.ok) {
-      const errText = await response.text();
-      console.error("Gemini error:", response.status, errText);
+    if (wantsEventStream(req)) {
+      startEventStream(res);
+      try {
+        const answer = await streamAnswer(
+          res,
+          streamText({ prompt }),
+          { meta: { sessionId: session.id }, fallback: FALLBACK_ANSWER }
+        );
+        await recordTurn(session, { question, answer });
+      } catch (e) {
+        console.error("Streaming error:", e);
+      }
+      return;
+    }
+
+    let answer;
+    try {
+      const result = await generateText({ prompt });
+      answer = result.text || FALLBACK_ANSWER;
+    } catch (e) {
+      if (!(e instanceof LlmError)) throw e;
       return res
         .status(500)
-        .json({ error: "Gemini API error", status: response.status });
+        .json({ error: "LLM API error", status: e.status, code: e.code });
     }
 
-    const data = await response.json();
-    const answer =
-      data?.candidates?.[0]?.content?.parts?.[0]?.text ||
-      "Sorry, I couldn’t get a response from the AI.";
-
-    res.json({ answer });
+    await recordTurn(session, { question, answer });
+    res.json({ answer, sessionId: session.id });
   } catch (e) {
+    if (e instanceof SessionNotFoundError) return res.status(e.status).json({ error: e.message, code: e.code });
     console.error("Backend error:", e);
     res.status(500).json({ error: "Server error", details: e.message });
   }
 });
 
+// Conversation sessions
+app.get("/api/sessions", async (req, res) => {
+  try {
+    res.json({ sessions: await listSessions(sessionOwner(req)) });
+  } catch (e) {
+    res.status(500).json({ error: "Session store error", details: e.message });
+  }
+});
+
+app.get("/api/sessions/:id", async (req, res) => {
+  try {
+    const session = await getSession(req.params.id, sessionOwner(req));
+    if (!session) return res.status(404).json({ error: "Session not found." });
+    res.json({ session });
+  } catch (e) {
+    res.status(500).json({ error: "Session store error", details: e.message });
+  }
+});
+
+app.delete("/api/sessions/:id", async (req, res) => {
+  try {
+    const deleted = await deleteSession(req.params.id, sessionOwner(req));
+    if (!deleted) return res.status(404).json({ error: "Session not found." });
+    res.json({ deleted: true, id: req.params.id });
+  } catch (e) {
+    res.status(500).json({ error: "Session store error", details: e.message });
+  }
+});
+
 // Vercel will set PORT; use 3000 locally
 const port = process.env.PORT || 3000;
 app.listen(port, () => {
   console.log("AI backend listening on port", port);
 });
+
+// TXI risk monitors (lib/monitor.js): checked every TXI_MONITOR_INTERVAL_SECONDS
+// when set; serverless deployments call /api/txi-monitor from a cron instead
+const monitorInterval = Number(process.env.TXI_MONITOR_INTERVAL_SECONDS);
+if (monitorInterval > 0) startMonitorScheduler(monitorInterval);
+
+// Daily brief emails (lib/brief-delivery.js): due subscriptions are checked
+// every TXI_BRIEF_INTERVAL_SECONDS when set; otherwise a cron calls /api/txi-brief-delivery
+const briefInterval = Number(process.env.TXI_BRIEF_INTERVAL_SECONDS);
+if (briefInterval > 0) startBriefScheduler(briefInterval);
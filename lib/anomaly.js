@@ -0,0 +1,144 @@
+// lib/anomaly.js
+//
+// Rolling baselines of the TXI snapshot metrics (lib/snapshots.js) and
+// anomaly flags for the current run (config/anomaly.json).
+//
+// {
+//   "lookbackDays": 56,           // days of history the baseline learns from
+//   "minSamples": 7,              // days needed before anything is flagged
+//   "minSameWeekday": 3,          // same-weekday days needed for a weekday baseline
+//   "minRelativeSpread": 0.1,     // spread is at least this share of the median
+//   "thresholds": { "notable": 2, "severe": 3, "extreme": 4 },
+//   "metrics": { "<snapshot metric>": { label, minSpread } }
+// }
+//
+// One reading per UTC day (its last snapshot) before the current day, taken
+// only from runs where the metric's source answered. The baseline is the
+// median of the same weekday's readings, or of every day while there are too
+// few of those, with the spread from the median absolute deviation. A metric's
+// score is how many spreads it sits from the median (positive = above); a
+// score at or past a threshold flags it with that severity.
+//
+// ENV:
+// TXI_ANOMALY   inline JSON or path replacing config/anomaly.json
+
+import { loadConfig } from "./config.js";
+import { dailySeries, METRIC_SOURCES } from "./snapshots.js";
+
+export const SEVERITIES = ["notable", "severe", "extreme"];
+export const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const DAY_MS = 86400000;
+// Scales the median absolute deviation to a standard deviation for normal data
+const MAD_SCALE = 1.4826;
+
+export class AnomalyConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AnomalyConfigError";
+  }
+}
+
+function num(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? x : 0;
+}
+
+const round = (n, places = 1) => Math.round(n * 10 ** places) / 10 ** places;
+
+export function loadAnomalyConfig() {
+  const config = loadConfig("anomaly", { envVar: "TXI_ANOMALY", fallback: {} }) || {};
+  const thresholds = { notable: 2, severe: 3, extreme: 4, ...config.thresholds };
+  for (const s of SEVERITIES) {
+    if (!(Number(thresholds[s]) > 0)) throw new AnomalyConfigError(`Anomaly threshold "${s}" must be a positive number.`);
+  }
+  for (const key of Object.keys(config.metrics || {})) {
+    if (!METRIC_SOURCES[key]) throw new AnomalyConfigError(`Unknown anomaly metric "${key}" (see lib/snapshots.js).`);
+  }
+  return {
+    lookbackDays: Math.max(1, num(config.lookbackDays) || 56),
+    minSamples: Math.max(2, num(config.minSamples) || 7),
+    minSameWeekday: Math.max(2, num(config.minSameWeekday) || 3),
+    minRelativeSpread: Math.max(0, num(config.minRelativeSpread)),
+    thresholds,
+    metrics: config.metrics || {},
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function severityOf(score, thresholds) {
+  const size = Math.abs(score);
+  return [...SEVERITIES].reverse().find((s) => size >= Number(thresholds[s])) || null;
+}
+
+/**
+ * Baseline and score of every configured metric of `snapshot` against
+ * `history` (earlier snapshots of its scope, or their daily readings from
+ * loadDailyReadings).
+ * Returns { takenAt, weekday, lookbackDays, metrics, flags } where metrics maps
+ * each metric to { label, source, value, status: "ok" | "learning" |
+ * "unavailable", baseline, score, direction, severity } and flags lists the
+ * metrics with a severity, largest deviation first.
+ */
+export function detectAnomalies(snapshot, history, { config = loadAnomalyConfig() } = {}) {
+  const at = Date.parse(snapshot.takenAt);
+  const today = snapshot.takenAt.slice(0, 10);
+  const weekday = new Date(at).getUTCDay();
+  const days = dailySeries(history.filter((s) => {
+    const t = Date.parse(s.takenAt);
+    return t >= at - config.lookbackDays * DAY_MS && s.takenAt.slice(0, 10) < today;
+  }));
+
+  const metrics = {};
+  for (const [key, options] of Object.entries(config.metrics)) {
+    const source = METRIC_SOURCES[key];
+    const value = snapshot.metrics?.[key];
+    const entry = { label: options.label || key, source, value: value ?? null, status: "ok", baseline: null, score: null, direction: null, severity: null };
+    metrics[key] = entry;
+
+    if (source && !snapshot.sources?.[source]) {
+      entry.status = "unavailable";
+      continue;
+    }
+
+    const readings = days.filter((d) => !source || d.sources?.[source]);
+    const sameDay = readings.filter((d) => new Date(`${d.day}T00:00:00Z`).getUTCDay() === weekday);
+    const byWeekday = sameDay.length >= config.minSameWeekday;
+    const sample = (byWeekday ? sameDay : readings).map((d) => num(d.metrics?.[key]));
+    if (readings.length < config.minSamples || !sample.length) {
+      entry.status = "learning";
+      entry.baseline = { samples: readings.length, needed: config.minSamples };
+      continue;
+    }
+
+    const mid = median(sample);
+    const spread = Math.max(
+      MAD_SCALE * median(sample.map((v) => Math.abs(v - mid))),
+      num(options.minSpread) || 1,
+      config.minRelativeSpread * Math.abs(mid)
+    );
+    const score = round((num(value) - mid) / spread);
+    entry.baseline = {
+      median: mid,
+      spread: round(spread, 2),
+      samples: sample.length,
+      seasonality: byWeekday ? "weekday" : "all",
+      ...(byWeekday ? { weekday: WEEKDAYS[weekday] } : {}),
+    };
+    entry.score = score;
+    entry.direction = score > 0 ? "above" : score < 0 ? "below" : "level";
+    entry.severity = severityOf(score, config.thresholds);
+  }
+
+  const flags = Object.entries(metrics)
+    .filter(([, m]) => m.severity)
+    .map(([metric, m]) => ({ metric, ...m }))
+    .sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+
+  return { takenAt: snapshot.takenAt, weekday: WEEKDAYS[weekday], lookbackDays: config.lookbackDays, metrics, flags };
+}
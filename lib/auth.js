@@ -0,0 +1,353 @@
+// lib/auth.js
+//
+// Authentication, per-route roles and CORS for every API route
+// (config/auth.json). Rate limits are applied after authentication
+// (lib/ratelimit.js).
+//
+// Callers authenticate with either
+// - an Azure AD / OIDC access token: "Authorization: Bearer <jwt>", signed
+//   with a key from the JWKS (RS256/384/512, PS256/384/512, ES256/384/512),
+//   with a configured issuer and audience and not expired; or
+// - a static API key: "X-API-Key: <key>" (or a Bearer value that is not a JWT).
+//
+// {
+//   "allowAnonymous": false,         // let callers without credentials use routes that need no role
+//   "cors":   { "origins": ["https://app.example.com"] },   // "*" allows any origin
+//   "jwt":    { "issuers": [], "audiences": [], "jwksUri": "", "jwks": { keys }?,
+//               "rolesClaim": "roles", "clockSkewSeconds": 60 },
+//   "apiKeys": [{ "name", "sha256": "<hex of the key>" | "key", "roles": [] }],
+//   "routes": { "<route>": ["Role", …] }   // any one role; [] = any authenticated caller
+// }
+//
+// With no issuers / audiences / JWKS configured, they default to the Azure AD
+// app in GRAPH_TENANT_ID / GRAPH_CLIENT_ID (the same app used on-behalf-of).
+// Same-origin requests never need a CORS entry.
+//
+// ENV:
+// AUTH_CONFIG            inline JSON or path replacing config/auth.json
+// AUTH_ISSUER            comma-separated issuers
+// AUTH_AUDIENCE          comma-separated audiences
+// AUTH_JWKS_URI          key set URL
+// AUTH_JWKS              inline key set JSON or path (local keys, e.g. for tests)
+// AUTH_API_KEYS          JSON array of API keys, added to the config's
+// AUTH_ALLOW_ANONYMOUS   "true" to allow anonymous callers (local development)
+// CORS_ORIGINS           comma-separated origins, added to the config's
+// CRON_SECRET            accepted as the API key "cron" with role "Cron"
+// AUTH_JWKS_CACHE_MINUTES  how long a fetched key set is reused (default 60)
+
+import { createHash, createPublicKey, timingSafeEqual, verify, constants } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { loadConfig } from "./config.js";
+import { enforceRateLimit, checkLlmBudget, RateLimitError, rateLimitBody } from "./ratelimit.js";
+
+export class AuthError extends Error {
+  constructor(message, { code = "AUTH_REQUIRED", status = 401 } = {}) {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  PS256: { hash: "sha256", padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: constants.RSA_PSS_SALTLEN_DIGEST },
+  PS384: { hash: "sha384", padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: constants.RSA_PSS_SALTLEN_DIGEST },
+  PS512: { hash: "sha512", padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: constants.RSA_PSS_SALTLEN_DIGEST },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" },
+  ES512: { hash: "sha512", dsaEncoding: "ieee-p1363" },
+};
+
+const JWKS_MIN_REFETCH_MS = 60000;
+
+function list(value) {
+  if (value == null || value === "") return [];
+  return (Array.isArray(value) ? value : String(value).split(",")).map((v) => String(v).trim()).filter(Boolean);
+}
+
+function parseJsonOrPath(value, label) {
+  const raw = String(value).trim();
+  try {
+    return JSON.parse(raw.startsWith("{") || raw.startsWith("[") ? raw : readFileSync(raw, "utf8"));
+  } catch (e) {
+    throw new AuthError(`Invalid ${label}: ${e?.message || e}`, { code: "AUTH_NOT_CONFIGURED", status: 500 });
+  }
+}
+
+function sha256(value) {
+  return createHash("sha256").update(String(value)).digest("hex");
+}
+
+// Config file plus env overrides
+function authSettings() {
+  const config = loadConfig("auth", { envVar: "AUTH_CONFIG", fallback: {} }) || {};
+  const jwt = config.jwt || {};
+  const tenantId = process.env.GRAPH_TENANT_ID || process.env.MS_TENANT_ID || "";
+  const clientId = process.env.GRAPH_CLIENT_ID || process.env.MS_CLIENT_ID || "";
+
+  let issuers = list(process.env.AUTH_ISSUER).length ? list(process.env.AUTH_ISSUER) : list(jwt.issuers);
+  let audiences = list(process.env.AUTH_AUDIENCE).length ? list(process.env.AUTH_AUDIENCE) : list(jwt.audiences);
+  let jwksUri = process.env.AUTH_JWKS_URI || jwt.jwksUri || "";
+  if (tenantId && !issuers.length) {
+    issuers = [`https://login.microsoftonline.com/${tenantId}/v2.0`, `https://sts.windows.net/${tenantId}/`];
+  }
+  if (clientId && !audiences.length) audiences = [clientId, `api://${clientId}`];
+  if (tenantId && !jwksUri) jwksUri = `https://login.microsoftonline.com/${tenantId}/discovery/v2.0/keys`;
+
+  const apiKeys = [...(config.apiKeys || [])];
+  if (process.env.AUTH_API_KEYS) apiKeys.push(...[].concat(parseJsonOrPath(process.env.AUTH_API_KEYS, "AUTH_API_KEYS")));
+  if (process.env.CRON_SECRET) apiKeys.push({ name: "cron", key: process.env.CRON_SECRET, roles: ["Cron"] });
+
+  return {
+    allowAnonymous: process.env.AUTH_ALLOW_ANONYMOUS
+      ? process.env.AUTH_ALLOW_ANONYMOUS === "true"
+      : config.allowAnonymous === true,
+    origins: [...list(config.cors?.origins), ...list(process.env.CORS_ORIGINS)],
+    jwt: {
+      issuers,
+      audiences,
+      jwksUri,
+      jwks: process.env.AUTH_JWKS ? parseJsonOrPath(process.env.AUTH_JWKS, "AUTH_JWKS") : jwt.jwks || null,
+      rolesClaim: jwt.rolesClaim || "roles",
+      skewSeconds: Number.isFinite(Number(jwt.clockSkewSeconds)) ? Number(jwt.clockSkewSeconds) : 60,
+    },
+    apiKeys,
+    routes: config.routes || {},
+  };
+}
+
+// -------- CORS --------
+function sameOrigin(req, origin) {
+  try {
+    return new URL(origin).host === (req.headers?.["x-forwarded-host"] || req.headers?.host);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Set CORS headers for an allowed origin. Returns false when the request
+ * comes from a browser origin that is neither allowed nor same-origin.
+ */
+export function applyCors(req, res, methods = ["GET", "POST"]) {
+  const origin = req.headers?.origin;
+  if (!origin) return true;
+
+  const { origins } = authSettings();
+  const allowed = origins.includes("*") || origins.includes(origin) || sameOrigin(req, origin);
+  if (!allowed) return false;
+
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", [...methods, "OPTIONS"].join(", "));
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-API-Key");
+  res.setHeader("Access-Control-Max-Age", "600");
+  return true;
+}
+
+// -------- Key sets --------
+let remoteJwks = null; // { uri, keys, fetchedAt }
+let jwksInflight = null;
+
+function jwksCacheMs() {
+  const minutes = Number(process.env.AUTH_JWKS_CACHE_MINUTES || 60);
+  return (Number.isFinite(minutes) && minutes >= 0 ? minutes : 60) * 60000;
+}
+
+async function fetchJwks(uri) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 10000);
+  try {
+    const resp = await fetch(uri, { signal: controller.signal });
+    const data = await resp.json();
+    if (!resp.ok || !Array.isArray(data?.keys)) throw new Error(`HTTP ${resp.status}`);
+    return data.keys;
+  } catch (e) {
+    throw new AuthError(`Could not load signing keys: ${e?.name === "AbortError" ? "timed out" : e?.message || e}`, {
+      code: "AUTH_JWKS_UNAVAILABLE",
+      status: 503,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Keys for a token; a remote set is re-fetched (at most once a minute) when
+// the token's kid is unknown, so key rotation needs no restart.
+async function signingKeys(settings, kid) {
+  if (settings.jwt.jwks) return settings.jwt.jwks.keys || [];
+  const uri = settings.jwt.jwksUri;
+  if (!uri) return [];
+
+  const age = remoteJwks?.uri === uri ? Date.now() - remoteJwks.fetchedAt : Infinity;
+  const unknownKid = kid && remoteJwks?.uri === uri && !remoteJwks.keys.some((k) => k.kid === kid);
+  if (age > jwksCacheMs() || (unknownKid && age > JWKS_MIN_REFETCH_MS)) {
+    if (!jwksInflight) {
+      jwksInflight = fetchJwks(uri)
+        .then((keys) => {
+          remoteJwks = { uri, keys, fetchedAt: Date.now() };
+        })
+        .finally(() => {
+          jwksInflight = null;
+        });
+    }
+    await jwksInflight;
+  }
+  return remoteJwks?.keys || [];
+}
+
+// -------- JWT --------
+function base64urlJson(part) {
+  return JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+}
+
+function looksLikeJwt(value) {
+  return /^[\w-]+\.[\w-]+\.[\w-]*$/.test(value);
+}
+
+async function verifyJwt(token, settings) {
+  const { issuers, audiences, skewSeconds, rolesClaim } = settings.jwt;
+  if (!issuers.length || !audiences.length || !(settings.jwt.jwks || settings.jwt.jwksUri)) {
+    throw new AuthError("Token sign-in is not configured on this server.", { code: "AUTH_NOT_CONFIGURED", status: 401 });
+  }
+
+  const invalid = (why) => new AuthError(`Invalid access token: ${why}.`, { code: "AUTH_INVALID_TOKEN" });
+  const [h, p, sig] = token.split(".");
+  let header;
+  let claims;
+  try {
+    header = base64urlJson(h);
+    claims = base64urlJson(p);
+  } catch {
+    throw invalid("malformed");
+  }
+
+  const alg = ALGORITHMS[header.alg];
+  if (!alg) throw invalid(`unsupported algorithm ${header.alg}`);
+
+  const keys = (await signingKeys(settings, header.kid)).filter(
+    (k) => (!header.kid || k.kid === header.kid) && (!k.use || k.use === "sig") && (!k.alg || k.alg === header.alg)
+  );
+  if (!keys.length) throw invalid("unknown signing key");
+
+  const signature = Buffer.from(sig, "base64url");
+  const signed = Buffer.from(`${h}.${p}`);
+  const ok = keys.some((jwk) => {
+    try {
+      const key = createPublicKey({ key: jwk, format: "jwk" });
+      return verify(alg.hash, signed, { key, padding: alg.padding, saltLength: alg.saltLength, dsaEncoding: alg.dsaEncoding }, signature);
+    } catch {
+      return false;
+    }
+  });
+  if (!ok) throw invalid("bad signature");
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number" || now > claims.exp + skewSeconds) throw invalid("expired");
+  if (typeof claims.nbf === "number" && now < claims.nbf - skewSeconds) throw invalid("not yet valid");
+  if (!issuers.includes(claims.iss)) throw invalid("unexpected issuer");
+  if (![].concat(claims.aud || []).some((a) => audiences.includes(a))) throw invalid("unexpected audience");
+
+  return {
+    type: "user",
+    id: claims.oid || claims.sub || "",
+    name: claims.name || claims.preferred_username || claims.upn || claims.email || "",
+    roles: [...[].concat(claims[rolesClaim] || []), ...String(claims.scp || "").split(" ").filter(Boolean)],
+    tenantId: claims.tid || null,
+  };
+}
+
+// -------- API keys --------
+function findApiKey(value, settings) {
+  const digest = Buffer.from(sha256(value), "hex");
+  return settings.apiKeys.find((entry) => {
+    const expected = entry.sha256 || (entry.key ? sha256(entry.key) : "");
+    if (!/^[0-9a-f]{64}$/i.test(expected)) return false;
+    return timingSafeEqual(Buffer.from(expected, "hex"), digest);
+  });
+}
+
+/**
+ * Authenticate the request and check the route's roles. Returns the caller
+ * ({ type: "user" | "apiKey" | "anonymous", id, name, roles }) or throws
+ * AuthError (401 without valid credentials, 403 without a required role).
+ */
+export async function authenticate(req, route) {
+  const settings = authSettings();
+  const required = settings.routes[route] || [];
+
+  const authorization = String(req.headers?.authorization || "");
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i)?.[1] || null;
+  const apiKey = req.headers?.["x-api-key"] || (bearer && !looksLikeJwt(bearer) ? bearer : null);
+
+  let principal;
+  if (apiKey) {
+    const entry = findApiKey(apiKey, settings);
+    if (!entry) throw new AuthError("Invalid API key.", { code: "AUTH_INVALID_KEY" });
+    principal = { type: "apiKey", id: entry.name || "api-key", name: entry.name || "API key", roles: entry.roles || [] };
+  } else if (bearer) {
+    principal = await verifyJwt(bearer, settings);
+  } else if (settings.allowAnonymous && !required.length) {
+    principal = { type: "anonymous", id: "anonymous", name: "", roles: [] };
+  } else {
+    throw new AuthError("Sign in or send an API key to use this API.");
+  }
+
+  if (required.length && !required.some((role) => principal.roles.includes(role))) {
+    throw new AuthError(`Requires one of the roles: ${required.join(", ")}.`, { code: "AUTH_FORBIDDEN", status: 403 });
+  }
+  return principal;
+}
+
+// CORS + preflight + authentication + rate limits (lib/ratelimit.js).
+// Returns true when a response was sent.
+async function guard(req, res, { route, methods, llmMethods = [] }) {
+  if (!applyCors(req, res, methods)) {
+    res.status(403).json({ error: "Origin not allowed.", code: "CORS_ORIGIN_DENIED" });
+    return true;
+  }
+  if (req.method === "OPTIONS") {
+    res.status(200).end();
+    return true;
+  }
+  try {
+    req.auth = await authenticate(req, route);
+    await enforceRateLimit(req, res, route);
+    if (llmMethods.includes(req.method)) await checkLlmBudget(req, res, route);
+    return false;
+  } catch (e) {
+    if (e instanceof RateLimitError) {
+      res.setHeader("Retry-After", String(e.retryAfterSeconds));
+      res.status(429).json(rateLimitBody(e));
+      return true;
+    }
+    if (!(e instanceof AuthError)) throw e;
+    if (e.status === 401) res.setHeader("WWW-Authenticate", 'Bearer realm="api"');
+    res.status(e.status).json({ error: e.message, code: e.code });
+    return true;
+  }
+}
+
+/**
+ * Wrap a serverless handler: CORS allowlist, OPTIONS preflight, then
+ * authentication, the route's roles and its rate limit. Requests with one of
+ * `llmMethods` are also refused once the caller's daily LLM budget is used up
+ * (the handler records its use with chargeLlm). The caller is available as
+ * req.auth.
+ */
+export function withAuth(handler, { route, methods = ["GET", "POST"], llmMethods = [] }) {
+  return async function authenticatedHandler(req, res) {
+    if (await guard(req, res, { route, methods, llmMethods })) return;
+    return handler(req, res);
+  };
+}
+
+// Same checks as Express middleware (index.js)
+export function requireAuth(route, methods = ["GET", "POST"], { llmMethods = [] } = {}) {
+  return (req, res, next) => {
+    guard(req, res, { route, methods, llmMethods }).then((handled) => (handled ? undefined : next()), next);
+  };
+}
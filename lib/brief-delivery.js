@@ -0,0 +1,288 @@
+// lib/brief-delivery.js
+//
+// The daily executive brief by email. For every enabled subscription whose
+// send time has come (lib/subscriptions.js) it runs the TXI pipeline for the
+// subscription's portfolio (lib/txi-pipeline.js), writes the five-section
+// brief (lib/txi-brief.js), renders it as HTML and plain text and sends it
+// (lib/mailer.js).
+//
+// - A subscription is due from its local time on its days, for
+//   catchUpMinutes (config/brief-email.json), once per local day.
+// - Recipients outside allowedRecipientDomains are skipped, also for
+//   subscriptions made before the domain was removed.
+// - A failed send is retried on later runs the same day, up to
+//   maxAttemptsPerDay.
+// - Subscriptions with the same question and portfolio share one run; its
+//   snapshot is kept apart from dashboard history (lib/snapshots.js).
+// - LLM briefs use the "txi-brief-delivery" LLM budget
+//   (config/rate-limits.json); once it is used up the deterministic brief goes out.
+// - Every attempt is logged in brief-deliveries/<YYYY-MM-DD>.json (UTC day),
+//   kept for logRetentionDays.
+//
+// Runs are triggered by GET/POST /api/txi-brief-delivery (a cron calling it
+// every few minutes) or, for the Express server, by startBriefScheduler().
+//
+// ENV:
+// TXI_DASHBOARD_URL   link added to the email (e.g. https://host/txi-dashboard.html)
+// Mail transport: see lib/mailer.js
+
+import { randomUUID } from "node:crypto";
+import { readJson, writeJson, removeFile, listFiles } from "./store.js";
+import { listSubscriptions, saveDeliveryState, briefEmailSettings, localDay, isAllowedRecipient } from "./subscriptions.js";
+import { runTxiPipeline, parseAccountSelection } from "./txi-pipeline.js";
+import { writeBrief } from "./txi-brief.js";
+import { sendMail } from "./mailer.js";
+import { checkLlmBudget, chargeLlm, RateLimitError } from "./ratelimit.js";
+
+const LOG_DIR = "brief-deliveries";
+const DAY_MS = 86400000;
+const LLM_ROUTE = "txi-brief-delivery";
+
+// Briefs are written as the delivery job, never as whoever triggered the run
+const jobRequest = () => ({ headers: {}, auth: { type: "apiKey", id: "brief-delivery" } });
+const NO_HEADERS = { headersSent: true };
+
+const RISK_COLORS = { High: "#b42318", Medium: "#b54708", Low: "#067647" };
+
+// -------- Schedule --------
+const toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+
+/**
+ * Whether `sub` should be sent at `now`: { due, reason?, local }. `force`
+ * skips the schedule and today's attempt limit, not the other checks.
+ */
+export function deliveryDue(sub, now = new Date(), settings = briefEmailSettings(), { force = false } = {}) {
+  const local = localDay(now, sub.timeZone);
+  const today = sub.delivery?.localDate === local.date ? sub.delivery : null;
+  if (!sub.enabled) return { due: false, reason: "disabled", local };
+  if (!isAllowedRecipient(sub.recipient, settings)) return { due: false, reason: "recipient domain not allowed", local };
+  if (force) return { due: true, local };
+  if (today?.status === "sent") return { due: false, reason: "already sent today", local };
+  if ((today?.attempts || 0) >= settings.maxAttemptsPerDay) return { due: false, reason: "no attempts left today", local };
+  if (!sub.schedule.days.includes(local.weekday)) return { due: false, reason: "not a delivery day", local };
+  const late = local.minutes - toMinutes(sub.schedule.time);
+  if (late < 0) return { due: false, reason: "not yet time", local };
+  if (late > settings.catchUpMinutes) return { due: false, reason: "missed today's window", local };
+  return { due: true, local };
+}
+
+// -------- Rendering --------
+const escapeHtml = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+function scheduleText(sub) {
+  const days = sub.schedule.days.length === 7 ? "every day" : sub.schedule.days.map((d) => d[0].toUpperCase() + d.slice(1)).join(", ");
+  return `${sub.schedule.time} (${sub.timeZone}), ${days}`;
+}
+
+/**
+ * Subject, plain text and HTML of one brief email.
+ */
+export function renderBriefEmail({ sub, brief, risk, scope, local }) {
+  const url = process.env.TXI_DASHBOARD_URL || "";
+  const subject = `Executive brief — ${scope} — Risk: ${risk.level} — ${local.date}`;
+  const footer = [
+    `Risk level ${risk.level} (score ${risk.score}) for ${scope}.`,
+    ...(url ? [`Open the dashboard: ${url}`] : []),
+    `You receive this brief at ${scheduleText(sub)}. Ask your TXI administrator to change or stop it.`,
+  ];
+
+  const text = `${brief.trim()}\n\n—\n${footer.join("\n")}\n`;
+
+  const body = brief.trim().split("\n").map((line) => line.trim()).filter(Boolean).map((line) => {
+    if (/^EXECUTIVE BRIEF\b/i.test(line)) return `<h1 style="font-size:20px;margin:0 0 12px">${escapeHtml(line)}</h1>`;
+    if (/^\d\.\s/.test(line)) return `<h2 style="font-size:15px;margin:18px 0 4px;color:#344054">${escapeHtml(line)}</h2>`;
+    return `<p style="margin:0 0 8px;line-height:1.5">${escapeHtml(line)}</p>`;
+  });
+  const color = RISK_COLORS[risk.level] || "#344054";
+  const html = `<!doctype html>
+<html><body style="margin:0;padding:24px;background:#f9fafb;font-family:Segoe UI,Arial,sans-serif;color:#101828">
+<div style="max-width:640px;margin:0 auto;background:#ffffff;border:1px solid #eaecf0;border-radius:8px;padding:24px">
+<div style="margin-bottom:16px;font-size:13px;color:#475467">${escapeHtml(scope)} · ${escapeHtml(local.date)}
+<span style="display:inline-block;margin-left:8px;padding:2px 8px;border-radius:10px;background:${color};color:#ffffff;font-weight:600">Risk: ${escapeHtml(risk.level)}</span></div>
+${body.join("\n")}
+${url ? `<p style="margin:20px 0 0"><a href="${escapeHtml(url)}" style="color:#1570ef">Open the dashboard</a></p>` : ""}
+<p style="margin:20px 0 0;font-size:12px;color:#667085">You receive this brief at ${escapeHtml(scheduleText(sub))}. Ask your TXI administrator to change or stop it.</p>
+</div></body></html>`;
+
+  return { subject, text, html };
+}
+
+// -------- Delivery log --------
+function retentionDays() {
+  return briefEmailSettings().logRetentionDays;
+}
+
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// Appends to one day file are serialized per process
+let logQueue = Promise.resolve();
+
+function appendDeliveryLog(entry) {
+  const name = `${LOG_DIR}/${entry.attemptedAt.slice(0, 10)}.json`;
+  const run = logQueue.then(async () => {
+    const day = (await readJson(name, [])) || [];
+    day.push(entry);
+    await writeJson(name, day);
+    const cutoff = dayOf(Date.now() - retentionDays() * DAY_MS);
+    for (const file of await listFiles(LOG_DIR)) {
+      if (/^\d{4}-\d{2}-\d{2}\.json$/.test(file) && file.slice(0, 10) < cutoff) await removeFile(`${LOG_DIR}/${file}`);
+    }
+  });
+  logQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Logged delivery attempts of the last `days` days, newest first
+ * (optionally for one subscription).
+ */
+export async function listDeliveries({ days = 7, subscriptionId = null } = {}) {
+  const from = dayOf(Date.now() - Math.max(0, days - 1) * DAY_MS);
+  const files = (await listFiles(LOG_DIR)).filter((f) => /^\d{4}-\d{2}-\d{2}\.json$/.test(f) && f.slice(0, 10) >= from);
+  const entries = [];
+  for (const file of files) {
+    const day = (await readJson(`${LOG_DIR}/${file}`, [])) || [];
+    entries.push(...day.filter((e) => !subscriptionId || e.subscriptionId === subscriptionId));
+  }
+  return entries.sort((a, b) => b.attemptedAt.localeCompare(a.attemptedAt));
+}
+
+// -------- Job --------
+// One pipeline run and brief for a question and portfolio; a dry run saves no
+// snapshot and writes the deterministic brief without touching the LLM budget
+async function briefFor(question, portfolio, { dryRun = false } = {}) {
+  const selection = parseAccountSelection(portfolio ? { portfolio } : {}, question);
+  const run = await runTxiPipeline({ selection, req: jobRequest(), caller: "brief-delivery", origin: "brief-delivery", save: !dryRun });
+
+  const req = jobRequest();
+  let skipLlm = dryRun ? "dry run" : null;
+  if (!skipLlm) {
+    try {
+      await checkLlmBudget(req, NO_HEADERS, LLM_ROUTE);
+    } catch (e) {
+      if (!(e instanceof RateLimitError)) throw e;
+      console.warn("Brief delivery: LLM budget used up, sending the deterministic brief.");
+      skipLlm = e.message;
+    }
+  }
+  const brief = await writeBrief({ question, run, skipLlm, beforeLlm: () => chargeLlm(req, NO_HEADERS, LLM_ROUTE) });
+  const scope = run.sources.salesforce?.data?.selection?.portfolio?.name || selection.portfolio?.name || "Selected accounts";
+  return { run, brief, scope };
+}
+
+// Subscriptions being sent by this process (a slow run is not started twice)
+const sending = new Set();
+
+/**
+ * Send every due subscription (or the ones in `only`; `force` sends enabled
+ * ones in an allowed domain whatever their schedule and today's attempts).
+ * With dryRun nothing is sent, logged or saved, the model is not called and
+ * each result carries the rendered subject and text of the deterministic brief.
+ */
+export async function runDueDeliveries({ only = [], force = false, dryRun = false, now = new Date() } = {}) {
+  const settings = briefEmailSettings();
+  const results = [];
+  const groups = new Map();
+
+  for (const sub of await listSubscriptions()) {
+    if (only.length && !only.includes(sub.id)) continue;
+    const check = deliveryDue(sub, now, settings, { force });
+    if (!check.due || sending.has(sub.id)) {
+      results.push({ subscriptionId: sub.id, recipient: sub.recipient, sent: false, reason: sending.has(sub.id) ? "already sending" : check.reason });
+      continue;
+    }
+    const key = JSON.stringify([sub.question, sub.portfolio]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ sub, local: check.local });
+  }
+
+  for (const members of groups.values()) {
+    const { question, portfolio } = members[0].sub;
+    members.forEach(({ sub }) => sending.add(sub.id));
+    try {
+      let made;
+      let failure = null;
+      try {
+        made = await briefFor(question, portfolio, { dryRun });
+      } catch (e) {
+        console.error("Brief delivery: brief failed:", e?.message || e);
+        failure = e;
+      }
+
+      for (const { sub, local } of members) {
+        const today = sub.delivery?.localDate === local.date ? sub.delivery : null;
+        const attempt = (today?.attempts || 0) + 1;
+        const entry = {
+          id: randomUUID(),
+          subscriptionId: sub.id,
+          recipient: sub.recipient,
+          localDate: local.date,
+          attemptedAt: new Date().toISOString(),
+          attempt,
+          status: "failed",
+        };
+
+        let email = null;
+        if (!failure) {
+          email = renderBriefEmail({ sub, brief: made.brief.text, risk: made.run.risk, scope: made.scope, local });
+          Object.assign(entry, { subject: email.subject, riskLevel: made.run.risk.level, llm: made.brief.llm.used });
+        }
+
+        if (dryRun) {
+          results.push({ subscriptionId: sub.id, recipient: sub.recipient, sent: false, dryRun: true, ...(email ? { preview: { subject: email.subject, text: email.text } } : { error: failure?.message || String(failure) }) });
+          continue;
+        }
+
+        if (failure) {
+          Object.assign(entry, { error: failure?.message || String(failure), code: failure?.code || null });
+        } else {
+          try {
+            const sent = await sendMail({ to: sub.recipient, toName: sub.name || "", ...email });
+            Object.assign(entry, { status: "sent", transport: sent.transport, messageId: sent.messageId });
+          } catch (e) {
+            console.warn(`Brief delivery to ${sub.recipient} failed:`, e?.message || e);
+            Object.assign(entry, { error: e?.message || String(e), code: e?.code || null });
+          }
+        }
+
+        await appendDeliveryLog(entry).catch((e) => console.warn("Delivery log not written:", e?.message || e));
+        await saveDeliveryState(sub.id, {
+          localDate: local.date,
+          status: entry.status,
+          attempts: attempt,
+          lastAttemptAt: entry.attemptedAt,
+          ...(entry.messageId ? { messageId: entry.messageId } : {}),
+          ...(entry.error ? { error: entry.error } : {}),
+        });
+        results.push({ subscriptionId: sub.id, recipient: sub.recipient, sent: entry.status === "sent", deliveryId: entry.id, attempt, ...(entry.error ? { error: entry.error, code: entry.code } : {}) });
+      }
+    } finally {
+      members.forEach(({ sub }) => sending.delete(sub.id));
+    }
+  }
+  return results;
+}
+
+/**
+ * In-process scheduler for long-running servers: checks for due briefs
+ * every `intervalSeconds`. Returns a function that stops it.
+ */
+export function startBriefScheduler(intervalSeconds = 60) {
+  let busy = false;
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      for (const r of (await runDueDeliveries()).filter((x) => x.deliveryId)) {
+        console.log(`Brief to ${r.recipient}:`, r.sent ? "sent" : r.error);
+      }
+    } catch (e) {
+      console.error("Brief scheduler:", e?.message || e);
+    } finally {
+      busy = false;
+    }
+  };
+  const timer = setInterval(tick, Math.max(10, intervalSeconds) * 1000);
+  tick();
+  return () => clearInterval(timer);
+}
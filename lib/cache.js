@@ -0,0 +1,82 @@
+// lib/cache.js
+//
+// In-process stale-while-revalidate cache for slow upstream reads.
+//
+// - Within ttlSeconds an entry is served as is.
+// - For staleSeconds after that it is still served, and one background
+//   refresh replaces it.
+// - Older entries, missing entries and `force` load synchronously.
+// - Concurrent loads of one key share a single upstream call.
+// - Only results accepted by `keep` are stored. When a refresh fails or is
+//   not kept, the previous entry stays (it still expires normally).
+//
+// Entries live per process (one serverless instance), so a cold start always
+// misses; background refreshes may be cut short when an instance is frozen.
+
+const MAX_ENTRIES = 500;
+
+const entries = new Map();
+const loading = new Map();
+
+function load(key, loader, keep) {
+  if (loading.has(key)) return loading.get(key);
+
+  const p = (async () => {
+    const value = await loader();
+    if (keep(value)) {
+      entries.delete(key);
+      entries.set(key, { value, fetchedAt: Date.now() });
+      if (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+    }
+    return value;
+  })().finally(() => loading.delete(key));
+
+  loading.set(key, p);
+  return p;
+}
+
+function info(entry, extra) {
+  const fetchedAt = entry ? entry.fetchedAt : Date.now();
+  return {
+    hit: false,
+    stale: false,
+    refreshing: false,
+    ageSeconds: Math.max(0, Math.round((Date.now() - fetchedAt) / 1000)),
+    fetchedAt: new Date(fetchedAt).toISOString(),
+    ...extra,
+  };
+}
+
+/**
+ * Read `key` through the cache, calling `loader` when needed.
+ * Returns { value, cache: { hit, stale, refreshing, ageSeconds, fetchedAt, forced? } }.
+ * A ttlSeconds of 0 disables caching for the call.
+ */
+export async function cached(key, loader, { ttlSeconds = 60, staleSeconds = 0, force = false, keep = () => true } = {}) {
+  const ttlMs = Math.max(0, Number(ttlSeconds) || 0) * 1000;
+  const staleMs = Math.max(0, Number(staleSeconds) || 0) * 1000;
+
+  if (!ttlMs) return { value: await loader(), cache: info(null, { disabled: true }) };
+
+  const entry = entries.get(key);
+  const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+  if (!force && age < ttlMs) {
+    return { value: entry.value, cache: info(entry, { hit: true }) };
+  }
+
+  if (!force && age < ttlMs + staleMs) {
+    load(key, loader, keep).catch((e) => {
+      console.warn(`Background refresh of ${key} failed:`, e?.message || e);
+    });
+    return { value: entry.value, cache: info(entry, { hit: true, stale: true, refreshing: true }) };
+  }
+
+  const value = await load(key, loader, keep);
+  return { value, cache: info(null, force ? { forced: true } : {}) };
+}
+
+// Drop every entry (or the ones whose key starts with `prefix`).
+export function clearCache(prefix = "") {
+  for (const key of entries.keys()) if (key.startsWith(prefix)) entries.delete(key);
+}
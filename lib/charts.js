@@ -0,0 +1,189 @@
+// lib/charts.js
+//
+// Chart specs for the Salesforce assistant, built from a validated SOQL query
+// (lib/soql.js) and its records.
+//
+// Spec (what index.html renders):
+// {
+//   type:   "bar" | "line" | "stacked-bar" | "pie" | "table",
+//   title,
+//   labels: ["2024-07", …],                      // x axis / pie slices
+//   series: [{ name: "Prospecting", values: [] }],
+//   xAxis:  { label },
+//   yAxis:  { label, unit },                     // unit: "USD" | "count" | "%" | null
+//   table:  { columns: [{ key, label }], rows: [[…]] }   // always present
+// }
+//
+// Dimensions are the non-aggregate columns (fields or date buckets such as
+// CALENDAR_MONTH); measures are aggregates. Year + month / quarter buckets are
+// merged into one time label ("2024-07", "2024 Q3").
+//
+// ENV:
+// SF_CURRENCY   currency unit for Amount-like fields (default USD)
+
+import { readColumn } from "./soql.js";
+
+export const CHART_TYPES = ["bar", "line", "stacked-bar", "pie", "table"];
+
+const CURRENCY_FIELDS = new Set(["Amount", "AnnualRevenue", "ExpectedRevenue"]);
+const PERCENT_FIELDS = new Set(["Probability"]);
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const MAX_PIE_SLICES = 8;
+
+/**
+ * Chart type the user asked for, or null to pick one from the data.
+ */
+export function requestedChartType(question) {
+  const q = String(question || "").toLowerCase();
+  if (/\bstack(ed)?\b/.test(q)) return "stacked-bar";
+  if (/\btable\b/.test(q)) return "table";
+  if (/\b(pie|donut|doughnut)\b/.test(q)) return "pie";
+  if (/\b(line|trend|over time)\b/.test(q)) return "line";
+  if (/\b(bar|column)\b/.test(q)) return "bar";
+  return null;
+}
+
+function unitFor(column) {
+  if (column.fn === "COUNT" || column.fn === "COUNT_DISTINCT") return "count";
+  const field = String(column.field || "").split(".").pop();
+  if (CURRENCY_FIELDS.has(field)) return process.env.SF_CURRENCY || "USD";
+  if (PERCENT_FIELDS.has(field)) return "%";
+  return null;
+}
+
+function humanize(name) {
+  return String(name || "")
+    .replace(/\./g, " ")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .replace(/_/g, " ")
+    .trim();
+}
+
+function measureLabel(column) {
+  if (!column.fn) return humanize(column.label);
+  if (column.fn === "COUNT" || column.fn === "COUNT_DISTINCT") {
+    return column.field && column.field !== "Id" ? `Count of ${humanize(column.field)}` : "Count";
+  }
+  const verb = { SUM: "Total", AVG: "Average", MIN: "Minimum", MAX: "Maximum" }[column.fn] || column.fn;
+  return `${verb} ${humanize(column.field)}`.trim();
+}
+
+function dimensionLabel(column) {
+  if (!column.fn) return humanize(column.field || column.label);
+  const bucket = column.fn.toLowerCase().replace(/^calendar_|^fiscal_/, "").replace(/_/g, " ");
+  return `${humanize(column.field)} (${bucket})`;
+}
+
+const isTimeBucket = (c) => Boolean(c.fn && !c.aggregate);
+
+// One label per record for the time buckets in the query
+function timeLabel(record, timeColumns) {
+  const value = (fn) => {
+    const column = timeColumns.find((c) => c.fn === fn || c.fn === fn.replace("CALENDAR", "FISCAL"));
+    return column ? readColumn(record, column) : undefined;
+  };
+  const year = value("CALENDAR_YEAR");
+  const month = value("CALENDAR_MONTH");
+  const quarter = value("CALENDAR_QUARTER");
+
+  if (year != null && month != null) return `${year}-${String(month).padStart(2, "0")}`;
+  if (year != null && quarter != null) return `${year} Q${quarter}`;
+  if (month != null && timeColumns.length === 1) return MONTHS[Number(month) - 1] || String(month);
+  if (quarter != null && timeColumns.length === 1) return `Q${quarter}`;
+  return timeColumns.map((c) => readColumn(record, c) ?? "").join(" ");
+}
+
+// Sort key that keeps "Jan" before "Feb" and "2024-07" before "2024-10"
+function timeSortKey(record, timeColumns) {
+  return timeColumns.map((c) => String(readColumn(record, c) ?? "").padStart(10, "0")).join("|");
+}
+
+function pickType(requested, { hasTime, dimensions, seriesCount, labelCount }) {
+  if (requested) return requested;
+  if (dimensions > 1) return hasTime ? "stacked-bar" : "bar";
+  if (hasTime) return "line";
+  if (seriesCount === 1 && labelCount <= MAX_PIE_SLICES) return "pie";
+  return "bar";
+}
+
+function tableOf(columns, records) {
+  return {
+    columns: columns.map((c) => ({ key: c.key, label: c.aggregate ? measureLabel(c) : dimensionLabel(c) })),
+    rows: records.map((r) => columns.map((c) => readColumn(r, c) ?? null)),
+  };
+}
+
+/**
+ * Build a chart spec from a validated query and its records.
+ * Returns null when there is nothing to show.
+ */
+export function buildChartSpec({ query, records, question, title } = {}) {
+  if (!query?.columns?.length || !records?.length) return null;
+
+  const requested = requestedChartType(question);
+  const table = tableOf(query.columns, records);
+  const measures = query.columns.filter((c) => c.aggregate);
+  const dimensions = query.columns.filter((c) => !c.aggregate);
+
+  // Plain record lists (no aggregates) can only be shown as a table
+  if (!measures.length || !query.grouped) {
+    return { type: "table", title: title || "Salesforce records", labels: [], series: [], xAxis: null, yAxis: null, table };
+  }
+
+  const timeColumns = dimensions.filter(isTimeBucket);
+  const categoryColumns = dimensions.filter((c) => !isTimeBucket(c));
+  const hasTime = timeColumns.length > 0;
+
+  // x axis: the time bucket if there is one, otherwise the first category.
+  // A remaining category splits the measure into one series per value.
+  const xColumns = hasTime ? timeColumns : categoryColumns.slice(0, 1);
+  const splitColumn = hasTime ? categoryColumns[0] : categoryColumns[1];
+  const xOf = (r) => (hasTime ? timeLabel(r, timeColumns) : String(readColumn(r, xColumns[0]) ?? "Unknown"));
+
+  const ordered = hasTime
+    ? [...records].sort((a, b) => timeSortKey(a, timeColumns).localeCompare(timeSortKey(b, timeColumns)))
+    : records;
+  const labels = [...new Set(ordered.map(xOf))];
+
+  let series;
+  const measure = measures[0];
+  if (splitColumn) {
+    const names = [...new Set(ordered.map((r) => String(readColumn(r, splitColumn) ?? "Unknown")))];
+    series = names.map((name) => {
+      const values = labels.map(() => 0);
+      for (const r of ordered) {
+        if (String(readColumn(r, splitColumn) ?? "Unknown") !== name) continue;
+        values[labels.indexOf(xOf(r))] += Number(readColumn(r, measure) || 0);
+      }
+      return { name, values };
+    });
+  } else {
+    series = measures.map((m) => {
+      const values = labels.map(() => 0);
+      for (const r of ordered) values[labels.indexOf(xOf(r))] += Number(readColumn(r, m) || 0);
+      return { name: measureLabel(m), values };
+    });
+  }
+
+  let type = pickType(requested, {
+    hasTime,
+    dimensions: splitColumn ? 2 : 1,
+    seriesCount: series.length,
+    labelCount: labels.length,
+  });
+  // A pie can only show one series
+  if (type === "pie" && series.length > 1) type = "stacked-bar";
+
+  const xLabel = dimensionLabel(xColumns[xColumns.length - 1]);
+  const yLabel = measureLabel(measure);
+
+  return {
+    type,
+    title: title || `${yLabel} by ${splitColumn ? `${xLabel} and ${dimensionLabel(splitColumn)}` : xLabel}`,
+    labels,
+    series,
+    xAxis: { label: xLabel },
+    yAxis: { label: yLabel, unit: unitFor(measure) },
+    table,
+  };
+}
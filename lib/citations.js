@@ -0,0 +1,138 @@
+// lib/citations.js
+//
+// Citations for document answers.
+//
+// The model is asked to end every bullet with one or more markers:
+//   - Renewal is at risk [[cite: EBC_Account_Health_Risk.docx | "renewal is at risk"]]
+// The line format streams well and is easy to parse. After generation every
+// quote is checked against the extracted text of the cited file:
+// - verified citations are kept and numbered,
+// - a bullet without any verified citation is an unsupported claim and is
+//   removed (mode "remove", default) or kept with supported=false (mode "flag").
+//
+// ENV:
+// SP_CITATIONS_MODE   "remove" (default) | "flag"
+
+export const CITATION_INSTRUCTIONS = `
+Citation rules (mandatory):
+- Output ONLY bullet lines starting with "- ".
+- End every bullet with one or more citations in exactly this form:
+  [[cite: <file name> | "<exact quote copied from that file>"]]
+- Quotes must be copied word for word from the document text (max 25 words).
+- Do not write any statement you cannot cite.
+`.trim();
+
+export function getCitationsMode() {
+  return String(process.env.SP_CITATIONS_MODE || "remove").trim().toLowerCase() === "flag" ? "flag" : "remove";
+}
+
+const CITE_RE = /\[\[\s*cite\s*:\s*([^|\]]+?)\s*\|\s*["“]([\s\S]+?)["”]\s*\]\]/gi;
+
+// Case, whitespace, quote style and dash style should not break a match.
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Split model output into bullets: [{ text, citations: [{ file, quote }] }].
+ */
+export function parseCitedAnswer(raw) {
+  const bullets = [];
+  for (const line of String(raw || "").split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+
+    const citations = [];
+    for (const m of trimmed.matchAll(CITE_RE)) {
+      citations.push({ file: m[1].trim(), quote: m[2].trim() });
+    }
+
+    const text = trimmed
+      .replace(CITE_RE, "")
+      .replace(/^[-*•]\s*/, "")
+      .replace(/\s{2,}/g, " ")
+      .trim();
+    if (text) bullets.push({ text, citations });
+  }
+  return bullets;
+}
+
+function findFile(files, name) {
+  const wanted = normalize(name);
+  const stem = (n) => normalize(n).replace(/\.[a-z0-9]+$/, "");
+  return (
+    files.find((f) => normalize(f.fileName) === wanted) ||
+    files.find((f) => stem(f.fileName) === stem(name)) ||
+    null
+  );
+}
+
+// A quote with "..." must match each piece, in order.
+function quoteAppears(quote, text) {
+  const haystack = normalize(text);
+  let from = 0;
+  for (const piece of normalize(quote).split(/\s*(?:\.\.\.|…)\s*/)) {
+    if (!piece) continue;
+    const at = haystack.indexOf(piece, from);
+    if (at < 0) return false;
+    from = at + piece.length;
+  }
+  return from > 0;
+}
+
+/**
+ * Verify parsed bullets against the full extracted text of each file.
+ * files: [{ fileName, webUrl, text }]
+ * Returns { answer, bullets, citations, unsupportedClaims }.
+ */
+export function verifyCitations(raw, files, { mode = getCitationsMode() } = {}) {
+  const citations = [];
+  const bullets = [];
+  const unsupportedClaims = [];
+
+  const citationId = (file, quote) => {
+    const existing = citations.find((c) => c.fileName === file.fileName && normalize(c.quote) === normalize(quote));
+    if (existing) return existing.id;
+    const id = citations.length + 1;
+    citations.push({ id, fileName: file.fileName, webUrl: file.webUrl || "", quote });
+    return id;
+  };
+
+  for (const bullet of parseCitedAnswer(raw)) {
+    const verified = [];
+    const rejected = [];
+
+    for (const c of bullet.citations) {
+      const file = findFile(files, c.file);
+      if (file && quoteAppears(c.quote, file.text)) {
+        verified.push(citationId(file, c.quote));
+      } else {
+        rejected.push({ file: c.file, quote: c.quote, reason: file ? "QUOTE_NOT_FOUND" : "UNKNOWN_FILE" });
+      }
+    }
+
+    const supported = verified.length > 0;
+    if (!supported) {
+      unsupportedClaims.push({ text: bullet.text, rejectedCitations: rejected });
+      if (mode === "remove") continue;
+    }
+    bullets.push({ text: bullet.text, citations: verified, rejectedCitations: rejected, supported });
+  }
+
+  const answer = bullets.length
+    ? bullets
+        .map((b) => {
+          const refs = b.citations.map((id) => `[${id}]`).join("");
+          return `- ${b.text}${refs ? ` ${refs}` : ""}${b.supported ? "" : " (unverified)"}`;
+        })
+        .join("\n")
+    : "I couldn't verify any statement against the documents, so I'm not showing an answer. Try a more specific question.";
+
+  return { answer, bullets, citations, unsupportedClaims };
+}
@@ -0,0 +1,60 @@
+// lib/config.js
+//
+// JSON configuration files shipped with the app (config/<name>.json).
+//
+// Every config can be replaced without a redeploy through its own env var,
+// holding either inline JSON or a path to a JSON file.
+//
+// ENV:
+// CONFIG_DIR   directory holding the config files (default: <repo>/config)
+
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_DIR = fileURLToPath(new URL("../config", import.meta.url));
+
+const cache = new Map();
+
+export function configDir() {
+  return process.env.CONFIG_DIR || DEFAULT_DIR;
+}
+
+function readConfigFile(file) {
+  return JSON.parse(readFileSync(file, "utf8"));
+}
+
+function fromEnv(envVar) {
+  const raw = envVar ? String(process.env[envVar] || "").trim() : "";
+  if (!raw) return undefined;
+  if (raw.startsWith("{") || raw.startsWith("[")) return JSON.parse(raw);
+  return readConfigFile(path.resolve(raw));
+}
+
+/**
+ * Load config/<name>.json, or the override in `envVar`.
+ * Parsed configs are cached per process; a missing file returns `fallback`.
+ * Malformed JSON throws so a broken config is noticed instead of ignored.
+ */
+export function loadConfig(name, { envVar, fallback = null } = {}) {
+  const key = `${name}|${envVar || ""}|${configDir()}`;
+  if (cache.has(key)) return cache.get(key);
+
+  let value = fromEnv(envVar);
+  if (value === undefined) {
+    try {
+      value = readConfigFile(path.join(configDir(), `${name}.json`));
+    } catch (e) {
+      if (e?.code !== "ENOENT") throw new Error(`Invalid config "${name}": ${e?.message || e}`);
+      value = fallback;
+    }
+  }
+
+  cache.set(key, value);
+  return value;
+}
+
+// Lets a long-running process pick up config files edited on disk.
+export function clearConfigCache() {
+  cache.clear();
+}
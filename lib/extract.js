@@ -0,0 +1,350 @@
+// lib/extract.js
+//
+// Text extraction for SharePoint documents, shared by every route that reads files.
+//
+// Formats:
+// - PDF                      (pdf-parse)
+// - DOCX                     body, tables (cells joined with " | "), headers, footers, footnotes
+// - PPTX                     slide text and speaker notes, in slide order
+// - XLSX / XLSM / XLS / ODS  every sheet, one row per line (SheetJS ≥ 0.20.2 from
+//                            the SheetJS CDN; npm's "xlsx" stopped at 0.18.5,
+//                            which has known CVEs)
+// - CSV / TSV / TXT          as-is
+// - Markdown                 syntax stripped, text kept
+// - HTML / HTM / ASPX        tags, scripts and styles stripped
+// - DOC                      legacy Word (word-extractor)
+// - PPT                      legacy PowerPoint text atoms (cfb)
+//
+// extractText() never throws: it reports { ok, text, format, error } so callers
+// can show which files were readable.
+
+export function getExtension(name = "") {
+  const parts = name.split(".");
+  return parts.length < 2 ? "" : parts[parts.length - 1].toLowerCase();
+}
+
+const FORMATS = {
+  pdf: "pdf",
+  docx: "docx",
+  docm: "docx",
+  pptx: "pptx",
+  pptm: "pptx",
+  xlsx: "spreadsheet",
+  xlsm: "spreadsheet",
+  xls: "spreadsheet",
+  ods: "spreadsheet",
+  csv: "text",
+  tsv: "text",
+  txt: "text",
+  log: "text",
+  md: "markdown",
+  markdown: "markdown",
+  html: "html",
+  htm: "html",
+  aspx: "html",
+  doc: "doc",
+  ppt: "ppt",
+};
+
+const MIME_FORMATS = {
+  "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": "pptx",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "spreadsheet",
+  "application/vnd.ms-excel": "spreadsheet",
+  "application/msword": "doc",
+  "application/vnd.ms-powerpoint": "ppt",
+  "text/markdown": "markdown",
+  "text/html": "html",
+};
+
+export const SUPPORTED_EXTENSIONS = Object.keys(FORMATS);
+
+export function isSupportedExtension(ext) {
+  return Object.prototype.hasOwnProperty.call(FORMATS, ext);
+}
+
+export function detectFormat(name, mimeType = "") {
+  const ext = getExtension(name);
+  if (isSupportedExtension(ext)) return FORMATS[ext];
+  if (MIME_FORMATS[mimeType]) return MIME_FORMATS[mimeType];
+  if (String(mimeType).startsWith("text/")) return "text";
+  return null;
+}
+
+// -------- Shared helpers --------
+function decodeEntities(s) {
+  return String(s || "")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&nbsp;/g, " ")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function tidy(text) {
+  return String(text || "")
+    .replace(/^﻿/, "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+async function loadZip(buffer) {
+  const mod = await import("jszip");
+  const JSZip = mod.default || mod;
+  return JSZip.loadAsync(buffer);
+}
+
+function sortedParts(zip, pattern) {
+  const num = (name) => Number((name.match(/(\d+)\.xml$/) || [])[1] || 0);
+  return Object.keys(zip.files)
+    .filter((name) => pattern.test(name))
+    .sort((a, b) => num(a) - num(b));
+}
+
+/**
+ * Flatten Office Open XML to text: text runs are kept, paragraphs and table
+ * rows become lines, table cells are joined with " | ".
+ * `ns` is the run namespace ("w" for Word, "a" for DrawingML).
+ */
+function ooxmlToText(xml, ns) {
+  const out = [];
+  let inText = false;
+  const tagRe = /<(\/?)([A-Za-z]+:[A-Za-z]+)[^>]*?(\/?)>|([^<]+)/g;
+
+  for (const m of String(xml || "").matchAll(tagRe)) {
+    const [, closing, tag, selfClosing, textNode] = m;
+    if (textNode != null) {
+      if (inText) out.push(decodeEntities(textNode));
+      continue;
+    }
+    if (tag === `${ns}:t`) {
+      inText = !closing && !selfClosing;
+    } else if (tag === `${ns}:tab` && !closing) {
+      out.push("\t");
+    } else if ((tag === `${ns}:br` || tag === `${ns}:cr`) && !closing) {
+      out.push("\n");
+    } else if (tag === `${ns}:p` && closing) {
+      out.push("\n");
+    } else if (tag === "w:tc" && closing) {
+      out.push(" | ");
+    } else if (tag === "w:tr" && closing) {
+      out.push("\n");
+    }
+  }
+
+  return out
+    .join("")
+    .replace(/\n \| /g, " | ")
+    .replace(/(?: \| )+\n/g, "\n")
+    .replace(/[ \t]+\n/g, "\n");
+}
+
+// -------- Format extractors --------
+async function extractPdf(buffer) {
+  // The package entry point runs a self-test when imported directly; use the library file.
+  const mod = await import("pdf-parse/lib/pdf-parse.js");
+  const pdf = mod.default || mod;
+  const result = await pdf(buffer);
+  return result.text || "";
+}
+
+async function extractDocx(buffer) {
+  const zip = await loadZip(buffer);
+  const read = async (name) => (zip.file(name) ? zip.file(name).async("string") : "");
+
+  const body = ooxmlToText(await read("word/document.xml"), "w");
+  const sections = [body];
+
+  for (const [label, pattern] of [
+    ["Headers", /^word\/header\d*\.xml$/],
+    ["Footers", /^word\/footer\d*\.xml$/],
+  ]) {
+    const parts = [];
+    for (const name of sortedParts(zip, pattern)) {
+      const text = tidy(ooxmlToText(await read(name), "w"));
+      if (text && !parts.includes(text)) parts.push(text);
+    }
+    if (parts.length) sections.push(`${label}:\n${parts.join("\n")}`);
+  }
+
+  const notes = tidy(ooxmlToText(await read("word/footnotes.xml"), "w"));
+  if (notes) sections.push(`Footnotes:\n${notes}`);
+
+  let text = tidy(sections.join("\n\n"));
+
+  // Unusual producers sometimes defeat the XML walk; mammoth is more forgiving.
+  if (!body.trim()) {
+    const mammoth = await import("mammoth");
+    const result = await (mammoth.default || mammoth).extractRawText({ buffer });
+    text = tidy(`${result.value || ""}\n\n${text}`);
+  }
+  return text;
+}
+
+async function extractPptx(buffer) {
+  const zip = await loadZip(buffer);
+  const slides = [];
+
+  for (const name of sortedParts(zip, /^ppt\/slides\/slide\d+\.xml$/)) {
+    const n = (name.match(/(\d+)\.xml$/) || [])[1];
+    const text = tidy(ooxmlToText(await zip.file(name).async("string"), "a"));
+    const notesName = `ppt/notesSlides/notesSlide${n}.xml`;
+    const notes = zip.file(notesName)
+      ? tidy(ooxmlToText(await zip.file(notesName).async("string"), "a"))
+      : "";
+    if (!text && !notes) continue;
+    slides.push(`Slide ${n}:\n${text}${notes ? `\nNotes: ${notes}` : ""}`);
+  }
+  return slides.join("\n\n");
+}
+
+async function extractSpreadsheet(buffer) {
+  const xlsxModule = await import("xlsx");
+  const XLSX = xlsxModule.default || xlsxModule;
+  const workbook = XLSX.read(buffer, { type: "buffer" });
+  const sheets = [];
+
+  workbook.SheetNames.forEach((sheetName) => {
+    const sheet = workbook.Sheets[sheetName];
+    if (!sheet) return;
+    const rows = [];
+    const sheetJson = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false });
+    sheetJson.forEach((row) => {
+      const cells = (row || []).map((c) => (c == null ? "" : String(c)));
+      const line = cells.join(" | ").trim();
+      if (line) rows.push(line);
+    });
+    if (rows.length) sheets.push(`Sheet: ${sheetName}\n${rows.join("\n")}`);
+  });
+
+  return sheets.join("\n\n");
+}
+
+function extractMarkdown(buffer) {
+  return buffer
+    .toString("utf8")
+    .replace(/^```[^\n]*$/gm, "")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/^\s{0,3}#{1,6}\s+/gm, "")
+    .replace(/^\s{0,3}>\s?/gm, "")
+    .replace(/^\s*[-*+]\s+/gm, "- ")
+    .replace(/(\*\*|__)(.*?)\1/g, "$2")
+    .replace(/(\*|_)(.*?)\1/g, "$2")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/^\s*([-*_]\s*){3,}$/gm, "")
+    .replace(/^\|?(\s*:?-{3,}:?\s*\|)+\s*$/gm, "");
+}
+
+function extractHtml(buffer) {
+  const html = buffer.toString("utf8");
+  return decodeEntities(
+    html
+      .replace(/<!--[\s\S]*?-->/g, " ")
+      .replace(/<(script|style|noscript|template)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<\/(td|th)>/gi, " | ")
+      .replace(/<(br|hr)\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|li|tr|h[1-6]|section|article|header|footer|table|ul|ol)>/gi, "\n")
+      .replace(/<li[^>]*>/gi, "- ")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/[ \t]{2,}/g, " ")
+    .replace(/ \| \n/g, "\n");
+}
+
+async function extractDoc(buffer) {
+  const mod = await import("word-extractor");
+  const WordExtractor = mod.default || mod;
+  const doc = await new WordExtractor().extract(buffer);
+  return [
+    doc.getBody(),
+    doc.getHeaders({ includeFooters: true }),
+    doc.getFootnotes(),
+    doc.getEndnotes(),
+  ]
+    .map((s) => String(s || "").trim())
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// Legacy .ppt keeps slide text in TextCharsAtom (UTF-16LE) and TextBytesAtom
+// (Latin-1) records inside the "PowerPoint Document" stream.
+const PPT_TEXT_CHARS_ATOM = 0x0fa0;
+const PPT_TEXT_BYTES_ATOM = 0x0fa8;
+
+async function extractPpt(buffer) {
+  const mod = await import("cfb");
+  const CFB = mod.default || mod;
+  const container = CFB.read(buffer, { type: "buffer" });
+  const entry = CFB.find(container, "PowerPoint Document");
+  if (!entry?.content) return "";
+
+  const data = Buffer.from(entry.content);
+  const lines = [];
+  let pos = 0;
+
+  while (pos + 8 <= data.length) {
+    const verInstance = data.readUInt16LE(pos);
+    const type = data.readUInt16LE(pos + 2);
+    const len = data.readUInt32LE(pos + 4);
+    const body = pos + 8;
+
+    // Containers (version 0xF) hold child records: step inside them.
+    if ((verInstance & 0x0f) === 0x0f) {
+      pos = body;
+      continue;
+    }
+    if (body + len > data.length) break;
+
+    if (type === PPT_TEXT_CHARS_ATOM) {
+      lines.push(data.toString("utf16le", body, body + len));
+    } else if (type === PPT_TEXT_BYTES_ATOM) {
+      lines.push(data.toString("latin1", body, body + len));
+    }
+    pos = body + len;
+  }
+
+  return lines
+    .map((l) => l.replace(/\r/g, "\n").replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+const EXTRACTORS = {
+  pdf: extractPdf,
+  docx: extractDocx,
+  pptx: extractPptx,
+  spreadsheet: extractSpreadsheet,
+  text: (buffer) => buffer.toString("utf8"),
+  markdown: extractMarkdown,
+  html: extractHtml,
+  doc: extractDoc,
+  ppt: extractPpt,
+};
+
+// -------- Public API --------
+/**
+ * Extract plain text from a downloaded file.
+ * Returns { ok, text, format, error } — ok is false when the format is not
+ * supported, parsing failed, or the file has no text (e.g. a scanned PDF).
+ */
+export async function extractText({ buffer, name = "", mimeType = "" }) {
+  const format = detectFormat(name, mimeType);
+  if (!format) {
+    return { ok: false, text: "", format: null, error: `UNSUPPORTED_TYPE: ${getExtension(name) || mimeType || "unknown"}` };
+  }
+
+  try {
+    const text = tidy(await EXTRACTORS[format](buffer));
+    if (!text) return { ok: false, text: "", format, error: "EMPTY_TEXT" };
+    return { ok: true, text, format, error: null };
+  } catch (e) {
+    return { ok: false, text: "", format, error: `PARSE_FAILED: ${e?.message || String(e)}` };
+  }
+}
@@ -0,0 +1,350 @@
+// lib/graph.js
+//
+// Shared Microsoft Graph client used by every SharePoint route.
+//
+// - App-only token (client credentials) cached in memory until shortly before
+//   it expires; concurrent callers share one token request.
+// - Requests retry on 429 / 503 / 504 honouring Retry-After, and on network
+//   errors and timeouts with exponential backoff. A 401 refreshes the app
+//   token once.
+// - graphGetAll() follows @odata.nextLink; graphDelta() runs a delta query
+//   through to its deltaLink.
+// - getOboToken() exchanges a signed-in caller's token for a delegated Graph
+//   token (on-behalf-of); pass it as the `token` option.
+// - Failures throw GraphError with a stable `code`.
+//
+// ENV (GRAPH_* wins over MS_*):
+// GRAPH_TENANT_ID / MS_TENANT_ID
+// GRAPH_CLIENT_ID / MS_CLIENT_ID
+// GRAPH_CLIENT_SECRET / MS_CLIENT_SECRET
+// GRAPH_TIMEOUT_MS          per-attempt timeout (default 25000)
+// GRAPH_MAX_RETRIES         retries for throttling / transient errors (default 3)
+// GRAPH_MAX_RETRY_WAIT_MS   longest single wait, Retry-After included (default 30000)
+// GRAPH_OBO_SCOPE           delegated scopes for on-behalf-of (default https://graph.microsoft.com/.default)
+
+import { createHash } from "node:crypto";
+
+export const GRAPH_BASE = "https://graph.microsoft.com/v1.0";
+
+const TOKEN_SKEW_MS = 5 * 60000;
+
+export class GraphError extends Error {
+  constructor(message, { code = "GRAPH_REQUEST_FAILED", status = null, graphCode = null, requestId = null, url = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "GraphError";
+    this.code = code;
+    this.status = status;
+    this.graphCode = graphCode;
+    this.requestId = requestId;
+    this.url = url;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function envNumber(name, fallback) {
+  const x = Number(process.env[name]);
+  return process.env[name] != null && process.env[name] !== "" && Number.isFinite(x) && x >= 0 ? x : fallback;
+}
+
+function credentials() {
+  const pick = (name) => process.env[`GRAPH_${name}`] || process.env[`MS_${name}`] || "";
+  return { tenantId: pick("TENANT_ID"), clientId: pick("CLIENT_ID"), clientSecret: pick("CLIENT_SECRET") };
+}
+
+export function isGraphConfigured() {
+  const { tenantId, clientId, clientSecret } = credentials();
+  return Boolean(tenantId && clientId && clientSecret);
+}
+
+function codeForStatus(status) {
+  if (status === 401) return "GRAPH_UNAUTHORIZED";
+  if (status === 403) return "GRAPH_FORBIDDEN";
+  if (status === 404) return "GRAPH_NOT_FOUND";
+  if (status === 429 || status === 503) return "GRAPH_THROTTLED";
+  return "GRAPH_REQUEST_FAILED";
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(resp) {
+  const raw = resp.headers.get("retry-after");
+  if (!raw) return null;
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(raw);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+function backoffMs(attempt) {
+  return Math.min(500 * 2 ** attempt, 8000) + Math.floor(Math.random() * 250);
+}
+
+// -------- Tokens --------
+let cachedToken = null; // { key, token, expiresAt }
+let tokenInflight = null;
+
+function requireCredentials() {
+  const creds = credentials();
+  if (!creds.tenantId || !creds.clientId || !creds.clientSecret) {
+    throw new GraphError("Graph credentials are not set (GRAPH_* or MS_* tenant / client id / client secret)", {
+      code: "GRAPH_NOT_CONFIGURED",
+    });
+  }
+  return creds;
+}
+
+// POST to the tenant's token endpoint; `code` labels failures
+async function tokenRequest(params, code) {
+  const { tenantId, clientId, clientSecret } = requireCredentials();
+  const url = `https://login.microsoftonline.com/${encodeURIComponent(tenantId)}/oauth2/v2.0/token`;
+  const body = new URLSearchParams({ client_id: clientId, client_secret: clientSecret, ...params });
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), envNumber("GRAPH_TIMEOUT_MS", 25000));
+  let resp;
+  let data = null;
+  try {
+    resp = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: body.toString(),
+      signal: controller.signal,
+    });
+    try { data = await resp.json(); } catch {}
+  } catch (e) {
+    throw new GraphError(`Graph token request failed: ${e?.name === "AbortError" ? "timed out" : e?.message || e}`, {
+      code,
+      url,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!resp.ok || !data?.access_token) {
+    throw new GraphError(`Graph token request failed HTTP ${resp.status}: ${data?.error_description || data?.error || "no access_token"}`, {
+      code,
+      status: resp.status,
+      graphCode: data?.error || null,
+      url,
+    });
+  }
+  return { token: data.access_token, expiresAt: Date.now() + Number(data.expires_in || 3600) * 1000 };
+}
+
+async function requestAppToken() {
+  const { tenantId, clientId } = requireCredentials();
+  const t = await tokenRequest(
+    { grant_type: "client_credentials", scope: "https://graph.microsoft.com/.default" },
+    "GRAPH_AUTH_FAILED"
+  );
+  return { key: `${tenantId}|${clientId}`, ...t };
+}
+
+/**
+ * App-only Graph token, served from the in-memory cache while it is valid.
+ */
+export async function getGraphToken({ forceRefresh = false } = {}) {
+  const { tenantId, clientId } = credentials();
+  const key = `${tenantId}|${clientId}`;
+  if (!forceRefresh && cachedToken?.key === key && Date.now() < cachedToken.expiresAt - TOKEN_SKEW_MS) {
+    return cachedToken.token;
+  }
+
+  if (!tokenInflight) {
+    tokenInflight = requestAppToken()
+      .then((t) => {
+        cachedToken = t;
+        return t.token;
+      })
+      .finally(() => {
+        tokenInflight = null;
+      });
+  }
+  return tokenInflight;
+}
+
+// Delegated tokens keyed by a hash of the caller's token, never the token itself
+const oboTokens = new Map(); // key -> { token, expiresAt }
+const oboInflight = new Map();
+const OBO_CACHE_MAX = 500;
+
+/**
+ * Exchange the caller's Azure AD access token (issued for this app) for a
+ * delegated Graph token (OAuth on-behalf-of flow). Cached until shortly
+ * before it expires. Throws GraphError "GRAPH_OBO_FAILED" when Azure AD
+ * rejects the caller's token.
+ */
+export async function getOboToken(userAssertion) {
+  const key = createHash("sha256").update(String(userAssertion)).digest("hex");
+  const cached = oboTokens.get(key);
+  if (cached && Date.now() < cached.expiresAt - TOKEN_SKEW_MS) return cached.token;
+
+  if (!oboInflight.has(key)) {
+    const scope = process.env.GRAPH_OBO_SCOPE || "https://graph.microsoft.com/.default";
+    oboInflight.set(
+      key,
+      tokenRequest(
+        {
+          grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+          requested_token_use: "on_behalf_of",
+          assertion: userAssertion,
+          scope,
+        },
+        "GRAPH_OBO_FAILED"
+      )
+        .then((t) => {
+          if (oboTokens.size >= OBO_CACHE_MAX) {
+            for (const [k, v] of oboTokens) if (Date.now() >= v.expiresAt - TOKEN_SKEW_MS) oboTokens.delete(k);
+            if (oboTokens.size >= OBO_CACHE_MAX) oboTokens.delete(oboTokens.keys().next().value);
+          }
+          oboTokens.set(key, t);
+          return t.token;
+        })
+        .finally(() => oboInflight.delete(key))
+    );
+  }
+  return oboInflight.get(key);
+}
+
+// -------- Requests --------
+function toUrl(pathOrUrl) {
+  return /^https:\/\//i.test(pathOrUrl) ? pathOrUrl : `${GRAPH_BASE}${pathOrUrl.startsWith("/") ? "" : "/"}${pathOrUrl}`;
+}
+
+async function readError(resp, url) {
+  let body = null;
+  try { body = await resp.json(); } catch {}
+  const status = resp.status;
+  return new GraphError(`Graph request failed HTTP ${status}${body?.error?.message ? `: ${body.error.message}` : ""} (${url})`, {
+    code: codeForStatus(status),
+    status,
+    graphCode: body?.error?.code || null,
+    requestId: resp.headers.get("request-id") || body?.error?.innerError?.["request-id"] || null,
+    url,
+    retryAfterMs: retryAfterMs(resp),
+  });
+}
+
+/**
+ * Call Graph with retries. `pathOrUrl` is relative to /v1.0 or an absolute
+ * Graph URL (e.g. a nextLink).
+ * Options: method, headers, body, responseType ("json" | "buffer" | "text"),
+ *          token (use this token instead of the app token), timeoutMs, retries.
+ */
+export async function graphRequest(pathOrUrl, options = {}) {
+  const {
+    method = "GET",
+    headers = {},
+    body,
+    responseType = "json",
+    token: explicitToken = null,
+    timeoutMs = envNumber("GRAPH_TIMEOUT_MS", 25000),
+    retries = envNumber("GRAPH_MAX_RETRIES", 3),
+  } = options;
+  const url = toUrl(pathOrUrl);
+  const maxWait = envNumber("GRAPH_MAX_RETRY_WAIT_MS", 30000);
+
+  let refreshedToken = false;
+  for (let attempt = 0; ; attempt++) {
+    const token = explicitToken || (await getGraphToken());
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, ...headers },
+        body,
+        signal: controller.signal,
+      });
+    } catch (e) {
+      clearTimeout(timer);
+      const timedOut = e?.name === "AbortError";
+      if (attempt < retries) {
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+      throw new GraphError(`Graph request ${timedOut ? "timed out" : `failed: ${e?.message || e}`} (${url})`, {
+        code: timedOut ? "GRAPH_TIMEOUT" : "GRAPH_REQUEST_FAILED",
+        url,
+      });
+    }
+
+    try {
+      if (resp.ok) {
+        if (responseType === "buffer") return Buffer.from(await resp.arrayBuffer());
+        if (responseType === "text") return await resp.text();
+        if (resp.status === 204) return null;
+        const raw = await resp.text();
+        try {
+          return raw ? JSON.parse(raw) : null;
+        } catch {
+          throw new GraphError(`Graph returned invalid JSON (${url})`, { code: "GRAPH_BAD_RESPONSE", status: resp.status, url });
+        }
+      }
+
+      // Expired app token: refresh once and try again
+      if (resp.status === 401 && !explicitToken && !refreshedToken) {
+        refreshedToken = true;
+        await getGraphToken({ forceRefresh: true });
+        attempt--;
+        continue;
+      }
+
+      const error = await readError(resp, url);
+      const transient = resp.status === 429 || resp.status === 503 || resp.status === 504;
+      const wait = error.retryAfterMs ?? backoffMs(attempt);
+      if (transient && attempt < retries && wait <= maxWait) {
+        await sleep(wait);
+        continue;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export function graphGet(pathOrUrl, options = {}) {
+  return graphRequest(pathOrUrl, { ...options, method: "GET", responseType: "json" });
+}
+
+export function graphDownload(pathOrUrl, options = {}) {
+  return graphRequest(pathOrUrl, { ...options, method: "GET", responseType: "buffer" });
+}
+
+/**
+ * GET a collection and follow @odata.nextLink.
+ * Options: maxPages (default 100), maxItems (default Infinity), plus graphRequest options.
+ */
+export async function graphGetAll(pathOrUrl, { maxPages = 100, maxItems = Infinity, ...options } = {}) {
+  const items = [];
+  let url = pathOrUrl;
+  for (let page = 0; url && page < maxPages; page++) {
+    const data = await graphGet(url, options);
+    items.push(...(data?.value || []));
+    if (items.length >= maxItems) return items.slice(0, maxItems);
+    url = data?.["@odata.nextLink"] || null;
+  }
+  return items;
+}
+
+/**
+ * Run a delta query (e.g. /drives/{id}/root/delta or a saved deltaLink) to
+ * the end and return { items, deltaLink }. Throws GraphError with status 410
+ * when Graph wants a full resync.
+ */
+export async function graphDelta(pathOrUrl, { maxPages = 1000, ...options } = {}) {
+  const items = [];
+  let url = pathOrUrl;
+  for (let page = 0; page < maxPages; page++) {
+    const data = await graphGet(url, options);
+    items.push(...(data?.value || []));
+    if (data?.["@odata.deltaLink"]) return { items, deltaLink: data["@odata.deltaLink"] };
+    url = data?.["@odata.nextLink"];
+    if (!url) break;
+  }
+  throw new GraphError(`Graph delta query did not finish (${toUrl(pathOrUrl)})`, { code: "GRAPH_BAD_RESPONSE", url: toUrl(pathOrUrl) });
+}
@@ -0,0 +1,317 @@
+// lib/llm.js
+//
+// Shared LLM provider layer used by every assistant route.
+//
+// Providers:
+// - "gemini": Google Generative Language API (generateContent / streamGenerateContent)
+// - "local":  deterministic, offline provider for local runs and tests
+//
+// ENV:
+// LLM_PROVIDER        "gemini" (default) | "local"
+// LLM_MODEL           model override (falls back to GEMINI_MODEL, then gemini-2.5-flash)
+// LLM_TEMPERATURE     default temperature (optional)
+// LLM_MAX_TOKENS      default maxOutputTokens (optional)
+// LLM_TIMEOUT_MS      per-attempt timeout (default 25000)
+// LLM_MAX_RETRIES     retries on 429 / 5xx / timeouts (default 2)
+// LLM_LOCAL_RESPONSE  fixed reply for the local provider (optional)
+// GEMINI_API_KEY
+
+import { createHash } from "node:crypto";
+
+const DEFAULT_MODEL = "gemini-2.5-flash";
+const DEFAULT_TIMEOUT_MS = 25000;
+const DEFAULT_RETRIES = 2;
+
+export class LlmError extends Error {
+  constructor(message, { code = "LLM_ERROR", status = null, provider = null, retryable = false, details = null } = {}) {
+    super(message);
+    this.name = "LlmError";
+    this.code = code;
+    this.status = status;
+    this.provider = provider;
+    this.retryable = retryable;
+    this.details = details;
+  }
+}
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw == null || raw === "") return fallback;
+  const x = Number(raw);
+  return Number.isFinite(x) ? x : fallback;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// -------- Configuration --------
+export function getLlmProvider() {
+  return String(process.env.LLM_PROVIDER || "gemini").trim().toLowerCase();
+}
+
+export function getLlmModel(override) {
+  if (override) return String(override).trim();
+  if (getLlmProvider() === "local") return "local-deterministic";
+  return String(process.env.LLM_MODEL || process.env.GEMINI_MODEL || DEFAULT_MODEL).trim();
+}
+
+export function isLlmConfigured() {
+  const provider = getLlmProvider();
+  if (provider === "local") return true;
+  if (provider === "gemini") return !!process.env.GEMINI_API_KEY;
+  return false;
+}
+
+// -------- Gemini provider --------
+function parseRetryAfter(value) {
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+  return null;
+}
+
+// Opens a Gemini request and maps transport / HTTP failures to LlmError.
+// The caller owns the controller so streaming reads stay under the same timeout.
+async function geminiOpen({ prompt, system, model, generationConfig, method, query, controller, timeoutMs }) {
+  const key = process.env.GEMINI_API_KEY;
+  if (!key) {
+    throw new LlmError("GEMINI_API_KEY is not configured", { code: "NOT_CONFIGURED", provider: "gemini" });
+  }
+
+  const url =
+    `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:${method}?${query ? `${query}&` : ""}key=${encodeURIComponent(key)}`;
+
+  const body = {
+    contents: [{ role: "user", parts: [{ text: prompt }] }],
+  };
+  if (system) body.systemInstruction = { parts: [{ text: system }] };
+  if (Object.keys(generationConfig).length) body.generationConfig = generationConfig;
+
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+  } catch (e) {
+    throw transportError(e, timeoutMs);
+  }
+
+  if (!resp.ok) {
+    const raw = await resp.text().catch(() => "");
+    let data = null;
+    try { data = JSON.parse(raw); } catch {}
+    const msg = data?.error?.message || "Gemini API error";
+    throw new LlmError(`Gemini error (${resp.status}): ${msg}`, {
+      code: "HTTP_ERROR",
+      status: resp.status,
+      provider: "gemini",
+      retryable: resp.status === 429 || resp.status >= 500,
+      details: { retryAfterMs: parseRetryAfter(resp.headers.get("retry-after")) },
+    });
+  }
+
+  return resp;
+}
+
+function transportError(e, timeoutMs) {
+  if (e instanceof LlmError) return e;
+  const timedOut = e?.name === "AbortError";
+  return new LlmError(timedOut ? `Gemini timed out after ${timeoutMs}ms` : `Gemini request failed: ${e?.message || e}`, {
+    code: timedOut ? "TIMEOUT" : "NETWORK_ERROR",
+    provider: "gemini",
+    retryable: true,
+  });
+}
+
+function candidateText(data) {
+  const parts = data?.candidates?.[0]?.content?.parts || [];
+  return parts.map((p) => p?.text || "").join("");
+}
+
+async function geminiGenerate(request) {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), request.timeoutMs);
+
+  try {
+    const resp = await geminiOpen({ ...request, method: "generateContent", controller });
+    const raw = await resp.text().catch((e) => { throw transportError(e, request.timeoutMs); });
+
+    let data = null;
+    try { data = JSON.parse(raw); } catch {}
+    if (!data) {
+      throw new LlmError("Gemini returned non-JSON", { code: "BAD_RESPONSE", status: resp.status, provider: "gemini" });
+    }
+    return candidateText(data);
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+// Server-sent events from streamGenerateContent; the timeout resets on every chunk.
+async function* geminiStream(request) {
+  const controller = new AbortController();
+  let id = setTimeout(() => controller.abort(), request.timeoutMs);
+
+  try {
+    const resp = await geminiOpen({ ...request, method: "streamGenerateContent", query: "alt=sse", controller });
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    try {
+      for await (const chunk of resp.body) {
+        clearTimeout(id);
+        id = setTimeout(() => controller.abort(), request.timeoutMs);
+
+        buffer += decoder.decode(chunk, { stream: true });
+        const frames = buffer.split(/\r?\n\r?\n/);
+        buffer = frames.pop();
+
+        for (const frame of frames) {
+          const text = parseGeminiFrame(frame);
+          if (text) yield text;
+        }
+      }
+    } catch (e) {
+      throw transportError(e, request.timeoutMs);
+    }
+
+    const tail = parseGeminiFrame(buffer);
+    if (tail) yield tail;
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+function parseGeminiFrame(frame) {
+  const payload = String(frame || "")
+    .split(/\r?\n/)
+    .filter((line) => line.startsWith("data:"))
+    .map((line) => line.slice(5).trim())
+    .join("");
+  if (!payload) return "";
+  try {
+    return candidateText(JSON.parse(payload));
+  } catch {
+    return "";
+  }
+}
+
+// -------- Local provider --------
+// Same input always yields the same output, and nothing leaves the process.
+function localGenerate({ prompt, system }) {
+  const fixed = process.env.LLM_LOCAL_RESPONSE;
+  if (fixed) return fixed;
+
+  const digest = createHash("sha256").update(`${system || ""}\n${prompt}`).digest("hex").slice(0, 12);
+  const excerpt = String(prompt || "").replace(/\s+/g, " ").trim().slice(0, 240);
+  return `[local:${digest}] ${excerpt}`;
+}
+
+async function* localStream(request) {
+  const text = localGenerate(request);
+  for (const word of text.match(/\S+\s*/g) || []) yield word;
+}
+
+const PROVIDERS = {
+  gemini: { generate: geminiGenerate, stream: geminiStream },
+  local: { generate: localGenerate, stream: localStream },
+};
+
+// -------- Public API --------
+function prepareRequest({
+  prompt,
+  system,
+  model,
+  temperature,
+  maxOutputTokens,
+  timeoutMs,
+  retries,
+}) {
+  const provider = getLlmProvider();
+  const impl = PROVIDERS[provider];
+  if (!impl) {
+    throw new LlmError(`Unknown LLM_PROVIDER "${provider}"`, { code: "NOT_CONFIGURED", provider });
+  }
+
+  const generationConfig = {};
+  const temp = temperature ?? envNumber("LLM_TEMPERATURE", null);
+  const maxTokens = maxOutputTokens ?? envNumber("LLM_MAX_TOKENS", null);
+  if (temp != null) generationConfig.temperature = temp;
+  if (maxTokens != null) generationConfig.maxOutputTokens = maxTokens;
+
+  return {
+    provider,
+    impl,
+    maxRetries: retries ?? envNumber("LLM_MAX_RETRIES", DEFAULT_RETRIES),
+    request: {
+      prompt: String(prompt || ""),
+      system,
+      model: getLlmModel(model),
+      generationConfig,
+      timeoutMs: timeoutMs ?? envNumber("LLM_TIMEOUT_MS", DEFAULT_TIMEOUT_MS),
+    },
+  };
+}
+
+function toLlmError(e, provider) {
+  return e instanceof LlmError
+    ? e
+    : new LlmError(e?.message || String(e), { provider, details: { cause: String(e) } });
+}
+
+function backoffMs(err, attempt) {
+  return Math.min(err.details?.retryAfterMs ?? 500 * 2 ** attempt, 10000);
+}
+
+/**
+ * Generate text with the configured provider.
+ * Returns { text, model, provider } or throws LlmError.
+ */
+export async function generateText(options = {}) {
+  const { provider, impl, request, maxRetries } = prepareRequest(options);
+
+  let lastErr = null;
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      const text = await impl.generate(request);
+      return { text: String(text || "").trim(), model: request.model, provider };
+    } catch (e) {
+      lastErr = toLlmError(e, provider);
+      if (!lastErr.retryable || attempt === maxRetries) break;
+      await sleep(backoffMs(lastErr, attempt));
+    }
+  }
+
+  console.error("LLM error:", lastErr.provider, lastErr.code, lastErr.message);
+  throw lastErr;
+}
+
+/**
+ * Stream text chunks from the configured provider.
+ * Takes the same options as generateText. Retries only happen before the
+ * first chunk has been yielded; after that an LlmError is thrown as-is.
+ */
+export async function* streamText(options = {}) {
+  const { provider, impl, request, maxRetries } = prepareRequest(options);
+
+  let lastErr = null;
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    let yielded = false;
+    try {
+      for await (const chunk of impl.stream(request)) {
+        if (!chunk) continue;
+        yielded = true;
+        yield chunk;
+      }
+      return;
+    } catch (e) {
+      lastErr = toLlmError(e, provider);
+      if (yielded || !lastErr.retryable || attempt === maxRetries) break;
+      await sleep(backoffMs(lastErr, attempt));
+    }
+  }
+
+  console.error("LLM stream error:", lastErr.provider, lastErr.code, lastErr.message);
+  throw lastErr;
+}
@@ -0,0 +1,144 @@
+// lib/mailer.js
+//
+// Outgoing email through nodemailer: multipart/alternative messages (plain
+// text and HTML) to one recipient at a time.
+//
+// Transports:
+// - "smtp"  the configured server; for testing point it at a local sink
+//           (e.g. Mailpit or smtp4dev: SMTP_HOST=localhost SMTP_PORT=1025)
+// - "file"  writes each message as an .eml file under DATA_DIR/outbox
+//
+// ENV:
+// MAIL_TRANSPORT        "smtp" (default) | "file"
+// SMTP_FROM             sender, e.g. "TXI Briefs <briefs@example.com>" (required)
+// SMTP_HOST, SMTP_PORT  server (port default 587, or 465 with SMTP_SECURE)
+// SMTP_SECURE           "true" for TLS from the start (port 465)
+// SMTP_STARTTLS         "auto" (default: upgrade when offered) | "required" | "off"
+// SMTP_USER, SMTP_PASSWORD   optional; never sent over an unencrypted
+//                       connection unless SMTP_STARTTLS is "off"
+// SMTP_TLS_INSECURE     "true" accepts self-signed certificates (test servers)
+// SMTP_TIMEOUT_MS       connection and per-command timeout (default 20000)
+// SMTP_HELO             name sent with EHLO (default: the host name)
+
+import os from "node:os";
+import path from "node:path";
+import { promises as fs } from "node:fs";
+import { randomUUID } from "node:crypto";
+import nodemailer from "nodemailer";
+import { dataPath } from "./store.js";
+
+export class MailError extends Error {
+  constructor(message, { code = "MAIL_FAILED", status = null } = {}) {
+    super(message);
+    this.name = "MailError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const flag = (v) => ["1", "true", "yes"].includes(String(v || "").toLowerCase());
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function settings() {
+  const secure = flag(process.env.SMTP_SECURE);
+  return {
+    transport: String(process.env.MAIL_TRANSPORT || "smtp").toLowerCase(),
+    from: process.env.SMTP_FROM || "",
+    host: process.env.SMTP_HOST || "",
+    port: envNumber("SMTP_PORT", secure ? 465 : 587),
+    secure,
+    starttls: String(process.env.SMTP_STARTTLS || "auto").toLowerCase(),
+    user: process.env.SMTP_USER || "",
+    password: process.env.SMTP_PASSWORD || "",
+    rejectUnauthorized: !flag(process.env.SMTP_TLS_INSECURE),
+    timeoutMs: envNumber("SMTP_TIMEOUT_MS", 20000),
+    helo: process.env.SMTP_HELO || os.hostname() || "localhost",
+  };
+}
+
+export function isMailConfigured() {
+  const s = settings();
+  return !!s.from && (s.transport === "file" || (s.transport === "smtp" && !!s.host));
+}
+
+// -------- Addresses --------
+const ADDRESS = /^[^\s@<>()",;:]+@[^\s@<>()",;:]+\.[^\s@<>()",;:]+$/;
+
+export function isValidEmail(address) {
+  return ADDRESS.test(String(address || "")) && String(address).length <= 254;
+}
+
+// "Name <a@b.c>" or "a@b.c" -> { name, address }
+function parseMailbox(value) {
+  const m = String(value || "").trim().match(/^(.*?)\s*<([^>]+)>$/);
+  return m ? { name: m[1].replace(/^"|"$/g, ""), address: m[2].trim() } : { name: "", address: String(value || "").trim() };
+}
+
+// -------- Transports --------
+function smtpTransport(s) {
+  return nodemailer.createTransport({
+    host: s.host,
+    port: s.port,
+    secure: s.secure,
+    // Credentials wait for TLS unless STARTTLS is turned off
+    requireTLS: !s.secure && (s.starttls === "required" || (!!s.user && s.starttls !== "off")),
+    ignoreTLS: !s.secure && s.starttls === "off",
+    auth: s.user ? { user: s.user, pass: s.password } : undefined,
+    tls: { servername: s.host, rejectUnauthorized: s.rejectUnauthorized },
+    name: s.helo,
+    connectionTimeout: s.timeoutMs,
+    greetingTimeout: s.timeoutMs,
+    socketTimeout: s.timeoutMs,
+  });
+}
+
+// nodemailer errors -> MailError (codes as returned to the delivery log)
+function mailError(e) {
+  const status = Number(e?.responseCode) || null;
+  let code = "MAIL_FAILED";
+  if (e?.code === "ETLS") code = "MAIL_INSECURE";
+  else if (e?.code === "ETIMEDOUT") code = "MAIL_TIMEOUT";
+  else if (status >= 500) code = "MAIL_REJECTED";
+  const message = e?.command && e.command !== "CONN" ? `SMTP ${e.command} failed: ${e.message}` : `SMTP: ${e?.message || e}`;
+  return new MailError(message, { code, status });
+}
+
+/**
+ * Send one message to one recipient.
+ * Returns { transport, messageId, response? (SMTP), file? (file transport) };
+ * throws MailError.
+ */
+export async function sendMail({ to, toName = "", subject, text, html }) {
+  const s = settings();
+  const from = parseMailbox(s.from);
+  if (!isValidEmail(from.address)) throw new MailError("SMTP_FROM is not set to a valid address.", { code: "MAIL_NOT_CONFIGURED" });
+  if (!isValidEmail(to)) throw new MailError(`Invalid recipient "${to}".`, { code: "MAIL_BAD_RECIPIENT" });
+
+  const messageId = `<${randomUUID()}@${from.address.split("@")[1]}>`;
+  const message = { from, to: { name: toName, address: to }, subject, text, html, messageId, date: new Date() };
+
+  if (s.transport === "file") {
+    const { message: raw } = await nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "windows" }).sendMail(message);
+    const name = `outbox/${new Date().toISOString().replace(/[:.]/g, "-")}-${randomUUID().slice(0, 8)}.eml`;
+    const file = dataPath(name);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, raw);
+    return { transport: "file", messageId, file: name };
+  }
+  if (s.transport !== "smtp") throw new MailError(`Unknown MAIL_TRANSPORT "${s.transport}".`, { code: "MAIL_NOT_CONFIGURED" });
+  if (!s.host) throw new MailError("SMTP_HOST is not set.", { code: "MAIL_NOT_CONFIGURED" });
+
+  const transport = smtpTransport(s);
+  try {
+    const info = await transport.sendMail(message);
+    return { transport: "smtp", messageId, response: info.response };
+  } catch (e) {
+    throw mailError(e);
+  } finally {
+    transport.close();
+  }
+}
@@ -0,0 +1,337 @@
+// lib/monitor.js
+//
+// Scheduled TXI risk monitors (config/monitors.json). Each monitor runs the
+// dashboard pipeline (lib/txi-pipeline.js) for its accounts on its own cadence
+// and posts alerts to its webhooks (lib/webhooks.js) when:
+//   - the risk level changes                        (alerts.riskLevelChange)
+//   - P1 incidents reach a threshold                (alerts.p1Threshold)
+//   - at-risk deal value moves by a percentage since
+//     the value last alerted on (or first seen)     (alerts.atRiskAmountChangePct)
+// Figures from a source that failed are not compared.
+//
+// {
+//   "dedupeMinutes": 240,       // the same alert is not raised again within this window
+//   "quietHours": { "start": "20:00", "end": "07:00", "timeZone": "UTC", "allowLevels": ["High"] },
+//   "webhooks": { "<id>": { type, urlEnv | url, headers? } },
+//   "monitors": [{ id, name, everyMinutes, alerts, webhooks: ["<id>"], quietHours?,
+//                  portfolio? / accounts? / accountId? / accountName? }]   // as POST /api/txi-dashboard
+// }
+//
+// During quiet hours alerts are held and sent together after them, unless
+// the current risk level is one of allowLevels. Deliveries that fail are
+// retried on the next runs (up to MAX_ATTEMPTS). State per monitor lives in
+// the store (monitors/<id>.json); the runs' snapshots are kept apart from
+// dashboard history (snapshots-monitor/, see lib/snapshots.js).
+//
+// Runs are triggered by GET/POST /api/txi-monitor (a cron calling it every
+// few minutes runs the monitors that are due) or, for the Express server, by
+// startMonitorScheduler().
+//
+// ENV:
+// TXI_MONITORS        inline JSON or path replacing config/monitors.json
+// TXI_DASHBOARD_URL   link added to alerts (e.g. https://host/txi-dashboard.html)
+
+import { loadConfig } from "./config.js";
+import { readJson, writeJson } from "./store.js";
+import { LEVELS } from "./risk.js";
+import { runTxiPipeline, parseAccountSelection } from "./txi-pipeline.js";
+import { WEBHOOK_TYPES, webhookUrl, postWebhook } from "./webhooks.js";
+
+const MAX_ATTEMPTS = 5;
+const MAX_PENDING = 50;
+// Cron triggers drift a little; a monitor is due this much before its cadence
+const DUE_SLACK_MS = 60000;
+
+// Monitors read SharePoint as the scheduler, never as whoever triggered the run
+const SCHEDULER_REQUEST = { headers: {}, auth: { type: "apiKey", id: "monitor" } };
+
+export class MonitorConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MonitorConfigError";
+  }
+}
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function validateQuietHours(quiet, where) {
+  if (!quiet) return;
+  if (!HHMM.test(String(quiet.start)) || !HHMM.test(String(quiet.end))) {
+    throw new MonitorConfigError(`${where}: quietHours start and end must be "HH:MM".`);
+  }
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: quiet.timeZone || "UTC" });
+  } catch {
+    throw new MonitorConfigError(`${where}: unknown time zone "${quiet.timeZone}".`);
+  }
+}
+
+export function loadMonitorConfig() {
+  const config = loadConfig("monitors", { envVar: "TXI_MONITORS", fallback: {} }) || {};
+  const webhooks = config.webhooks || {};
+  for (const [id, webhook] of Object.entries(webhooks)) {
+    if (!WEBHOOK_TYPES.includes(webhook?.type)) throw new MonitorConfigError(`Webhook "${id}": type must be one of ${WEBHOOK_TYPES.join(", ")}.`);
+  }
+  validateQuietHours(config.quietHours, "monitors");
+
+  const ids = new Set();
+  const monitors = (Array.isArray(config.monitors) ? config.monitors : []).map((m) => {
+    if (!/^[A-Za-z0-9_-]{1,60}$/.test(String(m?.id || ""))) throw new MonitorConfigError("Every monitor needs an id of letters, digits, - or _.");
+    if (ids.has(m.id)) throw new MonitorConfigError(`Duplicate monitor "${m.id}".`);
+    ids.add(m.id);
+    const unknown = (m.webhooks || []).filter((w) => !webhooks[w]);
+    if (unknown.length) throw new MonitorConfigError(`Monitor "${m.id}": unknown webhook ${unknown.join(", ")}.`);
+    validateQuietHours(m.quietHours, `Monitor "${m.id}"`);
+    return {
+      ...m,
+      name: m.name || m.id,
+      everyMinutes: Math.max(1, Number(m.everyMinutes) || 60),
+      alerts: m.alerts || {},
+      webhooks: m.webhooks || [],
+      quietHours: m.quietHours === undefined ? config.quietHours || null : m.quietHours,
+    };
+  });
+
+  return { dedupeMinutes: Math.max(0, Number(config.dedupeMinutes ?? 240)), webhooks, monitors };
+}
+
+// Minutes since local midnight in the time zone
+function localMinutes(at, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).formatToParts(at);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+  return get("hour") * 60 + get("minute");
+}
+
+export function inQuietHours(quiet, at = new Date()) {
+  if (!quiet) return false;
+  const toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+  const now = localMinutes(at, quiet.timeZone || "UTC");
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+  // A window like 20:00–07:00 wraps past midnight
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+function money(n) {
+  return `$${(Number(n) || 0).toLocaleString("en-US")}`;
+}
+
+/**
+ * Alerts for `snapshot` against the monitor's previous run (state.last) and
+ * the at-risk value last alerted on (state.reference).
+ * Returns { alerts: [{ key, kind, title, text }], reference }.
+ */
+export function evaluateAlerts(monitor, state, snapshot) {
+  const rules = monitor.alerts;
+  const last = state.last;
+  const m = snapshot.metrics;
+  const ok = snapshot.sources;
+  const alerts = [];
+
+  if (rules.riskLevelChange && last?.riskLevel && m.riskLevel && last.riskLevel !== m.riskLevel) {
+    const rose = LEVELS.indexOf(m.riskLevel) > LEVELS.indexOf(last.riskLevel);
+    alerts.push({
+      key: `risk-level:${last.riskLevel}>${m.riskLevel}`,
+      kind: "risk-level",
+      title: `Risk level ${rose ? "rose" : "fell"} to ${m.riskLevel}`,
+      text: `It was ${last.riskLevel} at the previous check.`,
+    });
+  }
+
+  const threshold = Number(rules.p1Threshold);
+  if (threshold > 0 && ok.serviceNow && last?.sources?.serviceNow && last.p1 < threshold && m.p1 >= threshold) {
+    alerts.push({
+      key: `p1:${threshold}`,
+      kind: "p1-threshold",
+      title: `P1 incidents reached ${m.p1}`,
+      text: `At or above the threshold of ${threshold}; ${m.p1 - last.p1} more than at the previous check.`,
+    });
+  }
+
+  let reference = state.reference?.atRiskAmount ?? null;
+  const pct = Number(rules.atRiskAmountChangePct);
+  if (pct > 0 && ok.salesforce) {
+    const amount = m.atRiskAmount;
+    if (reference == null) {
+      reference = amount;
+    } else if (amount !== reference) {
+      const moved = reference ? ((amount - reference) / reference) * 100 : Infinity;
+      if (Math.abs(moved) >= pct) {
+        const up = amount > reference;
+        alerts.push({
+          key: `at-risk:${up ? "up" : "down"}:${amount}`,
+          kind: "at-risk-amount",
+          title: `At-risk deal value ${up ? "rose" : "fell"} to ${money(amount)}`,
+          text: `${Number.isFinite(moved) ? `${up ? "+" : ""}${Math.round(moved)}%` : "New exposure"} since ${money(reference)}; ${m.atRiskDeals} deal(s) at risk.`,
+        });
+        reference = amount;
+      }
+    }
+  }
+
+  return { alerts, reference: { atRiskAmount: reference } };
+}
+
+function stateName(id) {
+  return `monitors/${id}.json`;
+}
+
+// Monitors running in this process (a slow run is not started twice)
+const running = new Set();
+
+/**
+ * Run one monitor now. Returns a summary of the run; with dryRun nothing is
+ * posted and neither the monitor's state nor a snapshot is saved.
+ */
+export async function runMonitor(monitor, { config = loadMonitorConfig(), now = new Date(), dryRun = false } = {}) {
+  const summary = { id: monitor.id, name: monitor.name, ran: true, dryRun };
+  if (running.has(monitor.id)) return { ...summary, ran: false, reason: "already running" };
+  running.add(monitor.id);
+
+  try {
+    const state = (await readJson(stateName(monitor.id), {})) || {};
+    const selection = parseAccountSelection(monitor, "");
+    const { risk, snapshot } = await runTxiPipeline({
+      selection,
+      req: SCHEDULER_REQUEST,
+      caller: "monitor",
+      force: true,
+      origin: "monitor",
+      save: !dryRun,
+    });
+
+    const { alerts, reference } = evaluateAlerts(monitor, state, snapshot);
+    const dedupeMs = config.dedupeMinutes * 60000;
+    const sent = Object.fromEntries(Object.entries(state.sent || {}).filter(([, at]) => now.getTime() - Date.parse(at) < dedupeMs));
+    const pending = state.pending || [];
+    const isDuplicate = (a) => sent[a.key] || pending.some((p) => p.key === a.key);
+
+    // Only webhooks with a URL; the rest are reported as not configured
+    const targets = monitor.webhooks.filter((id) => webhookUrl(config.webhooks[id]));
+    const fresh = alerts.filter((a) => !isDuplicate(a));
+    let queue = [
+      ...pending,
+      ...fresh.map((a) => ({ ...a, raisedAt: snapshot.takenAt, webhooks: targets, attempts: 0 })),
+    ].filter((a) => a.webhooks.length);
+
+    const quiet = inQuietHours(monitor.quietHours, now);
+    const urgent = (monitor.quietHours?.allowLevels || []).includes(risk.level);
+    const deliveries = [];
+
+    if (queue.length && (!quiet || urgent) && !dryRun) {
+      const message = {
+        title: queue.length === 1 ? queue[0].title : `${queue.length} TXI alerts`,
+        monitor: { id: monitor.id, name: monitor.name },
+        risk: { level: risk.level, score: risk.score, reasons: risk.trace.filter((t) => t.fired).map((t) => t.description) },
+        metrics: snapshot.metrics,
+        takenAt: snapshot.takenAt,
+        ...(process.env.TXI_DASHBOARD_URL ? { url: process.env.TXI_DASHBOARD_URL } : {}),
+      };
+
+      for (const id of monitor.webhooks) {
+        const webhook = config.webhooks[id];
+        const items = queue.filter((a) => a.webhooks.includes(id));
+        if (!targets.includes(id)) {
+          deliveries.push({ webhook: id, type: webhook.type, ok: false, skipped: "not configured" });
+          continue;
+        }
+        if (!items.length) continue;
+        try {
+          const { status } = await postWebhook(webhook, { ...message, alerts: items.map(({ key, kind, title, text, raisedAt }) => ({ key, kind, title, text, raisedAt })) });
+          for (const a of items) a.webhooks = a.webhooks.filter((w) => w !== id);
+          deliveries.push({ webhook: id, type: webhook.type, ok: true, status, alerts: items.length });
+        } catch (e) {
+          console.warn(`Monitor ${monitor.id}: webhook ${id} failed:`, e?.message || e);
+          deliveries.push({ webhook: id, type: webhook.type, ok: false, error: e?.message || String(e), code: e?.code || null, alerts: items.length });
+        }
+      }
+
+      for (const a of queue) {
+        if (!a.webhooks.length) sent[a.key] = now.toISOString();
+        else a.attempts += 1;
+      }
+      const dropped = queue.filter((a) => a.webhooks.length && a.attempts >= MAX_ATTEMPTS);
+      if (dropped.length) console.warn(`Monitor ${monitor.id}: giving up on ${dropped.map((a) => a.key).join(", ")}`);
+      queue = queue.filter((a) => a.webhooks.length && a.attempts < MAX_ATTEMPTS);
+    }
+
+    if (!dryRun) {
+      await writeJson(stateName(monitor.id), {
+        lastRunAt: now.toISOString(),
+        last: {
+          takenAt: snapshot.takenAt,
+          riskLevel: snapshot.metrics.riskLevel,
+          p1: snapshot.metrics.p1,
+          atRiskAmount: snapshot.metrics.atRiskAmount,
+          sources: snapshot.sources,
+        },
+        reference,
+        sent,
+        pending: queue.slice(-MAX_PENDING),
+      });
+    }
+
+    return {
+      ...summary,
+      takenAt: snapshot.takenAt,
+      risk: { level: risk.level, score: risk.score },
+      alerts: alerts.map(({ key, kind, title }) => ({ key, kind, title })),
+      deduped: alerts.filter((a) => !fresh.includes(a)).map((a) => a.key),
+      quiet,
+      pending: queue.length,
+      deliveries,
+    };
+  } finally {
+    running.delete(monitor.id);
+  }
+}
+
+/**
+ * Run every monitor whose cadence has come round (or the ones in `only`,
+ * regardless of cadence when `force`). Each monitor's failure is reported in
+ * its summary and does not stop the others.
+ */
+export async function runDueMonitors({ config = loadMonitorConfig(), only = [], force = false, dryRun = false, now = new Date() } = {}) {
+  const results = [];
+  for (const monitor of config.monitors) {
+    if (only.length && !only.includes(monitor.id)) continue;
+    try {
+      const state = (await readJson(stateName(monitor.id), {})) || {};
+      const since = state.lastRunAt ? now.getTime() - Date.parse(state.lastRunAt) : Infinity;
+      if (!force && since < monitor.everyMinutes * 60000 - DUE_SLACK_MS) {
+        results.push({ id: monitor.id, name: monitor.name, ran: false, reason: "not due", lastRunAt: state.lastRunAt });
+        continue;
+      }
+      results.push(await runMonitor(monitor, { config, now, dryRun }));
+    } catch (e) {
+      console.error(`Monitor ${monitor.id} failed:`, e?.message || e);
+      results.push({ id: monitor.id, name: monitor.name, ran: false, error: e?.message || String(e), code: e?.code || null });
+    }
+  }
+  return results;
+}
+
+/**
+ * In-process scheduler for long-running servers: checks for due monitors
+ * every `intervalSeconds`. Returns a function that stops it.
+ */
+export function startMonitorScheduler(intervalSeconds = 60) {
+  let busy = false;
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const results = await runDueMonitors();
+      for (const r of results.filter((x) => x.ran || x.error)) {
+        console.log(`Monitor ${r.id}:`, r.error || `${r.risk.level}, ${r.alerts.length} alert(s)`);
+      }
+    } catch (e) {
+      console.error("Monitor scheduler:", e?.message || e);
+    } finally {
+      busy = false;
+    }
+  };
+  const timer = setInterval(tick, Math.max(10, intervalSeconds) * 1000);
+  tick();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,76 @@
+// lib/portfolios.js
+//
+// Saved account portfolios for the TXI dashboard (config/portfolios.json).
+//
+// {
+//   "default": "<portfolio id used when a request names no accounts>",
+//   "portfolios": {
+//     "<id>": {
+//       name, aliases?, description?,
+//       accounts?: [{ id } | { name }],   // named members
+//       ratings?: ["Hot"],                // plus every account with one of these ratings
+//       fallbackRating?: "Hot"            // used only when no member is found
+//     }
+//   }
+// }
+//
+// ENV:
+// TXI_PORTFOLIOS   inline JSON or path replacing config/portfolios.json
+
+import { loadConfig } from "./config.js";
+
+function loadPortfolios() {
+  return loadConfig("portfolios", { envVar: "TXI_PORTFOLIOS", fallback: { portfolios: {} } }) || { portfolios: {} };
+}
+
+function normalize(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+function withId(id, portfolio) {
+  return {
+    id,
+    name: portfolio.name || id,
+    description: portfolio.description || "",
+    aliases: portfolio.aliases || [],
+    accounts: portfolio.accounts || [],
+    ratings: portfolio.ratings || [],
+    fallbackRating: portfolio.fallbackRating || null,
+  };
+}
+
+export function listPortfolios() {
+  const { portfolios = {} } = loadPortfolios();
+  return Object.entries(portfolios).map(([id, p]) => withId(id, p));
+}
+
+// Look a portfolio up by id, name or alias (case and punctuation insensitive)
+export function findPortfolio(ref) {
+  const wanted = normalize(ref);
+  if (!wanted) return null;
+  return (
+    listPortfolios().find((p) => [p.id, p.name, ...p.aliases].some((n) => normalize(n) === wanted)) || null
+  );
+}
+
+// Portfolio mentioned in free text ("how are my strategic accounts doing?")
+export function findPortfolioInText(text) {
+  const haystack = ` ${normalize(text)} `;
+  let best = null;
+  let bestLength = 0;
+  for (const p of listPortfolios()) {
+    for (const n of [p.name, ...p.aliases]) {
+      const needle = normalize(n);
+      if (needle && needle.length > bestLength && haystack.includes(` ${needle} `)) {
+        best = p;
+        bestLength = needle.length;
+      }
+    }
+  }
+  return best;
+}
+
+export function getDefaultPortfolio() {
+  const config = loadPortfolios();
+  return config.default ? findPortfolio(config.default) : null;
+}
@@ -0,0 +1,224 @@
+// lib/ratelimit.js
+//
+// Request rate limits and daily LLM budgets (config/rate-limits.json).
+//
+// {
+//   "store": "memory" | "file",
+//   "routes": { "default": { limit, windowSeconds }, "<route>": { limit, windowSeconds } },
+//   "llm":    { "dailyLimit": 200, "routes": { "<route>": 50 } }
+// }
+//
+// - Counters are kept per caller (user id, API key name, or client IP for
+//   anonymous callers) and per route, in fixed windows.
+// - LLM budgets count requests that reach the model, per caller per UTC day:
+//   once across all routes (dailyLimit) and once per route. An exhausted
+//   budget is rejected before the route fans out to its data sources.
+// - Responses carry RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset
+//   (and LLM-Budget-* for LLM routes); a 429 adds Retry-After.
+// - "memory" counts per process; "file" keeps counters under DATA_DIR
+//   (rate-limits.json) so they survive restarts. Updates are serialized
+//   within one process only: processes sharing the directory lose counts,
+//   so run a single process per DATA_DIR with the file store.
+// - Anonymous callers are keyed on their address: req.ip on the Express
+//   server (set TRUST_PROXY there when it runs behind a proxy, see index.js),
+//   x-real-ip on Vercel, which sets it itself; otherwise the socket address.
+//   X-Forwarded-For is never read directly, since clients can set it.
+//
+// ENV:
+// RATE_LIMITS        inline JSON or path replacing config/rate-limits.json
+// RATE_LIMIT_STORE   "memory" | "file" (overrides the config)
+// VERCEL             set by Vercel; x-real-ip is trusted only there
+
+import { createHash } from "node:crypto";
+import { loadConfig } from "./config.js";
+import { readJson, writeJson } from "./store.js";
+
+const DAY_MS = 24 * 60 * 60000;
+const FILE_NAME = "rate-limits.json";
+
+export class RateLimitError extends Error {
+  constructor(message, { code = "RATE_LIMITED", limit = 0, retryAfterSeconds = 0 } = {}) {
+    super(message);
+    this.name = "RateLimitError";
+    this.code = code;
+    this.status = 429;
+    this.limit = limit;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+function settings() {
+  const config = loadConfig("rate-limits", { envVar: "RATE_LIMITS", fallback: {} }) || {};
+  return {
+    store: String(process.env.RATE_LIMIT_STORE || config.store || "memory").toLowerCase(),
+    routes: config.routes || {},
+    llm: config.llm || {},
+  };
+}
+
+function positive(n) {
+  const x = Number(n);
+  return Number.isFinite(x) && x > 0 ? x : null;
+}
+
+// -------- Stores --------
+// Both stores keep { [key]: { count, resetAt } } and expose
+// add(key, windowStart, windowMs, amount) -> { count, resetAt }.
+const memory = new Map();
+
+const memoryStore = {
+  async add(key, windowStart, windowMs, amount) {
+    let entry = memory.get(key);
+    if (!entry || entry.resetAt <= Date.now()) {
+      entry = { count: 0, resetAt: windowStart + windowMs };
+      memory.set(key, entry);
+    }
+    entry.count += amount;
+    if (memory.size > 10000) {
+      for (const [k, v] of memory) if (v.resetAt <= Date.now()) memory.delete(k);
+    }
+    return { ...entry };
+  },
+};
+
+// Serialized read-modify-write of one file (within this process)
+let fileQueue = Promise.resolve();
+
+const fileStore = {
+  add(key, windowStart, windowMs, amount) {
+    const run = fileQueue.then(async () => {
+      const now = Date.now();
+      const counters = (await readJson(FILE_NAME, {})) || {};
+      for (const k of Object.keys(counters)) if (counters[k].resetAt <= now) delete counters[k];
+
+      const entry = counters[key] || { count: 0, resetAt: windowStart + windowMs };
+      entry.count += amount;
+      counters[key] = entry;
+      if (amount) await writeJson(FILE_NAME, counters);
+      return { ...entry };
+    });
+    fileQueue = run.catch(() => {});
+    return run;
+  },
+};
+
+function store() {
+  return settings().store === "file" ? fileStore : memoryStore;
+}
+
+// -------- Keys --------
+function clientIp(req) {
+  if (req.ip) return req.ip;
+  const platform = process.env.VERCEL ? String(req.headers?.["x-real-ip"] || "").trim() : "";
+  return platform || req.socket?.remoteAddress || "unknown";
+}
+
+// Caller identity for counters; API key names and user ids are hashed so
+// the file store holds no identifiers
+function callerKey(req) {
+  const auth = req.auth;
+  const raw =
+    auth?.type === "user" ? `user:${auth.id}` : auth?.type === "apiKey" ? `key:${auth.id}` : `ip:${clientIp(req)}`;
+  return createHash("sha256").update(raw).digest("hex").slice(0, 32);
+}
+
+function setHeaders(res, prefix, { limit, remaining, resetAt }) {
+  res.setHeader(`${prefix}-Limit`, String(limit));
+  res.setHeader(`${prefix}-Remaining`, String(Math.max(0, remaining)));
+  res.setHeader(`${prefix}-Reset`, String(Math.max(0, Math.ceil((resetAt - Date.now()) / 1000))));
+}
+
+// -------- Route limits --------
+function routeLimit(route) {
+  const { routes } = settings();
+  const rule = routes[route] || routes.default;
+  const limit = positive(rule?.limit);
+  const windowSeconds = positive(rule?.windowSeconds);
+  return limit && windowSeconds ? { limit, windowMs: windowSeconds * 1000 } : null;
+}
+
+/**
+ * Count one request against the caller's limit for the route and set the
+ * RateLimit-* headers. Throws RateLimitError when the limit is exceeded.
+ */
+export async function enforceRateLimit(req, res, route) {
+  const rule = routeLimit(route);
+  if (!rule) return;
+
+  const now = Date.now();
+  const windowStart = Math.floor(now / rule.windowMs) * rule.windowMs;
+  const { count, resetAt } = await store().add(`rate:${route}:${callerKey(req)}`, windowStart, rule.windowMs, 1);
+
+  setHeaders(res, "RateLimit", { limit: rule.limit, remaining: rule.limit - count, resetAt });
+  if (count > rule.limit) {
+    const retryAfterSeconds = Math.max(1, Math.ceil((resetAt - now) / 1000));
+    throw new RateLimitError(
+      `Too many requests to ${route}: ${rule.limit} per ${Math.round(rule.windowMs / 1000)}s. Try again in ${retryAfterSeconds}s.`,
+      { limit: rule.limit, retryAfterSeconds }
+    );
+  }
+}
+
+// -------- LLM budgets --------
+// Budgets that apply to the route: overall daily limit and the route's own
+function llmBudgets(route) {
+  const { llm } = settings();
+  const budgets = [];
+  if (positive(llm.dailyLimit)) budgets.push({ scope: "all", limit: positive(llm.dailyLimit) });
+  if (positive(llm.routes?.[route])) budgets.push({ scope: route, limit: positive(llm.routes[route]) });
+  return budgets;
+}
+
+async function useLlmBudget(req, res, route, amount) {
+  const budgets = llmBudgets(route);
+  if (!budgets.length) return [];
+
+  const now = Date.now();
+  const dayStart = Math.floor(now / DAY_MS) * DAY_MS;
+  const caller = callerKey(req);
+  const states = [];
+  for (const b of budgets) {
+    const { count, resetAt } = await store().add(`llm:${b.scope}:${caller}`, dayStart, DAY_MS, amount);
+    states.push({ ...b, count, resetAt });
+  }
+
+  // Report the tighter budget
+  const tightest = states.reduce((a, b) => (b.limit - b.count < a.limit - a.count ? b : a));
+  if (!res.headersSent) {
+    setHeaders(res, "LLM-Budget", { limit: tightest.limit, remaining: tightest.limit - tightest.count, resetAt: tightest.resetAt });
+  }
+  return states;
+}
+
+/**
+ * Reject the request when the caller's daily LLM budget for the route is
+ * used up. Does not use any budget (see chargeLlm).
+ */
+export async function checkLlmBudget(req, res, route) {
+  const states = await useLlmBudget(req, res, route, 0);
+  const spent = states.find((s) => s.count >= s.limit);
+  if (!spent) return;
+
+  const retryAfterSeconds = Math.max(1, Math.ceil((spent.resetAt - Date.now()) / 1000));
+  throw new RateLimitError(
+    spent.scope === "all"
+      ? `Daily AI budget of ${spent.limit} requests used up. It resets at ${new Date(spent.resetAt).toISOString()}.`
+      : `Daily AI budget of ${spent.limit} requests for ${route} used up. It resets at ${new Date(spent.resetAt).toISOString()}.`,
+    { code: "LLM_QUOTA_EXCEEDED", limit: spent.limit, retryAfterSeconds }
+  );
+}
+
+/**
+ * Record that this request is about to call the model. Counted once per
+ * request, however many model calls it makes.
+ */
+export async function chargeLlm(req, res, route) {
+  if (req.llmCharged) return;
+  req.llmCharged = true;
+  await useLlmBudget(req, res, route, 1);
+}
+
+// JSON body for a 429
+export function rateLimitBody(e) {
+  return { error: e.message, code: e.code, limit: e.limit, retryAfterSeconds: e.retryAfterSeconds };
+}
@@ -0,0 +1,189 @@
+// lib/risk.js
+//
+// Rule-based risk scoring for the TXI executive brief (config/risk-rules.json).
+//
+// {
+//   "levels":  { "High": 70, "Medium": 30 },      // minimum score per level; below Medium is Low
+//   "weights": { "serviceNow": 1, "salesforce": 1, "sharePoint": 1 },   // multiplies each source's points
+//   "rules": [{ id, description, metric: "<source>.<factor>", op, value, points, minLevel?, fallbackFor? }],
+//   "accounts": {                                  // overrides for the primary account
+//     "<account id or name>": { levels?, weights?, rules?: { "<rule id>": { value?, points?, minLevel?, disabled? } } }
+//   }
+// }
+//
+// op is one of >=, >, <=, <, ==, !=. A fired rule adds points × its source's
+// weight; minLevel makes it raise the result to at least that level whatever
+// the score. A rule with fallbackFor ("<source>.<factor>") only applies while
+// that factor has no value, e.g. a fixed cut-off until the metric's anomaly
+// baseline has been learned. The primary account is the one carrying the
+// largest at-risk exposure. scoreRisk() returns the level with a trace of
+// every rule.
+//
+// Factors (see riskFactors):
+//   serviceNow.available / p1 / p2 / highPriority / agedOverWeek
+//   salesforce.available / atRiskAmount / atRiskDeals / exposedAccounts
+//   sharePoint.available / files   (the signals index before permission trimming,
+//                                   so every caller gets the same level)
+//   <metric>Anomaly: deviation from the metric's baseline in spreads (null
+//   while the baseline is learning; see lib/anomaly.js) for serviceNow p1 / p2 /
+//   highPriority and salesforce atRiskAmount / atRiskDeals
+//
+// ENV:
+// TXI_RISK_RULES   inline JSON or path replacing config/risk-rules.json
+
+import { loadConfig } from "./config.js";
+
+export const LEVELS = ["Low", "Medium", "High"];
+const OPS = {
+  ">=": (a, b) => a >= b,
+  ">": (a, b) => a > b,
+  "<=": (a, b) => a <= b,
+  "<": (a, b) => a < b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+export class RiskConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RiskConfigError";
+  }
+}
+
+function num(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? x : 0;
+}
+
+/**
+ * Flatten the dashboard's shared source payloads ({ serviceNow, salesforce,
+ * sharePointIndex }, see runTxiPipeline), and the anomaly scores of this run
+ * (detectAnomalies), into the factors rules refer to.
+ */
+export function riskFactors({ serviceNow, salesforce, sharePointIndex }, anomalies = null) {
+  const sn = serviceNow?.data || {};
+  const byP = Array.isArray(sn.byPriority) ? sn.byPriority : [];
+  const count = (p) => num(byP.find((x) => String(x.priority) === p)?.count);
+  const aging = sn.tables?.incident?.aging || [];
+  const sf = salesforce?.data || {};
+  const anomaly = (key) => {
+    const m = anomalies?.metrics?.[key];
+    return m?.status === "ok" ? m.score : null;
+  };
+
+  return {
+    serviceNow: {
+      available: !!serviceNow?.ok,
+      p1: count("1"),
+      p2: count("2"),
+      highPriority: num(sn.totalHighPriority),
+      agedOverWeek: aging.filter((b) => b.fromDays >= 7).reduce((s, b) => s + num(b.count), 0),
+      p1Anomaly: anomaly("p1"),
+      p2Anomaly: anomaly("p2"),
+      highPriorityAnomaly: anomaly("highPriority"),
+    },
+    salesforce: {
+      available: !!salesforce?.ok,
+      atRiskAmount: num(sf.atRiskSummary?.totalAmount),
+      atRiskDeals: num(sf.atRiskSummary?.opportunityCount),
+      exposedAccounts: num(sf.atRiskSummary?.accountCount),
+      atRiskAmountAnomaly: anomaly("atRiskAmount"),
+      atRiskDealsAnomaly: anomaly("atRiskDeals"),
+    },
+    sharePoint: {
+      available: !!sharePointIndex?.ok,
+      files: num(sharePointIndex?.data?.files),
+    },
+  };
+}
+
+function validate(config) {
+  const rules = Array.isArray(config.rules) ? config.rules : [];
+  const ids = new Set();
+  for (const rule of rules) {
+    if (!rule?.id) throw new RiskConfigError("Every risk rule needs an id.");
+    if (ids.has(rule.id)) throw new RiskConfigError(`Duplicate risk rule "${rule.id}".`);
+    ids.add(rule.id);
+    if (!/^\w+\.\w+$/.test(String(rule.metric || ""))) throw new RiskConfigError(`Risk rule "${rule.id}": metric must look like "<source>.<factor>".`);
+    if (!OPS[rule.op]) throw new RiskConfigError(`Risk rule "${rule.id}": op must be one of ${Object.keys(OPS).join(" ")}.`);
+    if (rule.fallbackFor && !/^\w+\.\w+$/.test(String(rule.fallbackFor))) throw new RiskConfigError(`Risk rule "${rule.id}": fallbackFor must look like "<source>.<factor>".`);
+    if (rule.minLevel && !LEVELS.includes(rule.minLevel)) throw new RiskConfigError(`Risk rule "${rule.id}": minLevel must be ${LEVELS.join(", ")}.`);
+  }
+  return rules;
+}
+
+export function loadRiskRules() {
+  const config = loadConfig("risk-rules", { envVar: "TXI_RISK_RULES", fallback: {} }) || {};
+  return { ...config, rules: validate(config) };
+}
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+
+// Override for the account: matched by id (15 or 18 characters) or name
+function findOverride(accounts, account) {
+  if (!account) return null;
+  for (const [key, override] of Object.entries(accounts || {})) {
+    const byId = account.id && key.length >= 15 && key.slice(0, 15) === account.id.slice(0, 15);
+    if (byId || norm(key) === norm(account.name)) return { key, ...override };
+  }
+  return null;
+}
+
+/**
+ * Score the factors against the configured rules.
+ * Returns { level, score, levels, weights, override, factors, trace } where
+ * trace lists every rule with { id, description, metric, op, value, actual,
+ * fired, points, weight, contribution, minLevel?, skipped? }, fired rules
+ * first. skipped is "baseline" for a fallback rule whose factor has a value.
+ */
+export function scoreRisk(factors, { account = null, config = loadRiskRules() } = {}) {
+  const override = findOverride(config.accounts, account);
+  const levels = { High: 70, Medium: 30, ...config.levels, ...override?.levels };
+  const weights = { ...config.weights, ...override?.weights };
+
+  let score = 0;
+  let floor = 0;
+  const trace = [];
+  for (const base of config.rules) {
+    const changes = override?.rules?.[base.id];
+    const rule = { ...base, ...changes };
+    if (rule.disabled) continue;
+
+    const [source, factor] = rule.metric.split(".");
+    const actual = factors[source]?.[factor];
+    const [fbSource, fbFactor] = String(rule.fallbackFor || "").split(".");
+    const skipped = rule.fallbackFor && factors[fbSource]?.[fbFactor] != null;
+    const fired = !skipped && actual != null && OPS[rule.op](actual, rule.value);
+    const weight = weights[source] ?? 1;
+    const contribution = fired ? num(rule.points) * num(weight) : 0;
+    score += contribution;
+    if (fired && rule.minLevel) floor = Math.max(floor, LEVELS.indexOf(rule.minLevel));
+
+    trace.push({
+      id: rule.id,
+      description: rule.description || rule.id,
+      metric: rule.metric,
+      op: rule.op,
+      value: rule.value,
+      actual: actual ?? null,
+      fired,
+      points: num(rule.points),
+      weight: num(weight),
+      contribution,
+      ...(rule.minLevel ? { minLevel: rule.minLevel } : {}),
+      ...(skipped ? { skipped: "baseline" } : {}),
+      ...(changes ? { overridden: true } : {}),
+    });
+  }
+
+  const byScore = score >= num(levels.High) ? 2 : score >= num(levels.Medium) ? 1 : 0;
+  return {
+    level: LEVELS[Math.max(byScore, floor)],
+    score,
+    levels: { High: num(levels.High), Medium: num(levels.Medium) },
+    weights,
+    override: override ? { account: account.name || account.id, key: override.key } : null,
+    factors,
+    trace: [...trace.filter((t) => t.fired), ...trace.filter((t) => !t.fired)],
+  };
+}
@@ -0,0 +1,240 @@
+// lib/salesforce.js
+//
+// Shared Salesforce client. One jsforce connection per process: the session
+// is cached, renewed before SF_SESSION_TTL_MINUTES and re-established when
+// Salesforce rejects it (jsforce retries the call after the refresh).
+// Concurrent callers share a single in-flight login.
+//
+// Auth flows (SF_AUTH_FLOW, or detected from the env vars present):
+// - "password":           SF_USERNAME, SF_PASSWORD, SF_TOKEN (SOAP login)
+// - "jwt":                SF_CLIENT_ID, SF_USERNAME, SF_PRIVATE_KEY or SF_PRIVATE_KEY_PATH
+// - "client_credentials": SF_CLIENT_ID, SF_CLIENT_SECRET (SF_LOGIN_URL must be the My Domain URL)
+//
+// ENV:
+// SF_LOGIN_URL            default https://login.salesforce.com
+// SF_API_VERSION          optional, e.g. "59.0"
+// SF_JWT_AUDIENCE         optional, defaults to login / test.salesforce.com
+// SF_SESSION_TTL_MINUTES  renew the session after this (default 60)
+// SF_TIMEOUT_MS           OAuth token request timeout (default 20000)
+
+import { createSign } from "node:crypto";
+import { readFileSync } from "node:fs";
+import jsforce from "jsforce";
+
+export class SalesforceAuthError extends Error {
+  constructor(message, { code = "SF_AUTH_FAILED", flow = null, status = null } = {}) {
+    super(message);
+    this.name = "SalesforceAuthError";
+    this.code = code;
+    this.flow = flow;
+    this.status = status;
+  }
+}
+
+const FLOWS = ["password", "jwt", "client_credentials"];
+
+function env(name) {
+  return String(process.env[name] || "").trim();
+}
+
+function loginUrl() {
+  return (env("SF_LOGIN_URL") || "https://login.salesforce.com").replace(/\/+$/, "");
+}
+
+function versionOption() {
+  return env("SF_API_VERSION") ? { version: env("SF_API_VERSION") } : {};
+}
+
+function ttlMs() {
+  const minutes = Number(process.env.SF_SESSION_TTL_MINUTES || 60);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 60) * 60000;
+}
+
+export function getAuthFlow() {
+  const explicit = env("SF_AUTH_FLOW").toLowerCase();
+  if (explicit) return FLOWS.includes(explicit) ? explicit : null;
+  if (env("SF_CLIENT_ID") && (env("SF_PRIVATE_KEY") || env("SF_PRIVATE_KEY_PATH"))) return "jwt";
+  if (env("SF_CLIENT_ID") && env("SF_CLIENT_SECRET") && !env("SF_PASSWORD")) return "client_credentials";
+  return "password";
+}
+
+function missingEnv(flow) {
+  const required = {
+    password: ["SF_USERNAME", "SF_PASSWORD", "SF_TOKEN"],
+    jwt: ["SF_CLIENT_ID", "SF_USERNAME"],
+    client_credentials: ["SF_CLIENT_ID", "SF_CLIENT_SECRET"],
+  }[flow] || [];
+  const missing = required.filter((name) => !env(name));
+  if (flow === "jwt" && !env("SF_PRIVATE_KEY") && !env("SF_PRIVATE_KEY_PATH")) missing.push("SF_PRIVATE_KEY");
+  return missing;
+}
+
+export function isSalesforceConfigured() {
+  const flow = getAuthFlow();
+  return Boolean(flow) && missingEnv(flow).length === 0;
+}
+
+// -------- Flows --------
+async function requestToken(flow, params) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), Number(process.env.SF_TIMEOUT_MS || 20000));
+  try {
+    const resp = await fetch(`${loginUrl()}/services/oauth2/token`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+      body: new URLSearchParams(params),
+      signal: controller.signal,
+    });
+    const raw = await resp.text();
+    let data = null;
+    try { data = JSON.parse(raw); } catch {}
+
+    if (!resp.ok || !data?.access_token) {
+      const reason = data?.error_description || data?.error || raw.slice(0, 200);
+      throw new SalesforceAuthError(`Salesforce ${flow} login failed (HTTP ${resp.status}): ${reason}`, {
+        flow,
+        status: resp.status,
+      });
+    }
+    return { accessToken: data.access_token, instanceUrl: data.instance_url };
+  } catch (e) {
+    if (e instanceof SalesforceAuthError) throw e;
+    const timedOut = e?.name === "AbortError";
+    throw new SalesforceAuthError(`Salesforce ${flow} login ${timedOut ? "timed out" : `failed: ${e?.message || e}`}`, {
+      code: timedOut ? "SF_AUTH_TIMEOUT" : "SF_AUTH_FAILED",
+      flow,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function privateKey() {
+  if (env("SF_PRIVATE_KEY")) return env("SF_PRIVATE_KEY").replace(/\\n/g, "\n");
+  return readFileSync(env("SF_PRIVATE_KEY_PATH"), "utf8");
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+function jwtAssertion() {
+  const audience =
+    env("SF_JWT_AUDIENCE") ||
+    (/test\.salesforce\.com|\.sandbox\./i.test(loginUrl()) ? "https://test.salesforce.com" : "https://login.salesforce.com");
+  const header = base64url(JSON.stringify({ alg: "RS256" }));
+  const claims = base64url(
+    JSON.stringify({
+      iss: env("SF_CLIENT_ID"),
+      sub: env("SF_USERNAME"),
+      aud: audience,
+      exp: Math.floor(Date.now() / 1000) + 180,
+    })
+  );
+  const signer = createSign("RSA-SHA256");
+  signer.update(`${header}.${claims}`);
+  return `${header}.${claims}.${base64url(signer.sign(privateKey()))}`;
+}
+
+async function passwordLogin() {
+  const conn = new jsforce.Connection({ loginUrl: loginUrl(), ...versionOption() });
+  try {
+    await conn.login(env("SF_USERNAME"), env("SF_PASSWORD") + env("SF_TOKEN"));
+  } catch (e) {
+    throw new SalesforceAuthError(`Salesforce password login failed: ${e?.message || e}`, { flow: "password" });
+  }
+  return { accessToken: conn.accessToken, instanceUrl: conn.instanceUrl };
+}
+
+const LOGIN = {
+  password: passwordLogin,
+  jwt: () =>
+    requestToken("jwt", {
+      grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+      assertion: jwtAssertion(),
+    }),
+  client_credentials: () =>
+    requestToken("client_credentials", {
+      grant_type: "client_credentials",
+      client_id: env("SF_CLIENT_ID"),
+      client_secret: env("SF_CLIENT_SECRET"),
+    }),
+};
+
+// -------- Session cache --------
+let session = null; // { accessToken, instanceUrl, flow, issuedAt, expiresAt }
+let connection = null;
+let inflight = null;
+
+function authenticate() {
+  if (inflight) return inflight;
+
+  inflight = (async () => {
+    const flow = getAuthFlow();
+    if (!flow) throw new SalesforceAuthError(`Unknown SF_AUTH_FLOW "${env("SF_AUTH_FLOW")}"`, { code: "SF_NOT_CONFIGURED" });
+    const missing = missingEnv(flow);
+    if (missing.length) {
+      throw new SalesforceAuthError(`Missing Salesforce env vars for ${flow} login: ${missing.join(", ")}`, {
+        code: "SF_NOT_CONFIGURED",
+        flow,
+      });
+    }
+
+    const { accessToken, instanceUrl } = await LOGIN[flow]();
+    const now = Date.now();
+    session = { accessToken, instanceUrl, flow, issuedAt: now, expiresAt: now + ttlMs() };
+
+    if (connection) {
+      connection.accessToken = accessToken;
+      connection.instanceUrl = instanceUrl;
+    }
+    return session;
+  })().finally(() => {
+    inflight = null;
+  });
+
+  return inflight;
+}
+
+// jsforce calls this when Salesforce answers INVALID_SESSION_ID, then retries
+function refreshFn(conn, callback) {
+  authenticate().then(
+    (s) => callback(null, s.accessToken, {}),
+    (err) => callback(err)
+  );
+}
+
+/**
+ * Shared, logged-in jsforce connection.
+ * Throws SalesforceAuthError when Salesforce is not configured or login fails.
+ */
+export async function getSalesforceConnection({ forceRefresh = false } = {}) {
+  if (forceRefresh || !session || Date.now() >= session.expiresAt) await authenticate();
+
+  if (!connection) {
+    connection = new jsforce.Connection({
+      instanceUrl: session.instanceUrl,
+      accessToken: session.accessToken,
+      refreshFn,
+      ...versionOption(),
+    });
+  }
+  return connection;
+}
+
+// Drop the cached session (e.g. after credentials change)
+export function invalidateSalesforceSession() {
+  session = null;
+  connection = null;
+}
+
+export function getSalesforceSessionInfo() {
+  if (!session) return { connected: false, flow: getAuthFlow() };
+  return {
+    connected: true,
+    flow: session.flow,
+    instanceUrl: session.instanceUrl,
+    issuedAt: new Date(session.issuedAt).toISOString(),
+    expiresAt: new Date(session.expiresAt).toISOString(),
+  };
+}
@@ -0,0 +1,495 @@
+// lib/servicenow.js
+//
+// ServiceNow REST client (Table API and Aggregate API) and the operational
+// summary used by the TXI dashboard.
+//
+// - queryTable() reads records with an encoded query, selected fields and
+//   offset paging; aggregate() runs COUNT / MIN / MAX / AVG / SUM, optionally
+//   grouped, on the server.
+// - Requests retry on 429 / 503 / 504 honouring Retry-After, and on network
+//   errors and timeouts with exponential backoff.
+// - Failures throw ServiceNowError with a stable `code`.
+// - getOperationsSummary() builds priority breakdowns, top assignment groups,
+//   affected configuration items and aging for the tables in
+//   config/servicenow.json (incident, problem, change_request by default).
+//
+// {
+//   "tables": { "<table>": { "label", "query": "<encoded query>" } },
+//   "highPriority": ["1", "2"],      // priorities counted as high
+//   "top": 5,                        // assignment groups / CIs listed per table
+//   "agingDays": [1, 3, 7, 30],      // age bucket boundaries (days since opened_at)
+//   "openItems": 10,                 // newest high-priority records listed per table
+//   "customerField": "company"       // incident field naming the affected customer
+// }
+//
+// ENV:
+// SN_INSTANCE_URL     e.g. https://acme.service-now.com (default: the origin of SN_TXI_URL)
+// SN_USERNAME, SN_PASSWORD   basic auth
+// SN_CONFIG           inline JSON or path replacing config/servicenow.json
+// SN_TIMEOUT_MS       per-attempt timeout (default 20000)
+// SN_MAX_RETRIES      retries for throttling / transient errors (default 3)
+// SN_PAGE_SIZE        records per Table API page (default 500)
+
+import { loadConfig } from "./config.js";
+
+export class ServiceNowError extends Error {
+  constructor(message, { code = "SN_REQUEST_FAILED", status = null, url = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "ServiceNowError";
+    this.code = code;
+    this.status = status;
+    this.url = url;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const DEFAULT_CONFIG = {
+  tables: {
+    incident: { label: "Incidents", query: "active=true" },
+    problem: { label: "Problems", query: "active=true" },
+    change_request: { label: "Changes", query: "active=true" },
+  },
+  highPriority: ["1", "2"],
+  top: 5,
+  agingDays: [1, 3, 7, 30],
+  openItems: 10,
+  customerField: "company",
+};
+
+function envNumber(name, fallback) {
+  const x = Number(process.env[name]);
+  return process.env[name] != null && process.env[name] !== "" && Number.isFinite(x) && x >= 0 ? x : fallback;
+}
+
+function instanceUrl() {
+  const explicit = String(process.env.SN_INSTANCE_URL || "").trim();
+  if (explicit) return explicit.replace(/\/+$/, "");
+  try {
+    return process.env.SN_TXI_URL ? new URL(process.env.SN_TXI_URL).origin : "";
+  } catch {
+    return "";
+  }
+}
+
+export function isServiceNowConfigured() {
+  return Boolean(instanceUrl() && process.env.SN_USERNAME && process.env.SN_PASSWORD);
+}
+
+function codeForStatus(status) {
+  if (status === 401) return "SN_UNAUTHORIZED";
+  if (status === 403) return "SN_FORBIDDEN";
+  if (status === 404) return "SN_NOT_FOUND";
+  if (status === 429 || status === 503) return "SN_THROTTLED";
+  return "SN_REQUEST_FAILED";
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function retryAfterMs(resp) {
+  const raw = resp.headers.get("retry-after");
+  if (!raw) return null;
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(raw);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+function backoffMs(attempt) {
+  return Math.min(500 * 2 ** attempt, 8000) + Math.floor(Math.random() * 250);
+}
+
+// -------- Requests --------
+/**
+ * GET /api/now/<path> with retries. Returns { result, total } where total
+ * is X-Total-Count when ServiceNow sends it.
+ */
+export async function snGet(path, params = {}) {
+  const base = instanceUrl();
+  if (!base || !process.env.SN_USERNAME || !process.env.SN_PASSWORD) {
+    throw new ServiceNowError("ServiceNow is not configured (SN_INSTANCE_URL, SN_USERNAME, SN_PASSWORD)", {
+      code: "SN_NOT_CONFIGURED",
+    });
+  }
+
+  const search = new URLSearchParams();
+  for (const [k, v] of Object.entries(params)) if (v != null && v !== "") search.set(k, String(v));
+  const qs = search.toString();
+  const url = `${base}/api/now/${path.replace(/^\/+/, "")}${qs ? `?${qs}` : ""}`;
+  const basic = Buffer.from(`${process.env.SN_USERNAME}:${process.env.SN_PASSWORD}`).toString("base64");
+  const retries = envNumber("SN_MAX_RETRIES", 3);
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), envNumber("SN_TIMEOUT_MS", 20000));
+
+    let resp;
+    let raw;
+    try {
+      resp = await fetch(url, {
+        headers: { Authorization: `Basic ${basic}`, Accept: "application/json" },
+        signal: controller.signal,
+      });
+      raw = await resp.text();
+    } catch (e) {
+      const timedOut = e?.name === "AbortError";
+      if (attempt < retries) {
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+      throw new ServiceNowError(`ServiceNow request ${timedOut ? "timed out" : `failed: ${e?.message || e}`} (${url})`, {
+        code: timedOut ? "SN_TIMEOUT" : "SN_REQUEST_FAILED",
+        url,
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    let body = null;
+    try { body = raw ? JSON.parse(raw) : null; } catch {}
+
+    if (resp.ok) {
+      if (!body || !("result" in body)) {
+        throw new ServiceNowError(`ServiceNow returned an unexpected response (${url})`, {
+          code: "SN_BAD_RESPONSE",
+          status: resp.status,
+          url,
+        });
+      }
+      const total = Number(resp.headers.get("x-total-count"));
+      return { result: body.result, total: Number.isFinite(total) ? total : null };
+    }
+
+    const wait = retryAfterMs(resp);
+    const transient = resp.status === 429 || resp.status === 503 || resp.status === 504;
+    if (transient && attempt < retries) {
+      await sleep(wait ?? backoffMs(attempt));
+      continue;
+    }
+    const detail = body?.error?.message || body?.error?.detail || "";
+    throw new ServiceNowError(`ServiceNow request failed HTTP ${resp.status}${detail ? `: ${detail}` : ""} (${url})`, {
+      code: codeForStatus(resp.status),
+      status: resp.status,
+      url,
+      retryAfterMs: wait,
+    });
+  }
+}
+
+// -------- Encoded queries --------
+// A value inside an encoded query condition; "^" separates conditions, so
+// it is doubled, and line breaks are dropped
+export function queryValue(value) {
+  return String(value ?? "").replace(/[\r\n]+/g, " ").replace(/\^/g, "^^").trim();
+}
+
+/**
+ * Join encoded query conditions with AND (^), skipping empty parts.
+ * e.g. joinQuery("active=true", "priorityIN1,2") -> "active=true^priorityIN1,2"
+ */
+export function joinQuery(...parts) {
+  return parts.flat().map((p) => String(p || "").trim()).filter(Boolean).join("^");
+}
+
+// -------- Table API --------
+/**
+ * Read records from a table, following offset pages up to `limit`.
+ * Options: query (encoded query), fields (array or comma list), orderBy
+ * (field, "-" prefix for descending), offset (records to skip), limit
+ * (default 1000), displayValue (true | false | "all").
+ * Returns { records, total } (total = all matching records, when reported).
+ */
+export async function queryTable(table, { query = "", fields, orderBy, offset = 0, limit = 1000, displayValue = false } = {}) {
+  const pageSize = Math.max(1, Math.min(envNumber("SN_PAGE_SIZE", 500), 10000));
+  const order = orderBy ? (orderBy.startsWith("-") ? `ORDERBYDESC${orderBy.slice(1)}` : `ORDERBY${orderBy}`) : "";
+  const records = [];
+  let total = null;
+
+  while (records.length < limit) {
+    const size = Math.min(pageSize, limit - records.length);
+    const page = await snGet(`table/${encodeURIComponent(table)}`, {
+      sysparm_query: joinQuery(query, order),
+      sysparm_fields: Array.isArray(fields) ? fields.join(",") : fields,
+      sysparm_limit: size,
+      sysparm_offset: offset + records.length,
+      sysparm_display_value: displayValue,
+      sysparm_exclude_reference_link: true,
+    });
+    const rows = Array.isArray(page.result) ? page.result : [];
+    records.push(...rows);
+    total = page.total ?? total;
+    if (rows.length < size || (total != null && offset + records.length >= total)) break;
+  }
+  return { records, total: total ?? offset + records.length };
+}
+
+// Plain value of a field read with displayValue "all"
+function fieldValue(field) {
+  return field && typeof field === "object" ? field.value : field;
+}
+
+function fieldDisplay(field) {
+  return field && typeof field === "object" ? field.display_value || field.value : field;
+}
+
+// -------- Aggregate API --------
+/**
+ * Aggregate records on the server.
+ * Options: query, groupBy (array or comma list), count (default true),
+ * avg / min / max / sum (array or comma list of fields).
+ * Returns rows of { group: { <field>: { value, display } }, count, avg, min, max, sum }.
+ * Without groupBy there is a single row with an empty group.
+ */
+export async function aggregate(table, { query = "", groupBy, count = true, avg, min, max, sum } = {}) {
+  const list = (v) => (Array.isArray(v) ? v.join(",") : v);
+  const { result } = await snGet(`stats/${encodeURIComponent(table)}`, {
+    sysparm_query: query,
+    sysparm_group_by: list(groupBy),
+    sysparm_count: count ? "true" : undefined,
+    sysparm_avg_fields: list(avg),
+    sysparm_min_fields: list(min),
+    sysparm_max_fields: list(max),
+    sysparm_sum_fields: list(sum),
+    sysparm_display_value: "all",
+  });
+
+  const rows = Array.isArray(result) ? result : result ? [result] : [];
+  return rows.map((row) => {
+    const stats = row.stats || {};
+    const group = {};
+    for (const g of row.groupby_fields || []) {
+      group[g.field] = { value: g.value ?? "", display: g.display_value || g.value || "" };
+    }
+    return {
+      group,
+      count: Number(stats.count || 0),
+      ...(stats.avg ? { avg: stats.avg } : {}),
+      ...(stats.min ? { min: stats.min } : {}),
+      ...(stats.max ? { max: stats.max } : {}),
+      ...(stats.sum ? { sum: stats.sum } : {}),
+    };
+  });
+}
+
+// Grouped counts, largest first: [{ value, name, count }]
+async function countBy(table, query, field) {
+  const rows = await aggregate(table, { query, groupBy: field });
+  return rows
+    .map((r) => ({ value: r.group[field]?.value || "", name: r.group[field]?.display || "(empty)", count: r.count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+async function countWhere(table, query) {
+  const [row] = await aggregate(table, { query });
+  return row?.count || 0;
+}
+
+// -------- Operations summary --------
+function summaryConfig() {
+  const config = loadConfig("servicenow", { envVar: "SN_CONFIG", fallback: {} }) || {};
+  const merged = { ...DEFAULT_CONFIG, ...config };
+  return {
+    ...merged,
+    highPriority: (merged.highPriority || []).map(String),
+    agingDays: [...(merged.agingDays || [])].map(Number).filter((d) => d > 0).sort((a, b) => a - b),
+  };
+}
+
+// Counts per age bucket, from "opened before N days ago" counts
+async function aging(table, query, days) {
+  const [total, ...olderThan] = await Promise.all([
+    countWhere(table, query),
+    ...days.map((d) => countWhere(table, joinQuery(query, `opened_at<javascript:gs.daysAgoStart(${d})`))),
+  ]);
+  const buckets = [];
+  let younger = total;
+  days.forEach((d, i) => {
+    const from = i === 0 ? 0 : days[i - 1];
+    buckets.push({ label: i === 0 ? `< ${d}d` : `${from}–${d}d`, fromDays: from, toDays: d, count: younger - olderThan[i] });
+    younger = olderThan[i];
+  });
+  const last = days.length ? days[days.length - 1] : 0;
+  buckets.push({ label: last ? `> ${last}d` : "all", fromDays: last, toDays: null, count: younger });
+  return buckets;
+}
+
+function recordFields(config) {
+  return ["sys_id", "number", "short_description", "priority", "state", "opened_at", "assignment_group", "cmdb_ci", config.customerField].filter(Boolean);
+}
+
+// Records read with displayValue "all"
+function toRecord(table, r, config) {
+  const openedAt = fieldValue(r.opened_at) || null;
+  // ServiceNow returns "yyyy-MM-dd HH:mm:ss" in UTC for the raw value
+  const opened = openedAt ? Date.parse(`${openedAt.replace(" ", "T")}Z`) : NaN;
+  const id = fieldValue(r.sys_id);
+  return {
+    id,
+    number: fieldDisplay(r.number),
+    shortDescription: fieldDisplay(r.short_description) || "",
+    priority: fieldValue(r.priority),
+    priorityLabel: fieldDisplay(r.priority),
+    state: fieldDisplay(r.state) || null,
+    openedAt,
+    ageDays: Number.isFinite(opened) ? Math.max(0, Math.floor((Date.now() - opened) / 86400000)) : null,
+    assignmentGroup: fieldDisplay(r.assignment_group) || null,
+    ci: fieldDisplay(r.cmdb_ci) || null,
+    customer: (config.customerField && fieldDisplay(r[config.customerField])) || null,
+    url: id ? `${instanceUrl()}/nav_to.do?uri=${encodeURIComponent(`${table}.do?sys_id=${id}`)}` : null,
+  };
+}
+
+async function summarizeTable(table, { label, query = "" }, config) {
+  const high = config.highPriority.length ? `priorityIN${config.highPriority.join(",")}` : "";
+  const [byPriority, groups, cis, agingBuckets, open] = await Promise.all([
+    countBy(table, query, "priority"),
+    countBy(table, query, "assignment_group"),
+    countBy(table, query, "cmdb_ci"),
+    aging(table, query, config.agingDays),
+    config.openItems > 0 && high
+      ? queryTable(table, {
+          query: joinQuery(query, high),
+          fields: recordFields(config),
+          orderBy: "-opened_at",
+          limit: config.openItems,
+          displayValue: "all",
+        })
+      : { records: [] },
+  ]);
+
+  return {
+    table,
+    label: label || table,
+    total: byPriority.reduce((s, p) => s + p.count, 0),
+    byPriority: byPriority
+      .map((p) => ({ priority: p.value, label: p.name, count: p.count }))
+      .sort((a, b) => String(a.priority).localeCompare(String(b.priority))),
+    highPriority: byPriority.filter((p) => config.highPriority.includes(p.value)).reduce((s, p) => s + p.count, 0),
+    topAssignmentGroups: groups.filter((g) => g.value).slice(0, config.top).map(({ value, name, count }) => ({ id: value, name, count })),
+    unassigned: groups.find((g) => !g.value)?.count || 0,
+    affectedCis: cis.filter((c) => c.value).slice(0, config.top).map(({ value, name, count }) => ({ id: value, name, count })),
+    aging: agingBuckets,
+    openHighPriority: open.records.map((r) => toRecord(table, r, config)),
+  };
+}
+
+/**
+ * Operational summary across the configured tables. A table that fails is
+ * reported with its error instead of failing the whole summary.
+ * Returns { tables: { <table>: summary | { table, label, error, code } },
+ *           byPriority, totalHighPriority, generatedAt } where byPriority and
+ * totalHighPriority are the incident figures.
+ */
+export async function getOperationsSummary() {
+  const config = summaryConfig();
+  const entries = Object.entries(config.tables || {});
+  const results = await Promise.all(
+    entries.map(([table, spec]) =>
+      summarizeTable(table, spec || {}, config).catch((e) => ({
+        table,
+        label: spec?.label || table,
+        error: e?.message || String(e),
+        code: e?.code || null,
+      }))
+    )
+  );
+
+  const tables = Object.fromEntries(results.map((r) => [r.table, r]));
+  const incidents = tables.incident && !tables.incident.error ? tables.incident : null;
+  return {
+    tables,
+    byPriority: incidents ? incidents.byPriority.map(({ priority, count }) => ({ priority, count })) : [],
+    totalHighPriority: incidents ? incidents.highPriority : 0,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+// -------- Incident drill-down --------
+// Figures quoted in the executive brief, as incident conditions on top of the
+// configured incident query
+export const INCIDENT_FIGURES = {
+  p1: { label: "P1 incidents", priorities: ["1"] },
+  p2: { label: "P2 incidents", priorities: ["2"] },
+  "high-priority": { label: "High-priority incidents", priorities: null },
+  open: { label: "Open incidents", priorities: [] },
+};
+
+const SORTS = { newest: "-opened_at", oldest: "opened_at", priority: "priority" };
+const SYS_ID = /^[0-9a-f]{32}$/i;
+
+// Reference field matched by sys_id or display name
+function referenceCondition(field, value) {
+  const v = String(value || "").trim();
+  if (!v) return "";
+  return SYS_ID.test(v) ? `${field}=${v}` : `${field}.name=${queryValue(v)}`;
+}
+
+function wholeDays(value, name) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > 3650) throw new ServiceNowError(`${name} must be a whole number of days.`, { code: "SN_BAD_FILTER", status: 400 });
+  return n;
+}
+
+/**
+ * Incidents behind a brief figure ("p1", "p2", "high-priority", "open"),
+ * newest first, one page at a time.
+ * Filters: priority (list), group, ci, customer (sys_id or name), q (number or
+ * short description text), minAgeDays, maxAgeDays. sort: newest | oldest | priority.
+ * Returns { figure, label, query, total, page, pageSize, pages, incidents }.
+ * Unknown figures and bad filters throw ServiceNowError "SN_BAD_FILTER" (status 400).
+ */
+export async function listIncidents({ figure = "high-priority", filters = {}, sort = "newest", page = 1, pageSize = 25 } = {}) {
+  const spec = INCIDENT_FIGURES[figure];
+  if (!spec) {
+    throw new ServiceNowError(`Unknown figure "${figure}". Use one of: ${Object.keys(INCIDENT_FIGURES).join(", ")}.`, {
+      code: "SN_BAD_FILTER",
+      status: 400,
+    });
+  }
+  if (!SORTS[sort]) throw new ServiceNowError(`Unknown sort "${sort}". Use one of: ${Object.keys(SORTS).join(", ")}.`, { code: "SN_BAD_FILTER", status: 400 });
+
+  const config = summaryConfig();
+  const base = config.tables?.incident?.query ?? DEFAULT_CONFIG.tables.incident.query;
+  const priorities = spec.priorities ?? config.highPriority;
+  const requested = [filters.priority].flat().flatMap((p) => String(p ?? "").split(",")).map((p) => p.trim()).filter(Boolean);
+  if (requested.some((p) => !/^[1-5]$/.test(p))) throw new ServiceNowError("priority must be 1–5.", { code: "SN_BAD_FILTER", status: 400 });
+  const wanted = requested.length ? (priorities.length ? priorities.filter((p) => requested.includes(p)) : requested) : priorities;
+  const minAge = wholeDays(filters.minAgeDays, "minAgeDays");
+  const maxAge = wholeDays(filters.maxAgeDays, "maxAgeDays");
+  const text = queryValue(filters.q);
+
+  const query = joinQuery(
+    base,
+    wanted.length ? `priorityIN${wanted.join(",")}` : "",
+    // Asked for priorities outside the figure: nothing can match
+    requested.length && priorities.length && !wanted.length ? "sys_idISEMPTY" : "",
+    referenceCondition("assignment_group", filters.group),
+    referenceCondition("cmdb_ci", filters.ci),
+    config.customerField ? referenceCondition(config.customerField, filters.customer) : "",
+    text ? `numberLIKE${text}^ORshort_descriptionLIKE${text}` : "",
+    minAge != null ? `opened_at<javascript:gs.daysAgoStart(${minAge})` : "",
+    maxAge != null ? `opened_at>=javascript:gs.daysAgoStart(${maxAge})` : ""
+  );
+
+  const size = Math.max(1, Math.min(Number(pageSize) || 25, 100));
+  const pageNo = Math.max(1, Math.floor(Number(page) || 1));
+  const { records, total } = await queryTable("incident", {
+    query,
+    fields: recordFields(config),
+    orderBy: SORTS[sort],
+    offset: (pageNo - 1) * size,
+    limit: size,
+    displayValue: "all",
+  });
+
+  return {
+    figure,
+    label: spec.label,
+    query,
+    total,
+    page: pageNo,
+    pageSize: size,
+    pages: Math.max(1, Math.ceil(total / size)),
+    incidents: records.map((r) => toRecord("incident", r, config)),
+  };
+}
@@ -0,0 +1,194 @@
+// lib/sessions.js
+//
+// Multi-turn conversation sessions for the chat endpoints.
+//
+// A session is keyed by sessionId and belongs to the caller that started it
+// (`owner`, "<auth type>:<id>" from lib/auth.js); other callers get
+// "not found". It keeps:
+// - turns:             prior user / assistant messages
+// - files:             SharePoint files already retrieved (in the order they were used)
+// - salesforceRecords: Salesforce records already retrieved
+// - lastChart:         the most recent chart sent to the UI
+//
+// ENV:
+// SESSION_TTL_HOURS   idle sessions expire after this (default 24)
+// SESSION_MAX_TURNS   turns kept per session (default 20)
+
+import { randomUUID } from "node:crypto";
+import { readJson, writeJson, removeFile, listFiles } from "./store.js";
+
+const DIR = "sessions";
+const MAX_FILES = 20;
+const MAX_RECORDS = 50;
+
+function ttlMs() {
+  const hours = Number(process.env.SESSION_TTL_HOURS || 24);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 3600000;
+}
+
+function maxTurns() {
+  const n = Number(process.env.SESSION_MAX_TURNS || 20);
+  return Number.isFinite(n) && n > 0 ? n : 20;
+}
+
+// Client-supplied ids end up in file names, so keep them boring.
+export function normalizeSessionId(id) {
+  const s = String(id || "").trim();
+  return /^[A-Za-z0-9_-]{8,64}$/.test(s) ? s : null;
+}
+
+// Raised when a session id belongs to another caller
+export class SessionNotFoundError extends Error {
+  constructor() {
+    super("Session not found.");
+    this.name = "SessionNotFoundError";
+    this.code = "SESSION_NOT_FOUND";
+    this.status = 404;
+  }
+}
+
+// Owner recorded on sessions the caller starts
+export function sessionOwner(req) {
+  return req?.auth ? `${req.auth.type}:${req.auth.id}` : "anonymous:anonymous";
+}
+
+function isExpired(session, now = Date.now()) {
+  const updated = new Date(session?.updatedAt || 0).getTime();
+  return !Number.isFinite(updated) || now - updated > ttlMs();
+}
+
+// Stored session whatever its owner (expired ones are removed)
+async function loadSession(sessionId) {
+  const session = await readJson(`${DIR}/${sessionId}.json`, null);
+  if (!session) return null;
+  if (isExpired(session)) {
+    await removeFile(`${DIR}/${sessionId}.json`);
+    return null;
+  }
+  return session;
+}
+
+/**
+ * The session for `id` if it belongs to `owner` (see sessionOwner), else null.
+ */
+export async function getSession(id, owner) {
+  const sessionId = normalizeSessionId(id);
+  if (!sessionId) return null;
+
+  const session = await loadSession(sessionId);
+  return session && session.owner === owner ? session : null;
+}
+
+/**
+ * Load `owner`'s session for `id`, or start a new one for them.
+ * An unknown but well-formed id is kept so clients can choose their own ids;
+ * an id that belongs to someone else throws SessionNotFoundError.
+ */
+export async function getOrCreateSession(id, assistant, owner) {
+  const sessionId = normalizeSessionId(id);
+  const existing = sessionId ? await loadSession(sessionId) : null;
+  if (existing) {
+    if (existing.owner !== owner) throw new SessionNotFoundError();
+    return existing;
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: sessionId || randomUUID(),
+    owner,
+    assistant: assistant || "general",
+    createdAt: now,
+    updatedAt: now,
+    turns: [],
+    files: [],
+    salesforceRecords: [],
+    lastChart: null,
+  };
+}
+
+function mergeBy(existing, incoming, keyOf, max) {
+  const out = [...(existing || [])];
+  for (const item of incoming || []) {
+    const key = keyOf(item);
+    const idx = key ? out.findIndex((x) => keyOf(x) === key) : -1;
+    if (idx >= 0) out.splice(idx, 1);
+    out.push(item);
+  }
+  return out.slice(-max);
+}
+
+/**
+ * Append a question / answer pair plus whatever context it used, then persist.
+ */
+export async function recordTurn(session, { question, answer, files, salesforceRecords, chartData } = {}) {
+  const at = new Date().toISOString();
+
+  session.turns = [
+    ...(session.turns || []),
+    { role: "user", text: String(question || ""), at },
+    { role: "assistant", text: String(answer || ""), at },
+  ].slice(-maxTurns());
+
+  if (files?.length) {
+    session.files = mergeBy(session.files, files, (f) => f.id || f.name, MAX_FILES);
+  }
+  if (salesforceRecords?.length) {
+    session.salesforceRecords = mergeBy(
+      session.salesforceRecords,
+      salesforceRecords,
+      (r) => r.Id || null,
+      MAX_RECORDS
+    );
+  }
+  if (chartData) session.lastChart = chartData;
+
+  session.updatedAt = at;
+  await writeJson(`${DIR}/${session.id}.json`, session);
+  return session;
+}
+
+/**
+ * Render prior turns for a prompt. Returns "" for a fresh session.
+ */
+export function formatHistory(session, { turns = 10, maxChars = 600 } = {}) {
+  const recent = (session?.turns || []).slice(-turns);
+  if (!recent.length) return "";
+
+  return recent
+    .map((t) => {
+      const who = t.role === "user" ? "User" : "Assistant";
+      const text = String(t.text || "").replace(/\s+/g, " ").trim();
+      return `${who}: ${text.length > maxChars ? `${text.slice(0, maxChars)}…` : text}`;
+    })
+    .join("\n");
+}
+
+// Sessions of one owner, most recently used first
+export async function listSessions(owner) {
+  const names = await listFiles(DIR);
+  const out = [];
+
+  for (const name of names) {
+    if (!name.endsWith(".json")) continue;
+    const session = await getSession(name.slice(0, -5), owner);
+    if (!session) continue;
+    const firstQuestion = session.turns?.find((t) => t.role === "user")?.text || "";
+    out.push({
+      id: session.id,
+      assistant: session.assistant,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      turnCount: session.turns?.length || 0,
+      title: firstQuestion.slice(0, 80),
+    });
+  }
+
+  return out.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+// Returns false when `owner` has no session with this id
+export async function deleteSession(id, owner) {
+  const session = await getSession(id, owner);
+  if (!session) return false;
+  return removeFile(`${DIR}/${session.id}.json`);
+}
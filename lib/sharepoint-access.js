@@ -0,0 +1,149 @@
+// lib/sharepoint-access.js
+//
+// Which indexed SharePoint files a caller may see.
+//
+// SP_ACCESS_MODE
+// - "app" (default): every indexed file is visible (app-only Graph access).
+// - "obo": the caller's Azure AD token ("Authorization: Bearer <token>",
+//   issued for this app) is exchanged on-behalf-of for a delegated Graph token
+//   (lib/graph.js), and a file is only used when that user can open it in
+//   SharePoint. Callers without a token only see the sources' publicFolders
+//   (config/sharepoint-sources.json).
+//
+// The index stays one shared, app-only copy; trimming happens per request,
+// before passages reach the LLM or the response.
+//
+// ENV:
+// SP_ACCESS_MODE            "app" | "obo"
+// SP_ACCESS_CACHE_SECONDS   reuse a per-user file decision this long (default 300)
+
+import { createHash } from "node:crypto";
+import { graphGet, getOboToken, GraphError } from "./graph.js";
+import { getSources, isPublicPath } from "./sharepoint-sources.js";
+import { searchIndex } from "./sharepoint-index.js";
+
+const CHECK_CONCURRENCY = 4;
+const DECISION_CACHE_MAX = 5000;
+const MAX_RANKED = 200;
+
+export class AccessError extends Error {
+  constructor(message, { code = "SP_ACCESS_DENIED", status = 401 } = {}) {
+    super(message);
+    this.name = "AccessError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+export function getAccessMode() {
+  return String(process.env.SP_ACCESS_MODE || "app").trim().toLowerCase() === "obo" ? "obo" : "app";
+}
+
+function cacheMs() {
+  const seconds = Number(process.env.SP_ACCESS_CACHE_SECONDS || 300);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 300) * 1000;
+}
+
+/**
+ * Access context for a request: { mode: "app" }, { mode: "public" } or
+ * { mode: "user", token, key }. Throws AccessError (401) when Azure AD
+ * rejects the caller's token.
+ */
+export async function resolveAccess(req) {
+  if (getAccessMode() === "app") return { mode: "app" };
+
+  // Only a user's JWT can be exchanged; API-key callers get the public folders
+  const match = String(req.headers?.authorization || "").match(/^Bearer\s+([\w-]+\.[\w-]+\.[\w-]*)$/i);
+  if (!match || req.auth?.type === "apiKey") return { mode: "public" };
+
+  try {
+    const token = await getOboToken(match[1]);
+    return { mode: "user", token, key: createHash("sha256").update(match[1]).digest("hex") };
+  } catch (e) {
+    if (e instanceof GraphError && e.code === "GRAPH_OBO_FAILED" && e.status >= 400 && e.status < 500) {
+      throw new AccessError("Your sign-in token was not accepted for SharePoint. Sign in again.", {
+        code: "SP_TOKEN_REJECTED",
+      });
+    }
+    throw e;
+  }
+}
+
+// -------- Per-user decisions --------
+const decisions = new Map(); // `${userKey}|${fileId}|${eTag}` -> { allowed, at }
+
+function remember(key, allowed) {
+  if (decisions.size >= DECISION_CACHE_MAX) {
+    const cutoff = Date.now() - cacheMs();
+    for (const [k, v] of decisions) if (v.at < cutoff) decisions.delete(k);
+    if (decisions.size >= DECISION_CACHE_MAX) decisions.delete(decisions.keys().next().value);
+  }
+  decisions.set(key, { allowed, at: Date.now() });
+}
+
+// Can the user open the item? 403 / 404 with their token means no. Other
+// failures also deny (fail closed) but are not cached.
+async function userCanOpen(access, file) {
+  const key = `${access.key}|${file.id}|${file.eTag}`;
+  const known = decisions.get(key);
+  if (known && Date.now() - known.at < cacheMs()) return known.allowed;
+
+  try {
+    await graphGet(`/drives/${file.driveId}/items/${file.id}?$select=id`, { token: access.token, retries: 1 });
+    remember(key, true);
+    return true;
+  } catch (e) {
+    if (e instanceof GraphError && (e.status === 403 || e.status === 404)) {
+      remember(key, false);
+      return false;
+    }
+    console.error("SharePoint access check failed:", file.name, e?.message || e);
+    return false;
+  }
+}
+
+/**
+ * Subset of `fileIds` (files of `index`) the caller may see, as a Set.
+ */
+export async function permittedFileIds(access, index, fileIds) {
+  const files = fileIds.map((id) => index.files[id]).filter(Boolean);
+  if (access.mode === "app") return new Set(files.map((f) => f.id));
+
+  if (access.mode === "public") {
+    const sources = new Map(getSources().map((s) => [s.id, s]));
+    return new Set(files.filter((f) => sources.has(f.sourceId) && isPublicPath(sources.get(f.sourceId), f.path)).map((f) => f.id));
+  }
+
+  const allowed = new Set();
+  const queue = [...files];
+  const worker = async () => {
+    while (queue.length) {
+      const file = queue.shift();
+      if (await userCanOpen(access, file)) allowed.add(file.id);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CHECK_CONCURRENCY, queue.length) }, worker));
+  return allowed;
+}
+
+/**
+ * searchIndex() limited to files the caller may see. For signed-in users the
+ * ranking is widened until enough permitted passages are found, so only the
+ * top candidates are checked against SharePoint.
+ */
+export async function searchPermitted(access, index, question, options = {}) {
+  if (access.mode === "app") return searchIndex(index, question, options);
+
+  if (access.mode === "public") {
+    const visible = await permittedFileIds(access, index, Object.keys(index.files));
+    return searchIndex(index, question, { ...options, visible });
+  }
+
+  const limit = options.limit ?? 8;
+  for (let want = limit * 3; ; want *= 2) {
+    const ranked = searchIndex(index, question, { ...options, limit: want });
+    const allowed = await permittedFileIds(access, index, [...new Set(ranked.map((p) => p.fileId))]);
+    const kept = ranked.filter((p) => allowed.has(p.fileId));
+    if (kept.length >= limit || ranked.length < want || want >= MAX_RANKED) return kept.slice(0, limit);
+  }
+}
@@ -0,0 +1,465 @@
+// lib/sharepoint-index.js
+//
+// Local chunked full-text index over one configured SharePoint source
+// (lib/sharepoint-sources.js).
+//
+// - Syncs from the drive's delta feed (/root/delta): the saved deltaLink
+//   returns only what changed since the last sync. Files the source's folders,
+//   globs and types admit are downloaded and split into overlapping chunks;
+//   each file records whether extraction succeeded (see lib/extract.js).
+// - Only files whose eTag changed are re-extracted; deleted files are dropped.
+// - Persisted under DATA_DIR (sharepoint-index/<sourceId>.json).
+// - mergeIndexes() combines several sources into one searchable view.
+// - Queries are ranked with BM25 over chunk text plus the file name.
+//
+// ENV:
+// SP_INDEX_REFRESH_MINUTES   refresh the index in the background when older
+//                            than this (default 15)
+
+import { readJson, writeJson } from "./store.js";
+import { getExtension, extractText } from "./extract.js";
+import { graphDownload, graphDelta } from "./graph.js";
+import { sourceIncludes, sourceFilterKey, drivePath } from "./sharepoint-sources.js";
+
+const INDEX_VERSION = 4;
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "can", "do", "does", "for", "from", "give",
+  "has", "have", "how", "i", "in", "is", "it", "me", "my", "of", "on", "or", "our", "show",
+  "tell", "that", "the", "their", "there", "these", "this", "to", "us", "was", "we", "what",
+  "when", "where", "which", "who", "why", "with", "you", "your", "about", "please", "summarise",
+  "summarize", "summary", "document", "documents", "file", "files",
+]);
+
+function refreshMs() {
+  const minutes = Number(process.env.SP_INDEX_REFRESH_MINUTES || 15);
+  return (Number.isFinite(minutes) && minutes >= 0 ? minutes : 15) * 60000;
+}
+
+function indexName(sourceId) {
+  return `sharepoint-index/${String(sourceId).replace(/[^A-Za-z0-9_!-]/g, "_")}.json`;
+}
+
+// -------- Text helpers --------
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t))
+    .map((t) => (t.length > 4 && t.endsWith("s") ? t.slice(0, -1) : t));
+}
+
+// Split on paragraph boundaries where possible, then hard-wrap long paragraphs.
+export function chunkText(text, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
+  const clean = String(text || "").replace(/\r\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  if (!clean) return [];
+
+  const chunks = [];
+  let current = "";
+  let pending = false; // current holds text that is not in a chunk yet
+
+  const append = (part) => {
+    current += (current ? "\n\n" : "") + part;
+    pending = true;
+  };
+  const flush = () => {
+    if (pending && current.trim()) chunks.push(current.trim());
+    if (current.length > overlap) current = current.slice(-overlap);
+    pending = false;
+  };
+
+  for (const para of clean.split(/\n\n/)) {
+    if (current.length + para.length + 2 > size) flush();
+    let rest = para;
+    while (current.length + rest.length + 2 > size) {
+      const room = Math.max(size - current.length - 2, overlap);
+      append(rest.slice(0, room));
+      rest = rest.slice(room);
+      flush();
+    }
+    if (rest) append(rest);
+  }
+  flush();
+  return chunks;
+}
+
+// -------- Build / refresh --------
+const DELTA_SELECT = "$select=id,name,eTag,lastModifiedDateTime,webUrl,file,folder,size,parentReference,deleted,root";
+
+function emptyIndex(source) {
+  return {
+    version: INDEX_VERSION,
+    key: source.id,
+    sourceId: source.id,
+    sourceName: source.name,
+    driveId: source.driveId,
+    filterKey: null,
+    deltaLink: null,
+    folders: {}, // id -> { name, parentId, root? }, rebuilt on every full sync
+    refreshedAt: null,
+    files: {},
+    chunks: [],
+  };
+}
+
+// `source` is a resolved source (see resolveSource()). An index built for a
+// different drive is discarded.
+export async function loadIndex(source) {
+  const index = await readJson(indexName(source.id), null);
+  if (!index || index.version !== INDEX_VERSION || index.driveId !== source.driveId) return emptyIndex(source);
+  return { ...index, sourceName: source.name };
+}
+
+// Path from the drive root. Delta items carry no parentReference.path, so the
+// path is rebuilt from the folders the delta feed has reported.
+function itemPath(index, item) {
+  const names = [item.name];
+  let id = item.parentReference?.id;
+  for (let depth = 0; id && depth < 64; depth++) {
+    const folder = index.folders[id];
+    if (!folder) break;
+    if (folder.root) return names.reverse().join("/");
+    names.push(folder.name);
+    id = folder.parentId;
+  }
+  return drivePath(item);
+}
+
+function removeFile(index, id) {
+  delete index.files[id];
+  index.chunks = index.chunks.filter((c) => c.fileId !== id);
+}
+
+// Download and extract one file. A failed download keeps any earlier text
+// and marks the file so the next refresh retries it.
+async function extractFile(index, source, item, path, stats) {
+  const known = index.files[item.id];
+  const mimeType = item.file?.mimeType || known?.mimeType || "";
+  const entry = {
+    id: item.id,
+    driveId: source.driveId,
+    sourceId: source.id,
+    name: item.name,
+    webUrl: item.webUrl || "",
+    eTag: item.eTag || "",
+    lastModified: item.lastModifiedDateTime || "",
+    extension: getExtension(item.name),
+    mimeType,
+    size: item.size ?? known?.size ?? null,
+    path,
+  };
+
+  let extraction;
+  try {
+    const buffer = await graphDownload(`/drives/${source.driveId}/items/${item.id}/content`);
+    extraction = await extractText({ buffer, name: item.name, mimeType });
+  } catch (e) {
+    console.error("Index download failed:", item.name, e?.message || e);
+    stats.failed++;
+    index.files[item.id] = {
+      textLength: 0,
+      ...known,
+      ...entry,
+      pendingDownload: true,
+      extraction: { ok: false, format: known?.extraction?.format || null, error: `DOWNLOAD_FAILED: ${e?.code || e?.message || e}` },
+    };
+    return;
+  }
+  if (!extraction.ok) stats.failed++;
+
+  index.chunks = index.chunks.filter((c) => c.fileId !== item.id);
+  chunkText(extraction.text).forEach((text, position) => {
+    index.chunks.push({ id: `${item.id}:${position}`, fileId: item.id, position, text });
+  });
+  index.files[item.id] = {
+    ...entry,
+    textLength: extraction.text.length,
+    extraction: { ok: extraction.ok, format: extraction.format, error: extraction.error },
+  };
+  if (known) stats.updated++;
+  else stats.added++;
+}
+
+// Apply one delta feed to the index. Returns the file ids it reported and
+// whether a known folder was renamed or moved (paths below it changed).
+async function applyDelta(index, source, items, stats) {
+  let foldersChanged = false;
+  for (const item of items) {
+    if (item.deleted) continue;
+    if (item.root) {
+      index.folders[item.id] = { name: "", parentId: null, root: true };
+    } else if (item.folder) {
+      const parentId = item.parentReference?.id || null;
+      const known = index.folders[item.id];
+      if (known && (known.name !== item.name || known.parentId !== parentId)) foldersChanged = true;
+      index.folders[item.id] = { name: item.name, parentId };
+    }
+  }
+
+  const seen = new Set();
+  for (const item of items) {
+    if (item.deleted) {
+      if (index.folders[item.id]) foldersChanged = true;
+      delete index.folders[item.id];
+      if (index.files[item.id]) {
+        removeFile(index, item.id);
+        stats.removed++;
+      }
+      continue;
+    }
+    if (!item.file) continue;
+    seen.add(item.id);
+
+    const path = itemPath(index, item);
+    const known = index.files[item.id];
+    if (!sourceIncludes(source, { path, name: item.name, mimeType: item.file.mimeType })) {
+      if (known) {
+        removeFile(index, item.id);
+        stats.removed++;
+      }
+      continue;
+    }
+    if (known && known.eTag === item.eTag && !known.pendingDownload) {
+      Object.assign(known, { name: item.name, path, webUrl: item.webUrl || known.webUrl });
+      stats.unchanged++;
+      continue;
+    }
+    await extractFile(index, source, item, path, stats);
+  }
+  return { seen, foldersChanged };
+}
+
+/**
+ * Sync the source from the drive's delta feed and re-extract only files whose
+ * eTag changed. The first run, a changed filter, an expired delta token (410)
+ * or a renamed folder trigger a full pass; eTags still spare unchanged files.
+ * Options: full (force a full pass).
+ * Returns the updated index plus counts of what changed.
+ */
+export async function refreshIndex(source, { full = false } = {}) {
+  const index = await loadIndex(source);
+  const stats = { mode: "incremental", added: 0, updated: 0, removed: 0, unchanged: 0, failed: 0 };
+  const filterKey = sourceFilterKey(source);
+  const touched = new Set();
+
+  let needFull = full || !index.deltaLink || index.filterKey !== filterKey;
+  if (!needFull) {
+    try {
+      const { items, deltaLink } = await graphDelta(index.deltaLink);
+      const { seen, foldersChanged } = await applyDelta(index, source, items, stats);
+      seen.forEach((id) => touched.add(id));
+      index.deltaLink = deltaLink;
+      needFull = foldersChanged;
+    } catch (e) {
+      if (e?.status !== 410) throw e;
+      needFull = true;
+    }
+  }
+
+  if (needFull) {
+    stats.mode = "full";
+    index.folders = {};
+    const { items, deltaLink } = await graphDelta(`/drives/${source.driveId}/root/delta?${DELTA_SELECT}`);
+    const { seen } = await applyDelta(index, source, items, stats);
+    for (const id of Object.keys(index.files)) {
+      if (seen.has(id)) continue;
+      removeFile(index, id);
+      stats.removed++;
+    }
+    seen.forEach((id) => touched.add(id));
+    index.deltaLink = deltaLink;
+    index.filterKey = filterKey;
+  }
+
+  // Earlier downloads that failed and were not in this feed
+  for (const file of Object.values(index.files)) {
+    if (!file.pendingDownload || touched.has(file.id)) continue;
+    const item = { id: file.id, name: file.name, webUrl: file.webUrl, eTag: file.eTag, lastModifiedDateTime: file.lastModified, size: file.size };
+    await extractFile(index, source, item, file.path, stats);
+  }
+
+  index.refreshedAt = new Date().toISOString();
+  await writeJson(indexName(source.id), index);
+  ranked.delete(index.key);
+  return { index, stats };
+}
+
+const inflight = new Map();
+
+/**
+ * Sync now, sharing a sync already in progress for the same source.
+ * Returns { index, stats }.
+ */
+export function syncIndex(source, { full = false } = {}) {
+  if (!inflight.has(source.id)) {
+    inflight.set(
+      source.id,
+      refreshIndex(source, { full }).finally(() => inflight.delete(source.id))
+    );
+  }
+  return inflight.get(source.id);
+}
+
+// Raised by ensureIndex() while a source has never been synced
+export class IndexBuildingError extends Error {
+  constructor(source) {
+    super(`The SharePoint index for "${source.name || source.id}" is still being built. Try again in a few minutes.`);
+    this.name = "IndexBuildingError";
+    this.code = "INDEX_BUILDING";
+    this.status = 503;
+    this.sourceId = source.id;
+  }
+}
+
+/**
+ * Load the persisted index without waiting for a sync: when it is older than
+ * SP_INDEX_REFRESH_MINUTES (or `force`), a sync starts in the background and
+ * the stale index is returned. A source that was never synced throws
+ * IndexBuildingError. Serverless deployments should keep indexes current
+ * with /api/sharepoint-sync on a cron; a background sync may not outlive the
+ * request there.
+ */
+export async function ensureIndex(source, { force = false } = {}) {
+  const index = await loadIndex(source);
+  const age = index.refreshedAt ? Date.now() - new Date(index.refreshedAt).getTime() : Infinity;
+  if (!force && age < refreshMs()) return index;
+
+  syncIndex(source).catch((e) => console.warn(`SharePoint index sync failed (${source.id}):`, e?.message || e));
+  if (!index.refreshedAt) throw new IndexBuildingError(source);
+  return index;
+}
+
+/**
+ * One searchable view over several source indexes. A single index is
+ * returned unchanged.
+ */
+export function mergeIndexes(indexes) {
+  if (indexes.length === 1) return indexes[0];
+  const files = {};
+  const chunks = [];
+  for (const index of indexes) {
+    Object.assign(files, index.files);
+    chunks.push(...index.chunks);
+  }
+  const refreshed = indexes.map((i) => i.refreshedAt).filter(Boolean).sort();
+  return {
+    version: INDEX_VERSION,
+    key: indexes.map((i) => i.key).join("+"),
+    driveId: null,
+    // oldest source decides how fresh the merged view is
+    refreshedAt: refreshed[0] || null,
+    stamp: indexes.map((i) => i.refreshedAt).join("|"),
+    sources: indexes.map((i) => ({
+      id: i.sourceId,
+      name: i.sourceName,
+      refreshedAt: i.refreshedAt,
+      fileCount: Object.keys(i.files).length,
+    })),
+    files,
+    chunks,
+  };
+}
+
+// Length of the longest start of `next` that `prev` ends with (at most CHUNK_OVERLAP)
+function overlapLength(prev, next) {
+  for (let n = Math.min(CHUNK_OVERLAP, prev.length, next.length); n > 0; n--) {
+    if (prev.endsWith(next.slice(0, n))) return n;
+  }
+  return 0;
+}
+
+// Full extracted text of one file, rebuilt from its chunks. Each chunk starts
+// with the tail of the one before (see chunkText), which is dropped here so
+// no passage appears twice.
+export function getFileText(index, fileId) {
+  const chunks = index.chunks.filter((c) => c.fileId === fileId).sort((a, b) => a.position - b.position);
+  let text = "";
+  for (const chunk of chunks) {
+    const shared = overlapLength(text, chunk.text);
+    text += shared ? chunk.text.slice(shared) : (text ? "\n" : "") + chunk.text;
+  }
+  return text;
+}
+
+// -------- Ranking --------
+// Per-index BM25 statistics, rebuilt when the index is refreshed.
+const ranked = new Map();
+
+function rankingFor(index) {
+  const stamp = index.stamp || index.refreshedAt;
+  const cached = ranked.get(index.key);
+  if (cached && cached.stamp === stamp) return cached;
+
+  const docs = index.chunks.map((c) => {
+    const fileName = index.files[c.fileId]?.name || "";
+    const tokens = tokenize(`${fileName.replace(/[_.-]/g, " ")} ${c.text}`);
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return { chunk: c, tf, length: tokens.length };
+  });
+
+  const df = new Map();
+  for (const d of docs) for (const t of d.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+
+  const avgLength = docs.reduce((s, d) => s + d.length, 0) / (docs.length || 1);
+  const stats = { stamp, docs, df, avgLength };
+  ranked.set(index.key, stats);
+  return stats;
+}
+
+/**
+ * Return the best matching passages for a question.
+ * Options: limit (default 8), perFile (default 3), fileIds (restrict to files),
+ *          visible (Set of file ids the caller may see; others are skipped).
+ */
+export function searchIndex(index, question, { limit = 8, perFile = 3, fileIds = null, visible = null } = {}) {
+  const { docs, df, avgLength } = rankingFor(index);
+  const terms = [...new Set(tokenize(question))];
+  const allowed = fileIds ? new Set(fileIds) : null;
+  const n = docs.length;
+
+  const scored = [];
+  for (const d of docs) {
+    if (allowed && !allowed.has(d.chunk.fileId)) continue;
+    if (visible && !visible.has(d.chunk.fileId)) continue;
+
+    let score = 0;
+    for (const t of terms) {
+      const f = d.tf.get(t);
+      if (!f) continue;
+      const idf = Math.log(1 + (n - df.get(t) + 0.5) / (df.get(t) + 0.5));
+      score += idf * ((f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * (d.length / avgLength))));
+    }
+    // With an explicit file filter, fall back to document order when nothing matches.
+    if (score > 0 || allowed) scored.push({ chunk: d.chunk, score });
+  }
+
+  scored.sort((a, b) => b.score - a.score || a.chunk.position - b.chunk.position);
+
+  const perFileCount = new Map();
+  const out = [];
+  for (const { chunk, score } of scored) {
+    const count = perFileCount.get(chunk.fileId) || 0;
+    if (count >= perFile) continue;
+    perFileCount.set(chunk.fileId, count + 1);
+
+    const file = index.files[chunk.fileId] || {};
+    out.push({
+      fileId: chunk.fileId,
+      driveId: file.driveId || index.driveId,
+      fileName: file.name || "",
+      webUrl: file.webUrl || "",
+      lastModified: file.lastModified || "",
+      extension: file.extension || "",
+      position: chunk.position,
+      text: chunk.text,
+      score: Number(score.toFixed(4)),
+    });
+    if (out.length >= limit) break;
+  }
+  return out;
+}
@@ -0,0 +1,160 @@
+// lib/sharepoint-signals.js
+//
+// SharePoint signals: the text of every file in the sources configured for
+// "signals" (config/sharepoint-sources.json), limited to what the caller may
+// open. Used by /api/sharepoint-signals and, in-process, by /api/txi-dashboard.
+// getSignalsIndexStatus() reports the index itself, the same for every caller,
+// for figures shared between callers (risk level, snapshots).
+//
+// Served from the delta-synced local index (lib/sharepoint-index.js); files
+// are only downloaded again when their eTag changes. `refreshedAt` is when
+// the oldest source was last synced. Until a source's first sync has
+// finished the result is ok: false with code "INDEX_BUILDING".
+//
+// ENV:
+// Graph credentials, see lib/graph.js (MS_* or GRAPH_*)
+// SP_SOURCES                 see lib/sharepoint-sources.js
+// SP_INDEX_REFRESH_MINUTES   see lib/sharepoint-index.js
+
+import { GraphError } from "./graph.js";
+import { getSources, resolveSource } from "./sharepoint-sources.js";
+import { ensureIndex, getFileText, IndexBuildingError } from "./sharepoint-index.js";
+import { permittedFileIds } from "./sharepoint-access.js";
+
+function clip(text, max = 8000) {
+  const t = String(text || "").replace(/\r\n/g, "\n").trim();
+  if (t.length <= max) return t;
+  return t.slice(0, max) + "\n…(truncated)";
+}
+
+async function signalsIndexes() {
+  const sources = getSources({ use: "signals" });
+  const indexes = [];
+  for (const configured of sources) {
+    indexes.push(await ensureIndex(await resolveSource(configured)));
+  }
+  return { sources, indexes };
+}
+
+function indexFreshness(indexes) {
+  const synced = indexes.map(i => i.refreshedAt).filter(Boolean).sort();
+  return {
+    refreshedAt: synced[0] || null,
+    sources: indexes.map(i => ({
+      id: i.sourceId,
+      name: i.sourceName,
+      refreshedAt: i.refreshedAt,
+      fileCount: Object.keys(i.files).length,
+    })),
+  };
+}
+
+/**
+ * Status of the signals index before any permission trimming. Always resolves
+ * to { source: "SharePoint", ok, error, code?, refreshedAt, sources, files }
+ * where files counts every indexed file; ok is false when there are none.
+ */
+export async function getSignalsIndexStatus() {
+  try {
+    const { sources, indexes } = await signalsIndexes();
+    const freshness = indexFreshness(indexes);
+    const files = freshness.sources.reduce((n, s) => n + s.fileCount, 0);
+    return {
+      source: "SharePoint",
+      ok: files > 0,
+      error: files > 0
+        ? null
+        : sources.length
+          ? `NO_FILES: The signals sources (${sources.map(x => x.name).join(", ")}) have no indexed files.`
+          : 'NO_SOURCES: No SharePoint source is configured for "signals" (config/sharepoint-sources.json).',
+      ...freshness,
+      files
+    };
+  } catch (e) {
+    return {
+      source: "SharePoint",
+      ok: false,
+      error: e?.message || String(e),
+      ...(e instanceof GraphError || e instanceof IndexBuildingError ? { code: e.code } : {}),
+      refreshedAt: null,
+      sources: [],
+      files: 0
+    };
+  }
+}
+
+/**
+ * Collect the signals files visible to `access` (from resolveAccess in
+ * lib/sharepoint-access.js). Always resolves to
+ * { source: "SharePoint", ok, error, code?, access, refreshedAt, sources,
+ *   filesFound, signalsText }; failures are reported with ok: false.
+ */
+export async function getSharePointSignals(access) {
+  try {
+    const { sources, indexes } = await signalsIndexes();
+    const freshness = { access: access.mode, ...indexFreshness(indexes) };
+
+    const filesFound = [];
+    let combinedText = "";
+
+    for (const index of indexes) {
+      const visible = await permittedFileIds(access, index, Object.keys(index.files));
+      const files = Object.values(index.files)
+        .filter(f => visible.has(f.id))
+        .sort((a, b) => a.path.localeCompare(b.path));
+      for (const file of files) {
+        if (filesFound.some(x => x.id === file.id)) continue;
+
+        filesFound.push({
+          name: file.name,
+          path: file.path,
+          source: index.sourceId,
+          id: file.id,
+          size: file.size || null,
+          lastModified: file.lastModified || null,
+          extraction: file.extraction,
+        });
+
+        // Only append if we extracted usable text
+        const text = file.extraction?.ok ? getFileText(index, file.id).trim() : "";
+        if (text) {
+          combinedText += `\n\n===== ${file.name} =====\n` + text;
+        }
+      }
+    }
+
+    if (!filesFound.length) {
+      return {
+        source: "SharePoint",
+        ok: false,
+        error: sources.length
+          ? `NO_MATCH: No files matched the signals sources (${sources.map(x => x.name).join(", ")}). Check permissions, folders and include globs.`
+          : 'NO_SOURCES: No SharePoint source is configured for "signals" (config/sharepoint-sources.json).',
+        ...freshness,
+        filesFound: [],
+        signalsText: ""
+      };
+    }
+
+    // If we found files but couldn’t extract text, still return filesFound (with per-file extraction status) so you can prove access
+    return {
+      source: "SharePoint",
+      ok: combinedText.trim().length > 0,
+      error: combinedText.trim().length > 0 ? null : "FOUND_FILES_BUT_NO_TEXT: Files exist but text extraction failed for all of them (see filesFound[].extraction).",
+      ...freshness,
+      filesFound,
+      signalsText: clip(combinedText, 8000)
+    };
+  } catch (e) {
+    return {
+      source: "SharePoint",
+      ok: false,
+      error: e?.message || String(e),
+      ...(e instanceof GraphError || e instanceof IndexBuildingError ? { code: e.code } : {}),
+      access: access.mode,
+      refreshedAt: null,
+      filesFound: [],
+      signalsText: ""
+    };
+  }
+}
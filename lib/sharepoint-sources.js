@@ -0,0 +1,224 @@
+// lib/sharepoint-sources.js
+//
+// SharePoint libraries the assistants read (config/sharepoint-sources.json).
+//
+// {
+//   "sources": [{
+//     "id":        "unique-id",                 // also names the local index
+//     "name":      "Shown to users",
+//     "use":       ["chat", "signals"],         // which routes read it (default both)
+//     "site":      { "hostname", "path" } | { "search": "Site name" } | { "id" },
+//     "drive":     "Documents",                 // library name or drive id (default: first library)
+//     "folders":   ["/", "/General"],           // walked from the drive root (default ["/"])
+//     "recursive": true,                        // include sub-folders (default true)
+//     "include":   ["**/*.docx"],               // globs, default everything
+//     "exclude":   ["~$*", "Archive/**"],       // globs, applied after include
+//     "types":     ["pdf", "docx"],             // extensions, default every supported type
+//     "publicFolders": ["/Public"]              // readable without a user token when
+//   }]                                          // SP_ACCESS_MODE=obo (default none)
+// }
+//
+// Globs: "*" and "?" stay inside one path segment, "**" spans folders. A
+// pattern without "/" matches the file name in any folder; a pattern with "/"
+// matches the path from the drive root (e.g. "General/*.docx").
+//
+// ENV:
+// SP_SOURCES   inline JSON or path replacing config/sharepoint-sources.json
+
+import { loadConfig } from "./config.js";
+import { getExtension, detectFormat, SUPPORTED_EXTENSIONS } from "./extract.js";
+import { graphGet, graphGetAll, GraphError } from "./graph.js";
+
+const USES = ["chat", "signals"];
+
+function globToRegExp(glob) {
+  let re = "";
+  const g = String(glob).replace(/^\/+/, "");
+  for (let i = 0; i < g.length; i++) {
+    const ch = g[i];
+    if (ch === "*" && g[i + 1] === "*") {
+      // "**/" also matches zero folders
+      if (g[i + 2] === "/") {
+        re += "(?:.*/)?";
+        i += 2;
+      } else {
+        re += ".*";
+        i += 1;
+      }
+    } else if (ch === "*") {
+      re += "[^/]*";
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`, "i");
+}
+
+function compileGlobs(globs) {
+  return (globs || []).map((glob) => {
+    const re = globToRegExp(glob);
+    return String(glob).includes("/") ? (path) => re.test(path) : (path) => re.test(path.split("/").pop());
+  });
+}
+
+function normalizeFolder(folder) {
+  const trimmed = String(folder || "/").trim().replace(/\\/g, "/").replace(/^\/+|\/+$/g, "");
+  return trimmed ? `/${trimmed}` : "/";
+}
+
+function normalizeSource(raw, position) {
+  const where = `SharePoint source #${position + 1}`;
+  if (!raw || typeof raw !== "object") throw new Error(`${where} must be an object`);
+
+  const id = String(raw.id || "").trim();
+  if (!/^[A-Za-z0-9_-]{1,64}$/.test(id)) throw new Error(`${where}: "id" must be 1-64 letters, digits, "-" or "_"`);
+
+  const site = raw.site || {};
+  if (!site.id && !(site.hostname && site.path) && !site.search) {
+    throw new Error(`${where} (${id}): "site" needs an id, hostname + path, or search`);
+  }
+
+  const use = raw.use ? [].concat(raw.use) : USES;
+  const badUse = use.filter((u) => !USES.includes(u));
+  if (badUse.length) throw new Error(`${where} (${id}): unknown "use" ${badUse.join(", ")}`);
+
+  const types = raw.types ? [].concat(raw.types).map((t) => String(t).toLowerCase().replace(/^\./, "")) : null;
+  const badTypes = (types || []).filter((t) => !SUPPORTED_EXTENSIONS.includes(t));
+  if (badTypes.length) throw new Error(`${where} (${id}): unsupported types ${badTypes.join(", ")}`);
+
+  return {
+    id,
+    name: raw.name || id,
+    use,
+    site,
+    drive: raw.drive || null,
+    folders: (raw.folders?.length ? raw.folders : ["/"]).map(normalizeFolder),
+    recursive: raw.recursive !== false,
+    include: raw.include || [],
+    exclude: raw.exclude || [],
+    types,
+    publicFolders: (raw.publicFolders || []).map(normalizeFolder),
+  };
+}
+
+/**
+ * Configured sources, optionally only those used by one route ("chat" | "signals").
+ * Throws on an invalid config so mistakes show up in the route's error response.
+ */
+export function getSources({ use } = {}) {
+  const config = loadConfig("sharepoint-sources", { envVar: "SP_SOURCES", fallback: { sources: [] } });
+  const sources = (config?.sources || []).map(normalizeSource);
+
+  const ids = new Set();
+  for (const s of sources) {
+    if (ids.has(s.id)) throw new Error(`Duplicate SharePoint source id "${s.id}"`);
+    ids.add(s.id);
+  }
+  return use ? sources.filter((s) => s.use.includes(use)) : sources;
+}
+
+// -------- File filter --------
+const matchers = new WeakMap();
+
+// Folder scope: "/General" admits "General/a.docx", and "General/Sub/b.docx"
+// only when `recursive`.
+function inFolders(folders, recursive, path) {
+  const dir = path.includes("/") ? path.slice(0, path.lastIndexOf("/")).toLowerCase() : "";
+  return folders.some((folder) => {
+    const f = folder.slice(1).toLowerCase();
+    if (!f) return recursive || dir === "";
+    return dir === f || (recursive && dir.startsWith(`${f}/`));
+  });
+}
+
+function matcherFor(source) {
+  if (!matchers.has(source)) {
+    const include = compileGlobs(source.include);
+    const exclude = compileGlobs(source.exclude);
+    const types = source.types ? new Set(source.types) : null;
+    matchers.set(source, (path, name, mimeType) => {
+      if (!inFolders(source.folders, source.recursive, path)) return false;
+      if (!detectFormat(name, mimeType)) return false;
+      if (types && !types.has(getExtension(name))) return false;
+      if (include.length && !include.some((m) => m(path))) return false;
+      return !exclude.some((m) => m(path));
+    });
+  }
+  return matchers.get(source);
+}
+
+/**
+ * Whether a drive item belongs to the source. `path` is relative to the drive
+ * root, e.g. "General/Notes.docx".
+ */
+export function sourceIncludes(source, { path, name, mimeType }) {
+  return matcherFor(source)(path, name, mimeType);
+}
+
+// Whether a file path sits under one of the source's public folders (sub-folders included)
+export function isPublicPath(source, path) {
+  return inFolders(source.publicFolders || [], true, path);
+}
+
+// Changes when a setting that decides which files belong to the source changes
+export function sourceFilterKey(source) {
+  const { folders, recursive, include, exclude, types } = source;
+  return JSON.stringify({ folders, recursive, include, exclude, types });
+}
+
+// "/drives/<id>/root:/General/Sub" -> "General/Sub"
+export function drivePath(item) {
+  const parent = String(item?.parentReference?.path || "").replace(/^.*?root:/, "").replace(/^\/+/, "");
+  const decoded = (() => {
+    try { return decodeURIComponent(parent); } catch { return parent; }
+  })();
+  return decoded ? `${decoded}/${item.name}` : item.name;
+}
+
+// -------- Site / drive resolution --------
+const resolved = new Map();
+
+async function findSite(site) {
+  if (site.id) return graphGet(`/sites/${site.id}?$select=id,name,webUrl`);
+  if (site.hostname && site.path) {
+    const path = `/${String(site.path).replace(/^\/+/, "")}`;
+    return graphGet(`/sites/${site.hostname}:${path}?$select=id,name,webUrl`);
+  }
+  const sites = await graphGetAll(`/sites?search=${encodeURIComponent(site.search)}`, { maxPages: 5 });
+  const match = sites.find((s) => String(s.name || s.displayName || "").toLowerCase() === String(site.search).toLowerCase());
+  if (!match && !sites[0]) throw new GraphError(`No site found for search "${site.search}"`, { code: "GRAPH_NOT_FOUND" });
+  return match || sites[0];
+}
+
+async function findDrive(siteId, drive) {
+  const drives = await graphGetAll(`/sites/${encodeURIComponent(siteId)}/drives`);
+  const wanted = String(drive || "").toLowerCase();
+  const match = wanted
+    ? drives.find((d) => d.id === drive || String(d.name || "").toLowerCase() === wanted)
+    : drives.find((d) => d.driveType === "documentLibrary") || drives[0];
+  if (!match) {
+    throw new GraphError(`No ${drive ? `drive "${drive}"` : "document library"} found on site ${siteId}`, {
+      code: "GRAPH_NOT_FOUND",
+    });
+  }
+  return match;
+}
+
+/**
+ * Source plus its Graph site and drive ids (cached per process).
+ */
+export async function resolveSource(source) {
+  const key = JSON.stringify([source.id, source.site, source.drive]);
+  if (!resolved.has(key)) {
+    const promise = (async () => {
+      const site = await findSite(source.site);
+      const drive = await findDrive(site.id, source.drive);
+      return { siteId: site.id, siteUrl: site.webUrl || "", driveId: drive.id, driveName: drive.name || "" };
+    })();
+    resolved.set(key, promise);
+    promise.catch(() => resolved.delete(key));
+  }
+  return { ...source, ...(await resolved.get(key)) };
+}
@@ -0,0 +1,270 @@
+// lib/snapshots.js
+//
+// Metric snapshots of every TXI dashboard run, for history and
+// day-over-day / week-over-week deltas.
+//
+// Snapshots are grouped by scope: the portfolio id when the run used a saved
+// portfolio as is, otherwise "accounts-<hash>" of the account selection. One
+// file per scope per UTC day: snapshots/<scope>/<YYYY-MM-DD>.json.
+//
+// Scheduled runs (monitors, brief delivery) keep their own history under
+// snapshots-<origin>/<scope>/, so they neither add to nor read the baselines
+// of dashboard runs for the same accounts.
+//
+// A snapshot holds { id, takenAt, scope, origin, portfolio, accounts, metrics, sources }
+// with metrics { p1, p2, highPriority, atRiskDeals, atRiskAmount, riskLevel,
+// riskScore, indexedDocuments }.
+//
+// Scopes are shared by every caller, so snapshots hold nothing that depends
+// on who ran the dashboard: indexedDocuments counts every file in the
+// SharePoint signals index, not the caller's permission-trimmed list.
+//
+// ENV:
+// SNAPSHOT_RETENTION_DAYS   day files older than this are deleted (default 90)
+
+import { createHash, randomUUID } from "node:crypto";
+import { readJson, writeJson, removeFile, listFiles } from "./store.js";
+
+const DIR = "snapshots";
+const DAY_MS = 86400000;
+const MAX_PER_DAY = 500;
+
+// Numeric metrics and the source each one is read from
+export const METRIC_SOURCES = {
+  p1: "serviceNow",
+  p2: "serviceNow",
+  highPriority: "serviceNow",
+  atRiskDeals: "salesforce",
+  atRiskAmount: "salesforce",
+  indexedDocuments: "sharePointIndex",
+  riskScore: null,
+};
+
+export function retentionDays() {
+  const n = Number(process.env.SNAPSHOT_RETENTION_DAYS || 90);
+  return Number.isFinite(n) && n > 0 ? n : 90;
+}
+
+function num(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? x : 0;
+}
+
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+const DASHBOARD = "dashboard";
+
+function scopeDir(scope, origin = DASHBOARD) {
+  if (!origin || origin === DASHBOARD) return `${DIR}/${scope}`;
+  if (!/^[a-z0-9-]{1,40}$/.test(origin)) throw new Error(`Invalid snapshot origin "${origin}".`);
+  return `${DIR}-${origin}/${scope}`;
+}
+
+export function isValidScope(scope) {
+  return /^[A-Za-z0-9_-]{1,80}$/.test(String(scope || ""));
+}
+
+/**
+ * Scope for an account selection (see parseAccountSelection in
+ * api/txi-dashboard.js): the portfolio id when only a portfolio was used.
+ */
+export function snapshotScope(selection) {
+  const onlyPortfolio = selection.portfolio && ["portfolio", "question", "default"].includes(selection.source);
+  if (onlyPortfolio && isValidScope(selection.portfolio.id)) return selection.portfolio.id;
+
+  const key = JSON.stringify({
+    ids: [...selection.ids].sort(),
+    names: selection.names.map((n) => n.toLowerCase()).sort(),
+    ratings: [...(selection.ratings || [])].sort(),
+  });
+  return `accounts-${createHash("sha256").update(key).digest("hex").slice(0, 12)}`;
+}
+
+/**
+ * Normalized metrics of one dashboard run from its shared sources
+ * ({ serviceNow, salesforce, sharePointIndex }, see runTxiPipeline). Without
+ * `risk` the risk metrics are left empty; withRisk() fills them in once the
+ * level is known.
+ */
+export function buildSnapshot({ scope, origin = DASHBOARD, selection, sources, risk, takenAt = new Date() }) {
+  const sn = sources.serviceNow?.data || {};
+  const byP = Array.isArray(sn.byPriority) ? sn.byPriority : [];
+  const count = (p) => num(byP.find((x) => String(x.priority) === p)?.count);
+  const sf = sources.salesforce?.data || {};
+  const indexed = sources.sharePointIndex?.data?.sources;
+
+  return {
+    id: randomUUID(),
+    takenAt: takenAt.toISOString(),
+    scope,
+    origin,
+    portfolio: selection.portfolio || null,
+    accounts: (sf.accounts || []).map((a) => a.name),
+    metrics: {
+      p1: count("1"),
+      p2: count("2"),
+      highPriority: num(sn.totalHighPriority),
+      atRiskDeals: num(sf.atRiskSummary?.opportunityCount),
+      atRiskAmount: num(sf.atRiskSummary?.totalAmount),
+      riskLevel: risk?.level || null,
+      riskScore: num(risk?.score),
+      indexedDocuments: (indexed || []).reduce((n, source) => n + num(source.fileCount), 0),
+    },
+    // Metrics from a source that failed are not real readings
+    sources: {
+      serviceNow: !!sources.serviceNow?.ok,
+      salesforce: !!sources.salesforce?.ok,
+      sharePointIndex: Array.isArray(indexed) && indexed.length > 0,
+    },
+  };
+}
+
+export function withRisk(snapshot, risk) {
+  return { ...snapshot, metrics: { ...snapshot.metrics, riskLevel: risk?.level || null, riskScore: num(risk?.score) } };
+}
+
+// Appends to one day file are serialized per process
+const writeQueues = new Map();
+
+export function saveSnapshot(snapshot) {
+  const dir = scopeDir(snapshot.scope, snapshot.origin);
+  const name = `${dir}/${snapshot.takenAt.slice(0, 10)}.json`;
+  const previous = writeQueues.get(name) || Promise.resolve();
+  const run = previous.then(async () => {
+    const day = (await readJson(name, [])) || [];
+    day.push(snapshot);
+    await writeJson(name, day.slice(-MAX_PER_DAY));
+  });
+  writeQueues.set(name, run.catch(() => {}));
+  // a reading for an earlier day (backfill) changes that day's baseline
+  if (snapshot.takenAt.slice(0, 10) < dayOf(Date.now())) dailyCache.delete(dir);
+  return run.then(() => pruneDir(dir)).then(() => snapshot);
+}
+
+async function pruneDir(dir) {
+  const cutoff = dayOf(Date.now() - retentionDays() * DAY_MS);
+  for (const file of await listFiles(dir)) {
+    if (/^\d{4}-\d{2}-\d{2}\.json$/.test(file) && file.slice(0, 10) < cutoff) {
+      await removeFile(`${dir}/${file}`);
+    }
+  }
+}
+
+export async function listScopes() {
+  return (await listFiles(DIR)).filter(isValidScope).sort();
+}
+
+/**
+ * Snapshots of a scope taken in the last `days` days (oldest first), from
+ * dashboard runs unless another `origin` is given.
+ */
+export async function loadHistory(scope, { days = 14, now = Date.now(), origin = DASHBOARD } = {}) {
+  if (!isValidScope(scope)) return [];
+  const dir = scopeDir(scope, origin);
+  const from = now - days * DAY_MS;
+  const files = (await listFiles(dir))
+    .filter((f) => /^\d{4}-\d{2}-\d{2}\.json$/.test(f) && f.slice(0, 10) >= dayOf(from) && f.slice(0, 10) <= dayOf(now))
+    .sort();
+
+  const snapshots = [];
+  for (const file of files) {
+    const day = (await readJson(`${dir}/${file}`, [])) || [];
+    snapshots.push(...day.filter((s) => Date.parse(s.takenAt) >= from && Date.parse(s.takenAt) <= now).map(withoutCallerData));
+  }
+  return snapshots.sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+}
+
+// Snapshots saved before indexedDocuments carried the caller's SharePoint
+// file names and counts; they are never returned
+function withoutCallerData(snapshot) {
+  const { documents, documentNames, ...metrics } = snapshot.metrics || {};
+  const { sharePoint, ...sources } = snapshot.sources || {};
+  return { ...snapshot, metrics, sources };
+}
+
+/**
+ * Last snapshot of each UTC day.
+ */
+export function dailySeries(snapshots) {
+  const byDay = new Map();
+  for (const s of snapshots) byDay.set(s.takenAt.slice(0, 10), s);
+  return [...byDay.entries()].map(([day, s]) => ({ day, ...s }));
+}
+
+// scope dir -> { today, days, readings }: earlier days no longer change, so
+// their day files are read once per scope and UTC day
+const dailyCache = new Map();
+const MAX_CACHED_SCOPES = 200;
+
+/**
+ * Daily readings (dailySeries) of the `days` days before the UTC day of
+ * `now`, oldest first; today's snapshots are not included.
+ */
+export async function loadDailyReadings(scope, { days, now = Date.now(), origin = DASHBOARD } = {}) {
+  if (!isValidScope(scope)) return [];
+  const key = scopeDir(scope, origin);
+  const today = dayOf(now);
+  const from = dayOf(now - days * DAY_MS);
+  let cached = dailyCache.get(key);
+  if (!cached || cached.today !== today || cached.days < days) {
+    const history = await loadHistory(scope, { days, now, origin });
+    cached = { today, days, readings: dailySeries(history.filter((s) => s.takenAt.slice(0, 10) < today)) };
+    dailyCache.delete(key);
+    dailyCache.set(key, cached);
+    if (dailyCache.size > MAX_CACHED_SCOPES) dailyCache.delete(dailyCache.keys().next().value);
+  }
+  return cached.readings.filter((d) => d.day >= from);
+}
+
+// Latest snapshot taken at or before `at`, but no earlier than a day before it
+function snapshotAt(snapshots, at) {
+  let found = null;
+  for (const s of snapshots) {
+    const t = Date.parse(s.takenAt);
+    if (t <= at && t > at - DAY_MS) found = s;
+  }
+  return found;
+}
+
+function compare(current, previous) {
+  if (!previous) return null;
+  const deltas = {};
+  for (const [key, source] of Object.entries(METRIC_SOURCES)) {
+    // No delta when either reading came from a failed source
+    if (source && !(current.sources?.[source] && previous.sources?.[source])) {
+      deltas[key] = null;
+      continue;
+    }
+    const was = num(previous.metrics[key]);
+    const now = num(current.metrics[key]);
+    deltas[key] = {
+      previous: was,
+      current: now,
+      change: now - was,
+      changePct: was ? Math.round(((now - was) / was) * 1000) / 10 : null,
+    };
+  }
+  deltas.riskLevel = {
+    previous: previous.metrics.riskLevel,
+    current: current.metrics.riskLevel,
+    changed: previous.metrics.riskLevel !== current.metrics.riskLevel,
+  };
+  return { takenAt: previous.takenAt, sources: previous.sources, deltas };
+}
+
+/**
+ * Deltas of `snapshot` against the same time yesterday and a week ago (the
+ * latest snapshot of its scope at or before then, within a day). Each is null
+ * when there is no such snapshot yet; only runs of the snapshot's origin
+ * count. Only the day files around those two times are read.
+ */
+export async function compareWithHistory(snapshot) {
+  const now = Date.parse(snapshot.takenAt);
+  const around = (at) => loadHistory(snapshot.scope, { days: 1, now: at, origin: snapshot.origin });
+  const [yesterday, lastWeek] = await Promise.all([around(now - DAY_MS), around(now - 7 * DAY_MS)]);
+  return {
+    scope: snapshot.scope,
+    yesterday: compare(snapshot, snapshotAt(yesterday, now - DAY_MS)),
+    lastWeek: compare(snapshot, snapshotAt(lastWeek, now - 7 * DAY_MS)),
+  };
+}
@@ -0,0 +1,645 @@
+// lib/soql.js
+//
+// Natural-language questions -> read-only SOQL, checked against an allowlist.
+//
+// - The LLM drafts one SELECT from the question and the allowlisted schema.
+// - validateSoql() parses the draft with a small SOQL grammar (SELECT only, no
+//   subqueries, no FOR UPDATE / WITH / USING SCOPE) and rejects any object or
+//   field that is not allowlisted. The query that runs is re-serialized from
+//   the parse tree, so nothing outside the grammar can reach Salesforce.
+// - LIMIT is always present and capped at maxLimit.
+//
+// Allowlist: config/soql-allowlist.json
+//   { defaultLimit, maxLimit,
+//     objects: { <Object>: { description, fields, groupable?, dateFields? } } }
+// `groupable` limits GROUP BY fields and `dateFields` limits which fields the
+// date bucket functions (CALENDAR_MONTH, …) accept; both are optional.
+//
+// ENV:
+// SOQL_ALLOWLIST   inline JSON or path replacing config/soql-allowlist.json
+
+import { loadConfig } from "./config.js";
+import { generateText } from "./llm.js";
+
+const MAX_OFFSET = 2000;
+
+const AGGREGATES = new Set(["COUNT", "COUNT_DISTINCT", "SUM", "AVG", "MIN", "MAX"]);
+const DATE_FUNCTIONS = new Set([
+  "CALENDAR_MONTH", "CALENDAR_QUARTER", "CALENDAR_YEAR", "DAY_IN_MONTH", "DAY_IN_WEEK",
+  "DAY_IN_YEAR", "DAY_ONLY", "FISCAL_MONTH", "FISCAL_QUARTER", "FISCAL_YEAR",
+  "HOUR_IN_DAY", "WEEK_IN_MONTH", "WEEK_IN_YEAR",
+]);
+const DATE_LITERALS = new Set([
+  "YESTERDAY", "TODAY", "TOMORROW", "LAST_WEEK", "THIS_WEEK", "NEXT_WEEK",
+  "LAST_MONTH", "THIS_MONTH", "NEXT_MONTH", "LAST_90_DAYS", "NEXT_90_DAYS",
+  "THIS_QUARTER", "LAST_QUARTER", "NEXT_QUARTER", "THIS_YEAR", "LAST_YEAR", "NEXT_YEAR",
+  "THIS_FISCAL_QUARTER", "LAST_FISCAL_QUARTER", "NEXT_FISCAL_QUARTER",
+  "THIS_FISCAL_YEAR", "LAST_FISCAL_YEAR", "NEXT_FISCAL_YEAR",
+]);
+const DATE_N_LITERALS = new Set([
+  "LAST_N_DAYS", "NEXT_N_DAYS", "LAST_N_WEEKS", "NEXT_N_WEEKS", "LAST_N_MONTHS",
+  "NEXT_N_MONTHS", "LAST_N_QUARTERS", "NEXT_N_QUARTERS", "LAST_N_YEARS", "NEXT_N_YEARS",
+  "LAST_N_FISCAL_QUARTERS", "NEXT_N_FISCAL_QUARTERS", "LAST_N_FISCAL_YEARS",
+  "NEXT_N_FISCAL_YEARS", "N_DAYS_AGO", "N_WEEKS_AGO", "N_MONTHS_AGO", "N_QUARTERS_AGO",
+  "N_YEARS_AGO",
+]);
+const KEYWORDS = new Set([
+  "SELECT", "FROM", "WHERE", "GROUP", "BY", "HAVING", "ORDER", "LIMIT", "OFFSET", "AND",
+  "OR", "NOT", "IN", "LIKE", "ASC", "DESC", "NULLS", "FIRST", "LAST", "WITH", "FOR",
+  "UPDATE", "VIEW", "REFERENCE", "USING", "SCOPE", "TYPEOF", "INCLUDES", "EXCLUDES",
+  "ROLLUP", "CUBE", "TRUE", "FALSE", "NULL",
+]);
+const OPERATORS = new Set(["=", "!=", "<>", "<", "<=", ">", ">="]);
+
+class SoqlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SoqlError";
+  }
+}
+
+export function loadAllowlist() {
+  const config = loadConfig("soql-allowlist", { envVar: "SOQL_ALLOWLIST", fallback: { objects: {} } });
+  return {
+    defaultLimit: Number(config.defaultLimit) || 50,
+    maxLimit: Number(config.maxLimit) || 200,
+    objects: config.objects || {},
+  };
+}
+
+// -------- Tokenizer --------
+const TOKEN_RES = [
+  ["space", /^\s+/],
+  ["date", /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2}))?(?![\w-])/],
+  ["number", /^-?\d+(?:\.\d+)?(?![\w.])/],
+  ["ident", /^[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*(?::\d+)?/],
+  ["op", /^(?:<=|>=|!=|<>|=|<|>)/],
+  ["punct", /^[(),]/],
+];
+
+function readString(input, start) {
+  let i = start + 1;
+  while (i < input.length) {
+    const ch = input[i];
+    if (ch === "\\") {
+      if (!/[\\'"nrtbf_%]/.test(input[i + 1] || "")) throw new SoqlError(`Invalid escape in string at ${i}`);
+      i += 2;
+      continue;
+    }
+    if (ch === "'") return { raw: input.slice(start + 1, i), end: i + 1 };
+    i++;
+  }
+  throw new SoqlError("Unterminated string literal");
+}
+
+export function tokenizeSoql(input) {
+  const tokens = [];
+  let pos = 0;
+  const text = String(input || "");
+
+  while (pos < text.length) {
+    if (text[pos] === "'") {
+      const { raw, end } = readString(text, pos);
+      tokens.push({ type: "string", value: raw, pos });
+      pos = end;
+      continue;
+    }
+
+    const rest = text.slice(pos);
+    const hit = TOKEN_RES.find(([, re]) => re.test(rest));
+    if (!hit) throw new SoqlError(`Unexpected character "${text[pos]}" at ${pos}`);
+
+    const [type, re] = hit;
+    const value = rest.match(re)[0];
+    if (type !== "space") tokens.push({ type, value, pos });
+    pos += value.length;
+  }
+  return tokens;
+}
+
+// -------- Parser --------
+class Parser {
+  constructor(tokens, allowlist) {
+    this.tokens = tokens;
+    this.i = 0;
+    this.allowlist = allowlist;
+    this.object = null;
+    this.objectName = null;
+    this.fields = new Set();
+    this.aliases = new Set();
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.i + offset] || null;
+  }
+
+  isKeyword(word, offset = 0) {
+    const t = this.peek(offset);
+    return Boolean(t && t.type === "ident" && t.value.toUpperCase() === word);
+  }
+
+  isPunct(ch) {
+    const t = this.peek();
+    return Boolean(t && t.type === "punct" && t.value === ch);
+  }
+
+  next() {
+    const t = this.tokens[this.i++];
+    if (!t) throw new SoqlError("Unexpected end of query");
+    return t;
+  }
+
+  expectKeyword(word) {
+    if (!this.isKeyword(word)) throw new SoqlError(`Expected ${word}${this.near()}`);
+    this.i++;
+  }
+
+  expectPunct(ch) {
+    if (!this.isPunct(ch)) throw new SoqlError(`Expected "${ch}"${this.near()}`);
+    this.i++;
+  }
+
+  near() {
+    const t = this.peek();
+    return t ? ` near "${t.value}"` : " at end of query";
+  }
+
+  // Identifier that is not a reserved word
+  name(what) {
+    const t = this.next();
+    if (t.type !== "ident" || KEYWORDS.has(t.value.toUpperCase()) || t.value.includes(":")) {
+      throw new SoqlError(`Expected ${what}, got "${t.value}"`);
+    }
+    return t.value;
+  }
+
+  field(name) {
+    const allowed = this.object.fields || [];
+    const canonical = allowed.find((f) => f.toLowerCase() === name.toLowerCase());
+    if (!canonical) throw new SoqlError(`Field "${name}" is not allowed on ${this.objectName}`);
+    this.fields.add(canonical);
+    return { kind: "field", name: canonical };
+  }
+
+  // field | FUNC(field) | COUNT()
+  valueExpr({ aggregates }) {
+    if (this.isPunct("(")) throw new SoqlError("Subqueries are not allowed");
+    const t = this.peek();
+    const upper = t?.type === "ident" ? t.value.toUpperCase() : "";
+    const next = this.peek(1);
+
+    if (next?.type === "punct" && next.value === "(") {
+      const isAggregate = AGGREGATES.has(upper);
+      if (!isAggregate && !DATE_FUNCTIONS.has(upper)) throw new SoqlError(`Function "${t.value}" is not allowed`);
+      if (isAggregate && !aggregates) throw new SoqlError(`Aggregate ${upper}() is not allowed here`);
+      this.i += 2;
+
+      let arg = null;
+      if (this.isPunct(")")) {
+        if (upper !== "COUNT") throw new SoqlError(`${upper}() needs a field`);
+      } else {
+        if (this.isKeyword("SELECT")) throw new SoqlError("Subqueries are not allowed");
+        arg = this.field(this.name("field"));
+        const dateFields = this.object.dateFields;
+        if (!isAggregate && dateFields && !dateFields.includes(arg.name)) {
+          throw new SoqlError(`${upper}() needs a date field, got "${arg.name}"`);
+        }
+      }
+      this.expectPunct(")");
+      return { kind: "func", fn: upper, arg, aggregate: isAggregate };
+    }
+
+    return this.field(this.name("field"));
+  }
+
+  parse() {
+    this.expectKeyword("SELECT");
+    if (this.isKeyword("TYPEOF")) throw new SoqlError("TYPEOF is not allowed");
+
+    // The FROM clause decides which fields are allowed, so find it first.
+    const fromAt = this.tokens.findIndex((t, idx) => idx >= this.i && t.type === "ident" && t.value.toUpperCase() === "FROM");
+    if (fromAt < 0) throw new SoqlError("Missing FROM");
+    const objectToken = this.tokens[fromAt + 1];
+    if (!objectToken || objectToken.type !== "ident") throw new SoqlError("Missing object after FROM");
+    const objectName = Object.keys(this.allowlist.objects).find(
+      (o) => o.toLowerCase() === objectToken.value.toLowerCase()
+    );
+    if (!objectName) throw new SoqlError(`Object "${objectToken.value}" is not allowed`);
+    this.objectName = objectName;
+    this.object = this.allowlist.objects[objectName];
+
+    const select = [];
+    do {
+      if (select.length) this.expectPunct(",");
+      const expr = this.valueExpr({ aggregates: true });
+      let alias = null;
+      if (expr.kind === "func" && this.peek()?.type === "ident" && !KEYWORDS.has(this.peek().value.toUpperCase())) {
+        alias = this.name("alias");
+        if (this.aliases.has(alias.toLowerCase())) throw new SoqlError(`Duplicate alias "${alias}"`);
+        this.aliases.add(alias.toLowerCase());
+      }
+      select.push({ ...expr, alias });
+    } while (this.isPunct(","));
+
+    this.expectKeyword("FROM");
+    this.i++; // object, already resolved
+
+    const query = { object: objectName, select, where: null, groupBy: [], having: null, orderBy: [], limit: null, offset: null };
+
+    if (this.isKeyword("USING")) throw new SoqlError("USING SCOPE is not allowed");
+    if (this.isKeyword("WHERE")) {
+      this.i++;
+      query.where = this.condition({ aggregates: false });
+    }
+    if (this.isKeyword("WITH")) throw new SoqlError("WITH clauses are not allowed");
+    if (this.isKeyword("GROUP")) {
+      this.i++;
+      this.expectKeyword("BY");
+      if (this.isKeyword("ROLLUP") || this.isKeyword("CUBE")) throw new SoqlError("ROLLUP and CUBE are not allowed");
+      do {
+        if (query.groupBy.length) this.expectPunct(",");
+        const expr = this.valueExpr({ aggregates: false });
+        const groupable = this.object.groupable;
+        if (expr.kind === "field" && groupable && !groupable.includes(expr.name)) {
+          throw new SoqlError(`Field "${expr.name}" cannot be grouped`);
+        }
+        query.groupBy.push(expr);
+      } while (this.isPunct(","));
+    }
+    if (this.isKeyword("HAVING")) {
+      if (!query.groupBy.length) throw new SoqlError("HAVING needs GROUP BY");
+      this.i++;
+      query.having = this.condition({ aggregates: true });
+    }
+    if (this.isKeyword("ORDER")) {
+      this.i++;
+      this.expectKeyword("BY");
+      do {
+        if (query.orderBy.length) this.expectPunct(",");
+        query.orderBy.push(this.orderItem());
+      } while (this.isPunct(","));
+    }
+    if (this.isKeyword("LIMIT")) {
+      this.i++;
+      query.limit = this.integer("LIMIT");
+    }
+    if (this.isKeyword("OFFSET")) {
+      this.i++;
+      query.offset = this.integer("OFFSET");
+      if (query.offset > MAX_OFFSET) throw new SoqlError(`OFFSET cannot exceed ${MAX_OFFSET}`);
+    }
+    if (this.isKeyword("FOR")) throw new SoqlError("FOR VIEW / FOR UPDATE are not allowed");
+    if (this.peek()) throw new SoqlError(`Unexpected "${this.peek().value}" after end of query`);
+
+    return query;
+  }
+
+  integer(what) {
+    const t = this.next();
+    if (t.type !== "number" || !/^\d+$/.test(t.value)) throw new SoqlError(`${what} needs a whole number`);
+    return Number(t.value);
+  }
+
+  orderItem() {
+    let expr;
+    const t = this.peek();
+    const next = this.peek(1);
+    const isCall = next?.type === "punct" && next.value === "(";
+    if (!isCall && t?.type === "ident" && this.aliases.has(t.value.toLowerCase())) {
+      this.i++;
+      expr = { kind: "alias", name: t.value };
+    } else {
+      expr = this.valueExpr({ aggregates: true });
+    }
+
+    let direction = null;
+    if (this.isKeyword("ASC") || this.isKeyword("DESC")) direction = this.next().value.toUpperCase();
+    let nulls = null;
+    if (this.isKeyword("NULLS")) {
+      this.i++;
+      if (!this.isKeyword("FIRST") && !this.isKeyword("LAST")) throw new SoqlError("NULLS needs FIRST or LAST");
+      nulls = this.next().value.toUpperCase();
+    }
+    return { expr, direction, nulls };
+  }
+
+  // Conditions: OR of ANDs, NOT and parentheses allowed.
+  condition(opts) {
+    const parts = [this.andCondition(opts)];
+    while (this.isKeyword("OR")) {
+      this.i++;
+      parts.push(this.andCondition(opts));
+    }
+    return parts.length === 1 ? parts[0] : { kind: "or", parts };
+  }
+
+  andCondition(opts) {
+    const parts = [this.notCondition(opts)];
+    while (this.isKeyword("AND")) {
+      this.i++;
+      parts.push(this.notCondition(opts));
+    }
+    return parts.length === 1 ? parts[0] : { kind: "and", parts };
+  }
+
+  notCondition(opts) {
+    if (this.isKeyword("NOT")) {
+      this.i++;
+      return { kind: "not", part: this.notCondition(opts) };
+    }
+    if (this.isPunct("(")) {
+      if (this.isKeyword("SELECT", 1)) throw new SoqlError("Subqueries are not allowed");
+      this.i++;
+      const inner = this.condition(opts);
+      this.expectPunct(")");
+      return inner;
+    }
+    return this.comparison(opts);
+  }
+
+  comparison(opts) {
+    const left = this.valueExpr(opts);
+
+    const negated = this.isKeyword("NOT") && this.isKeyword("IN", 1);
+    if (negated) this.i++;
+    if (this.isKeyword("IN")) {
+      this.i++;
+      this.expectPunct("(");
+      if (this.isKeyword("SELECT")) throw new SoqlError("Subqueries are not allowed");
+      const values = [];
+      do {
+        if (values.length) this.expectPunct(",");
+        values.push(this.literal());
+      } while (this.isPunct(","));
+      this.expectPunct(")");
+      return { kind: "in", left, negated, values };
+    }
+
+    if (this.isKeyword("LIKE")) {
+      this.i++;
+      const value = this.literal();
+      if (value.type !== "string") throw new SoqlError("LIKE needs a string");
+      return { kind: "compare", left, op: "LIKE", value };
+    }
+    if (this.isKeyword("INCLUDES") || this.isKeyword("EXCLUDES")) {
+      throw new SoqlError("INCLUDES / EXCLUDES are not supported");
+    }
+
+    const op = this.next();
+    if (op.type !== "op" || !OPERATORS.has(op.value)) throw new SoqlError(`Expected a comparison operator, got "${op.value}"`);
+    return { kind: "compare", left, op: op.value, value: this.literal() };
+  }
+
+  literal() {
+    const t = this.next();
+    if (t.type === "string") return { type: "string", value: t.value };
+    if (t.type === "number") return { type: "number", value: t.value };
+    if (t.type === "date") return { type: "date", value: t.value };
+    if (t.type === "ident") {
+      const upper = t.value.toUpperCase();
+      if (upper === "TRUE" || upper === "FALSE" || upper === "NULL") return { type: "keyword", value: upper };
+      if (DATE_LITERALS.has(upper)) return { type: "dateLiteral", value: upper };
+      const [base, n] = upper.split(":");
+      if (n !== undefined && DATE_N_LITERALS.has(base)) return { type: "dateLiteral", value: `${base}:${Number(n)}` };
+    }
+    throw new SoqlError(`Unsupported value "${t.value}"`);
+  }
+}
+
+// -------- Serializer --------
+function exprToSoql(expr) {
+  if (expr.kind === "field" || expr.kind === "alias") return expr.name;
+  return `${expr.fn}(${expr.arg ? expr.arg.name : ""})`;
+}
+
+function literalToSoql(lit) {
+  return lit.type === "string" ? `'${lit.value}'` : lit.value;
+}
+
+function conditionToSoql(node) {
+  switch (node.kind) {
+    case "or":
+    case "and":
+      return node.parts
+        .map((p) => (p.kind === "or" || p.kind === "and" ? `(${conditionToSoql(p)})` : conditionToSoql(p)))
+        .join(` ${node.kind.toUpperCase()} `);
+    case "not":
+      return `NOT (${conditionToSoql(node.part)})`;
+    case "in":
+      return `${exprToSoql(node.left)} ${node.negated ? "NOT IN" : "IN"} (${node.values.map(literalToSoql).join(", ")})`;
+    default:
+      return `${exprToSoql(node.left)} ${node.op} ${literalToSoql(node.value)}`;
+  }
+}
+
+function queryToSoql(q) {
+  const parts = [
+    `SELECT ${q.select.map((s) => exprToSoql(s) + (s.alias ? ` ${s.alias}` : "")).join(", ")}`,
+    `FROM ${q.object}`,
+  ];
+  if (q.where) parts.push(`WHERE ${conditionToSoql(q.where)}`);
+  if (q.groupBy.length) parts.push(`GROUP BY ${q.groupBy.map(exprToSoql).join(", ")}`);
+  if (q.having) parts.push(`HAVING ${conditionToSoql(q.having)}`);
+  if (q.orderBy.length) {
+    const items = q.orderBy.map((o) =>
+      [exprToSoql(o.expr), o.direction, o.nulls ? `NULLS ${o.nulls}` : null].filter(Boolean).join(" ")
+    );
+    parts.push(`ORDER BY ${items.join(", ")}`);
+  }
+  parts.push(`LIMIT ${q.limit}`);
+  if (q.offset != null) parts.push(`OFFSET ${q.offset}`);
+  return parts.join(" ");
+}
+
+// Where each selected column lives in a jsforce record.
+// Unaliased aggregates / date functions come back as expr0, expr1, …
+function describeColumns(q) {
+  let expr = 0;
+  return q.select.map((s) => {
+    if (s.kind === "field") {
+      const grouped = q.groupBy.length > 0;
+      return {
+        label: s.name,
+        field: s.name,
+        // Aggregate results flatten relationship fields to their last segment
+        key: grouped ? s.name.split(".").pop() : s.name,
+        aggregate: false,
+      };
+    }
+    const key = s.alias || `expr${expr++}`;
+    return { label: s.alias || exprToSoql(s), field: s.arg?.name || null, fn: s.fn, key, aggregate: s.aggregate };
+  });
+}
+
+/**
+ * Parse and check a SOQL statement against the allowlist.
+ * Never throws: returns { ok: true, soql, object, fields, columns, aggregate, grouped, limit }
+ * or { ok: false, error }.
+ */
+export function validateSoql(soql, allowlist = loadAllowlist()) {
+  try {
+    const text = String(soql || "").trim().replace(/;\s*$/, "");
+    if (!text) throw new SoqlError("Empty query");
+
+    const parser = new Parser(tokenizeSoql(text), allowlist);
+    const query = parser.parse();
+    const notes = [];
+    if (query.limit == null) {
+      query.limit = allowlist.defaultLimit;
+    } else if (query.limit > allowlist.maxLimit) {
+      notes.push(`LIMIT lowered from ${query.limit} to ${allowlist.maxLimit}`);
+      query.limit = allowlist.maxLimit;
+    }
+
+    const columns = describeColumns(query);
+    return {
+      ok: true,
+      soql: queryToSoql(query),
+      object: query.object,
+      fields: [...parser.fields],
+      columns,
+      aggregate: columns.some((c) => c.aggregate),
+      grouped: query.groupBy.length > 0,
+      limit: query.limit,
+      notes,
+    };
+  } catch (e) {
+    if (e instanceof SoqlError) return { ok: false, error: e.message };
+    throw e;
+  }
+}
+
+// Read one described column from a jsforce record (handles nested relationships).
+export function readColumn(record, column) {
+  if (!record) return undefined;
+  if (column.key in record) return record[column.key];
+  return String(column.field || column.key)
+    .split(".")
+    .reduce((value, part) => (value == null ? undefined : value[part]), record);
+}
+
+// -------- Bound queries --------
+const SF_ID_RE = /^[A-Za-z0-9]{15}(?:[A-Za-z0-9]{3})?$/;
+
+export function isSalesforceId(value) {
+  return SF_ID_RE.test(String(value || ""));
+}
+
+// Escape a value for use inside a SOQL string literal
+export function quoteSoql(value) {
+  const escaped = String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/'/g, "\\'")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r")
+    .replace(/\t/g, "\\t");
+  return `'${escaped}'`;
+}
+
+function bindValue(value, name) {
+  if (Array.isArray(value)) {
+    if (!value.length) throw new SoqlError(`Bind variable :${name} is an empty list`);
+    return `(${value.map((v) => bindValue(v, name)).join(", ")})`;
+  }
+  if (value === null) return "NULL";
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) throw new SoqlError(`Bind variable :${name} is not a finite number`);
+    return String(value);
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "string") return quoteSoql(value);
+  throw new SoqlError(`Bind variable :${name} has unsupported type ${typeof value}`);
+}
+
+/**
+ * Substitute :name placeholders with escaped literals, e.g.
+ *   bindSoql("SELECT Id FROM Account WHERE Id IN :ids LIMIT :limit", { ids, limit: 10 })
+ * Date literals such as LAST_N_DAYS:30 are left alone. Throws on a missing
+ * or unsupported value.
+ */
+export function bindSoql(template, params = {}) {
+  return String(template).replace(/(^|[^\w:]):([A-Za-z_]\w*)/g, (match, before, name) => {
+    if (!Object.prototype.hasOwnProperty.call(params, name)) {
+      throw new SoqlError(`Missing bind variable :${name}`);
+    }
+    return before + bindValue(params[name], name);
+  });
+}
+
+// -------- Generation --------
+function describeAllowlist(allowlist) {
+  return Object.entries(allowlist.objects)
+    .map(([name, o]) =>
+      [
+        `- ${name}${o.description ? ` (${o.description})` : ""}`,
+        `  fields: ${(o.fields || []).join(", ")}`,
+        o.groupable ? `  groupable: ${o.groupable.join(", ")}` : "",
+        o.dateFields ? `  date fields: ${o.dateFields.join(", ")}` : "",
+      ].filter(Boolean).join("\n")
+    )
+    .join("\n");
+}
+
+function buildSystemPrompt(allowlist) {
+  return `
+You translate business questions into ONE read-only Salesforce SOQL query.
+
+Allowed objects and fields (nothing else may appear in the query):
+${describeAllowlist(allowlist)}
+
+Rules:
+- Output only the SOQL statement, no explanation and no code fences.
+- A single SELECT; no subqueries, no semi-joins, no FOR UPDATE, no WITH, no TYPEOF.
+- Give every aggregate an alias, e.g. SUM(Amount) total.
+- Use SOQL date literals (THIS_QUARTER, LAST_N_DAYS:30, …) or dates like 2024-07-01.
+- Quarters: CALENDAR_QUARTER(CloseDate) = 3 means Q3; add CALENDAR_YEAR(CloseDate) when a year is implied.
+- Charts and breakdowns: GROUP BY groupable fields. For time buckets select and
+  group by CALENDAR_YEAR(<date field>) plus CALENDAR_MONTH or CALENDAR_QUARTER,
+  e.g. SELECT CALENDAR_YEAR(CloseDate) yr, CALENDAR_MONTH(CloseDate) mo, StageName, SUM(Amount) total
+       FROM Opportunity GROUP BY CALENDAR_YEAR(CloseDate), CALENDAR_MONTH(CloseDate), StageName
+- Always end with LIMIT (at most ${allowlist.maxLimit}).
+- If the question cannot be answered from the allowed fields, output exactly NONE.
+`.trim();
+}
+
+// Pull the statement out of whatever the model wrapped around it.
+function extractStatement(text) {
+  const unfenced = String(text || "").replace(/```(?:sql|soql)?/gi, "").trim();
+  if (/^none\.?$/i.test(unfenced)) return null;
+  const at = unfenced.search(/\bselect\b/i);
+  return at < 0 ? "" : unfenced.slice(at).trim();
+}
+
+/**
+ * Ask the LLM for a query answering `question`, validate it, and give the
+ * model one chance to fix a rejected draft.
+ * Returns { ok: true, query, attempts } or { ok: false, error, draft, attempts }.
+ */
+export async function generateSoql({ question, history = "", allowlist = loadAllowlist(), retries = 1 } = {}) {
+  if (!Object.keys(allowlist.objects).length) return { ok: false, error: "NO_ALLOWLIST", attempts: 0 };
+
+  const system = buildSystemPrompt(allowlist);
+  let feedback = "";
+  let draft = "";
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    const prompt = [
+      history ? `Conversation so far:\n${history}\n` : "",
+      `Question: ${question}`,
+      feedback,
+    ].filter(Boolean).join("\n");
+
+    const { text } = await generateText({ prompt, system, temperature: 0, maxOutputTokens: 400 });
+    draft = extractStatement(text);
+    if (draft === null) return { ok: false, error: "NOT_ANSWERABLE", attempts: attempt };
+
+    const query = validateSoql(draft, allowlist);
+    if (query.ok) return { ok: true, query, attempts: attempt };
+
+    feedback = `\nYour previous query was rejected: ${query.error}\nPrevious query: ${draft}\nReturn a corrected query.`;
+    if (attempt > retries) return { ok: false, error: `REJECTED: ${query.error}`, draft, attempts: attempt };
+  }
+  return { ok: false, error: "REJECTED", draft, attempts: retries + 1 };
+}
@@ -0,0 +1,92 @@
+// lib/sse.js
+//
+// Server-Sent Events helpers for the chat routes (opt-in streaming).
+//
+// A client opts in with { "stream": true } in the JSON body or with
+// "Accept: text/event-stream". The stream then carries:
+//   event: status data: { "stage": "..." }         (optional progress hints)
+//   event: token  data: { "text": "..." }          (zero or more, in order)
+//   event: meta   data: { usedFiles, chartData, salesforceRecords, ... }
+//   event: done   data: { "answer": "<final text>" }
+//   event: error  data: { "error": "...", "details": "..." }
+//
+// When the route post-processes the answer (e.g. citation checks), the model's
+// text is held back and the checked answer is sent as a single token.
+//
+// Works with both the Vercel Node response and Express (both are http.ServerResponse).
+
+export function wantsEventStream(req) {
+  if (req.body && typeof req.body === "object" && req.body.stream === true) return true;
+  const accept = String(req.headers?.accept || "");
+  return accept.includes("text/event-stream");
+}
+
+export function startEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  if (typeof res.flushHeaders === "function") res.flushHeaders();
+}
+
+export function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data ?? {})}\n\n`);
+}
+
+/**
+ * Pipe LLM chunks to the client, then send meta + done.
+ * Options:
+ * - meta:     extra fields for the "meta" event
+ * - fallback: answer to use when the model returned nothing
+ * - finalize: (answer) => { answer, meta } to post-process the full text
+ *             (e.g. citation checks); the chunks are then buffered and only
+ *             the post-processed answer is sent. Not applied to the fallback
+ * Returns the final answer text. An error mid-stream is sent as an
+ * "error" event and rethrown so the route can log it.
+ */
+export async function streamAnswer(res, chunks, { meta = {}, fallback = "", finalize = null } = {}) {
+  let answer = "";
+  try {
+    for await (const text of chunks) {
+      answer += text;
+      if (!finalize) sendEvent(res, "token", { text });
+    }
+  } catch (err) {
+    sendEvent(res, "error", { error: "Streaming answer failed.", details: String(err?.message || err) });
+    res.end();
+    throw err;
+  }
+
+  let finalMeta = meta;
+  answer = answer.trim();
+  if (!answer && fallback) {
+    // Not the model's text, so it is sent as is
+    answer = fallback;
+    sendEvent(res, "token", { text: fallback });
+  } else if (finalize) {
+    const out = finalize(answer) || {};
+    answer = out.answer ?? answer;
+    finalMeta = { ...meta, ...(out.meta || {}) };
+    if (answer) sendEvent(res, "token", { text: answer });
+  }
+
+  sendEvent(res, "meta", finalMeta);
+  sendEvent(res, "done", { answer });
+  res.end();
+  return answer;
+}
+
+// Send an already-complete JSON payload ({ answer, ...meta }) as a stream.
+export function sendAnswerEvents(res, payload) {
+  const { answer = "", ...meta } = payload || {};
+  if (answer) sendEvent(res, "token", { text: answer });
+  sendEvent(res, "meta", meta);
+  sendEvent(res, "done", { answer });
+  res.end();
+}
+
+export function sendErrorEvent(res, payload) {
+  sendEvent(res, "error", payload);
+  res.end();
+}
@@ -0,0 +1,68 @@
+// lib/store.js
+//
+// Small JSON-on-disk store shared by modules that need to keep state between
+// requests (sessions, caches, snapshots…).
+//
+// ENV:
+// DATA_DIR   directory for stored files (default: <os tmpdir>/ai-bot-backend)
+//
+// On serverless hosts the tmp directory is per instance; point DATA_DIR at a
+// mounted volume when state must survive cold starts.
+
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+
+export function dataDir() {
+  return process.env.DATA_DIR || path.join(os.tmpdir(), "ai-bot-backend");
+}
+
+// Names are relative to DATA_DIR and may contain "/" for sub-folders.
+// Anything that would escape the data directory is rejected.
+export function dataPath(name) {
+  const root = path.resolve(dataDir());
+  const full = path.resolve(root, String(name || ""));
+  if (full !== root && !full.startsWith(root + path.sep)) {
+    throw new Error(`Invalid store path "${name}"`);
+  }
+  return full;
+}
+
+export async function readJson(name, fallback = null) {
+  try {
+    const raw = await fs.readFile(dataPath(name), "utf8");
+    return JSON.parse(raw);
+  } catch (e) {
+    if (e?.code === "ENOENT" || e instanceof SyntaxError) return fallback;
+    throw e;
+  }
+}
+
+// Write to a temp file first, then rename, so readers never see half a file.
+export async function writeJson(name, value) {
+  const file = dataPath(name);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${randomUUID()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value), "utf8");
+  await fs.rename(tmp, file);
+}
+
+export async function removeFile(name) {
+  try {
+    await fs.unlink(dataPath(name));
+    return true;
+  } catch (e) {
+    if (e?.code === "ENOENT") return false;
+    throw e;
+  }
+}
+
+export async function listFiles(dir) {
+  try {
+    return await fs.readdir(dataPath(dir));
+  } catch (e) {
+    if (e?.code === "ENOENT") return [];
+    throw e;
+  }
+}
@@ -0,0 +1,198 @@
+// lib/subscriptions.js
+//
+// Email subscriptions to the daily executive brief (sent by
+// lib/brief-delivery.js). One file per subscription: subscriptions/<id>.json.
+//
+// A subscription holds:
+// - recipient, name?   where the brief goes
+// - question           the question the brief answers (default in config)
+// - portfolio          saved portfolio id (null: the default portfolio)
+// - timeZone           IANA zone the schedule is read in
+// - schedule           { time: "HH:MM", days: ["mon", …] } (default weekdays)
+// - enabled
+// - delivery           today's delivery: { localDate, status, attempts, lastAttemptAt, messageId?, error? }
+//
+// Defaults come from config/brief-email.json. Recipients must be in one of
+// its allowedRecipientDomains (or a subdomain of one); with none listed no
+// subscription is accepted or sent.
+//
+// ENV:
+// TXI_BRIEF_EMAIL   inline JSON or path replacing config/brief-email.json
+
+import { randomUUID } from "node:crypto";
+import { loadConfig } from "./config.js";
+import { readJson, writeJson, removeFile, listFiles } from "./store.js";
+import { findPortfolio } from "./portfolios.js";
+import { isValidEmail } from "./mailer.js";
+
+const DIR = "subscriptions";
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DEFAULT_DAYS = ["mon", "tue", "wed", "thu", "fri"];
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export class SubscriptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SubscriptionError";
+    this.status = 400;
+  }
+}
+
+export function briefEmailSettings() {
+  const config = loadConfig("brief-email", { envVar: "TXI_BRIEF_EMAIL", fallback: {} }) || {};
+  const positive = (n, fallback) => (Number(n) > 0 ? Number(n) : fallback);
+  return {
+    defaultQuestion: config.defaultQuestion || "What is today's primary risk and customer impact?",
+    defaultTime: HHMM.test(String(config.defaultTime)) ? config.defaultTime : "08:00",
+    defaultTimeZone: config.defaultTimeZone || "UTC",
+    catchUpMinutes: positive(config.catchUpMinutes, 240),
+    maxAttemptsPerDay: positive(config.maxAttemptsPerDay, 3),
+    logRetentionDays: positive(config.logRetentionDays, 30),
+    allowedRecipientDomains: (Array.isArray(config.allowedRecipientDomains) ? config.allowedRecipientDomains : [])
+      .map((d) => String(d).trim().toLowerCase().replace(/^\.+/, ""))
+      .filter(Boolean),
+  };
+}
+
+export function isAllowedRecipient(address, settings = briefEmailSettings()) {
+  const domain = String(address || "").toLowerCase().split("@").pop();
+  return settings.allowedRecipientDomains.some((d) => domain === d || domain.endsWith(`.${d}`));
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Local calendar day and time of `at` in the time zone:
+ * { date: "YYYY-MM-DD", weekday: "mon", minutes } (minutes since midnight).
+ */
+export function localDay(at, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(at);
+  const get = (type) => parts.find((p) => p.type === type)?.value || "";
+  return {
+    date: `${get("year")}-${get("month")}-${get("day")}`,
+    weekday: get("weekday").toLowerCase().slice(0, 3),
+    minutes: Number(get("hour")) * 60 + Number(get("minute")),
+  };
+}
+
+// Client-supplied ids end up in file names
+export function normalizeSubscriptionId(id) {
+  const s = String(id || "").trim();
+  return /^[A-Za-z0-9_-]{8,64}$/.test(s) ? s : null;
+}
+
+// Validated subscription fields from `input`, over `existing` for updates
+function validate(input, existing = null) {
+  const settings = briefEmailSettings();
+  const has = (key) => input[key] !== undefined;
+  const out = existing
+    ? { ...existing }
+    : { question: settings.defaultQuestion, portfolio: null, timeZone: settings.defaultTimeZone, schedule: { time: settings.defaultTime, days: DEFAULT_DAYS }, enabled: true };
+
+  if (has("recipient") || !existing) {
+    const recipient = String(input.recipient || "").trim().toLowerCase();
+    if (!isValidEmail(recipient)) throw new SubscriptionError('"recipient" must be an email address.');
+    if (!isAllowedRecipient(recipient, settings)) {
+      throw new SubscriptionError(`"recipient" must be an address in ${settings.allowedRecipientDomains.join(", ") || "an allowed domain (none configured)"}.`);
+    }
+    out.recipient = recipient;
+  }
+  if (has("name")) {
+    const name = String(input.name || "").trim();
+    if (name.length > 100) throw new SubscriptionError('"name" must be at most 100 characters.');
+    out.name = name || null;
+  }
+  if (has("question")) {
+    const question = String(input.question || "").trim();
+    if (!question || question.length > 500) throw new SubscriptionError('"question" must be 1–500 characters.');
+    out.question = question;
+  }
+  if (has("portfolio")) {
+    if (input.portfolio == null || input.portfolio === "") {
+      out.portfolio = null;
+    } else {
+      const portfolio = findPortfolio(input.portfolio);
+      if (!portfolio) throw new SubscriptionError(`Unknown portfolio "${input.portfolio}".`);
+      out.portfolio = portfolio.id;
+    }
+  }
+  if (has("timeZone")) {
+    if (!isValidTimeZone(input.timeZone)) throw new SubscriptionError(`Unknown time zone "${input.timeZone}".`);
+    out.timeZone = input.timeZone;
+  }
+  if (has("schedule")) {
+    const schedule = { ...out.schedule, ...input.schedule };
+    if (!HHMM.test(String(schedule.time))) throw new SubscriptionError('"schedule.time" must be "HH:MM".');
+    const days = [].concat(schedule.days || []).map((d) => String(d).toLowerCase().slice(0, 3));
+    if (!days.length || days.some((d) => !WEEKDAYS.includes(d))) {
+      throw new SubscriptionError(`"schedule.days" must list days from ${WEEKDAYS.join(", ")}.`);
+    }
+    out.schedule = { time: schedule.time, days: WEEKDAYS.filter((d) => days.includes(d)) };
+  }
+  if (has("enabled")) out.enabled = input.enabled !== false && input.enabled !== "false";
+  return out;
+}
+
+export async function getSubscription(id) {
+  const key = normalizeSubscriptionId(id);
+  return key ? readJson(`${DIR}/${key}.json`, null) : null;
+}
+
+export async function listSubscriptions() {
+  const subscriptions = [];
+  for (const file of await listFiles(DIR)) {
+    if (!file.endsWith(".json")) continue;
+    const sub = await readJson(`${DIR}/${file}`, null);
+    if (sub) subscriptions.push(sub);
+  }
+  return subscriptions.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export async function createSubscription(input, { createdBy = null } = {}) {
+  const now = new Date().toISOString();
+  const sub = { id: randomUUID(), ...validate(input || {}), createdAt: now, updatedAt: now, createdBy, delivery: null };
+  await writeJson(`${DIR}/${sub.id}.json`, sub);
+  return sub;
+}
+
+/**
+ * Apply `changes` (any of recipient, name, question, portfolio, timeZone,
+ * schedule, enabled). Returns null when there is no such subscription.
+ */
+export async function updateSubscription(id, changes) {
+  const existing = await getSubscription(id);
+  if (!existing) return null;
+  const sub = { ...validate(changes || {}, existing), updatedAt: new Date().toISOString() };
+  await writeJson(`${DIR}/${sub.id}.json`, sub);
+  return sub;
+}
+
+export async function deleteSubscription(id) {
+  const key = normalizeSubscriptionId(id);
+  return key ? removeFile(`${DIR}/${key}.json`) : false;
+}
+
+// Record the outcome of a delivery attempt (re-read so edits made meanwhile stay)
+export async function saveDeliveryState(id, delivery) {
+  const sub = await getSubscription(id);
+  if (!sub) return null;
+  const updated = { ...sub, delivery };
+  await writeJson(`${DIR}/${sub.id}.json`, updated);
+  return updated;
+}
@@ -0,0 +1,355 @@
+// lib/txi-pipeline.js
+//
+// The TXI data pipeline behind /api/txi-dashboard and the scheduled monitors
+// (lib/monitor.js): ServiceNow, Salesforce and SharePoint for an account
+// selection, anomaly baselines, the risk level and the run's snapshot.
+//
+// Caching: each source is cached (config/txi-cache.json: ttlSeconds,
+// staleSeconds); failed reads are never cached; `force` reloads every source.
+// SharePoint results are cached per caller, since they are trimmed to what
+// the caller may open.
+//
+// The risk level and the snapshot are shared by every caller of a selection,
+// so they read the SharePoint signals index as a whole (file counts before
+// trimming), never the caller's SharePoint result.
+//
+// ENV:
+// ServiceNow: SN_INSTANCE_URL, SN_USERNAME, SN_PASSWORD (see lib/servicenow.js)
+// Salesforce: see lib/salesforce.js (password, JWT bearer or client-credentials)
+// SharePoint Graph credentials: see lib/graph.js (GRAPH_* or MS_*)
+// TXI_MAX_ACCOUNTS   accounts per selection (default 25); portfolios: see lib/portfolios.js
+// TXI_CACHE          inline JSON or path replacing config/txi-cache.json
+// Rules and baselines: TXI_RISK_RULES (lib/risk.js), TXI_ANOMALY (lib/anomaly.js)
+
+import { createHash } from "node:crypto";
+import { bindSoql, isSalesforceId } from "./soql.js";
+import { getSalesforceConnection, isSalesforceConfigured } from "./salesforce.js";
+import { listPortfolios, findPortfolio, findPortfolioInText, getDefaultPortfolio } from "./portfolios.js";
+import { getOperationsSummary, isServiceNowConfigured } from "./servicenow.js";
+import { getSharePointSignals, getSignalsIndexStatus } from "./sharepoint-signals.js";
+import { resolveAccess } from "./sharepoint-access.js";
+import { riskFactors, scoreRisk } from "./risk.js";
+import { snapshotScope, buildSnapshot, withRisk, saveSnapshot, loadDailyReadings, compareWithHistory } from "./snapshots.js";
+import { detectAnomalies, loadAnomalyConfig } from "./anomaly.js";
+import { loadConfig } from "./config.js";
+import { cached } from "./cache.js";
+
+function safeNumber(n, fallback = 0) {
+  const x = Number(n);
+  return Number.isFinite(x) ? x : fallback;
+}
+
+/* ----------------------------- Source cache ----------------------------- */
+const CACHE_DEFAULTS = {
+  serviceNow: { ttlSeconds: 120, staleSeconds: 600 },
+  salesforce: { ttlSeconds: 300, staleSeconds: 1800 },
+  sharePoint: { ttlSeconds: 300, staleSeconds: 1800 },
+  sharePointIndex: { ttlSeconds: 300, staleSeconds: 1800 },
+  llm: { ttlSeconds: 600, staleSeconds: 0 }
+};
+
+function cachePolicy(name) {
+  const config = loadConfig("txi-cache", { envVar: "TXI_CACHE", fallback: {} }) || {};
+  return { ...CACHE_DEFAULTS[name], ...config[name] };
+}
+
+// Cached read of one source; `parts` is everything the result depends on
+export async function cachedSource(name, parts, loader, { force, keep = (r) => !!r?.ok }) {
+  const key = `txi:${name}:${createHash("sha256").update(JSON.stringify(parts)).digest("hex")}`;
+  const { value, cache } = await cached(key, loader, { ...cachePolicy(name), force, keep });
+  return { ...value, cache };
+}
+
+/* ----------------------------- ServiceNow ----------------------------- */
+// Incident, problem and change figures from the Table / Aggregate APIs (lib/servicenow.js)
+async function getServiceNowSummary() {
+  if (!isServiceNowConfigured()) {
+    return { source: "ServiceNow", ok: false, error: "Missing SN env vars", data: null };
+  }
+
+  try {
+    const data = await getOperationsSummary();
+    const incidents = data.tables.incident;
+    if (incidents?.error) return { source: "ServiceNow", ok: false, error: incidents.error, code: incidents.code, data };
+    return { source: "ServiceNow", ok: true, error: null, data };
+  } catch (e) {
+    return { source: "ServiceNow", ok: false, error: e?.message || String(e), code: e?.code || null, data: null };
+  }
+}
+
+/* ----------------------------- Account selection ----------------------------- */
+// Used when config/portfolios.json has no default portfolio
+const DEFAULT_SELECTION = { names: ["EBC HQ"], fallbackRating: "Hot" };
+
+export class SelectionError extends Error {}
+
+function maxAccounts() {
+  const n = Number(process.env.TXI_MAX_ACCOUNTS || 25);
+  return Number.isFinite(n) && n > 0 ? n : 25;
+}
+
+function toList(value) {
+  if (value == null || value === "") return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+export function parseAccountSelection(body, question) {
+  const ids = new Set();
+  const names = new Set();
+
+  const addId = (value) => {
+    const id = String(value || "").trim();
+    if (!isSalesforceId(id)) throw new SelectionError(`Invalid account ID "${id}".`);
+    ids.add(id);
+  };
+  const addName = (value) => {
+    const name = String(value || "").trim();
+    if (!name || name.length > 255) throw new SelectionError("Account names must be 1–255 characters.");
+    names.add(name);
+  };
+  const addAccount = (value) => {
+    if (value && typeof value === "object") {
+      if (value.id) addId(value.id);
+      else addName(value.name);
+    } else if (isSalesforceId(String(value || "").trim())) {
+      addId(value);
+    } else {
+      addName(value);
+    }
+  };
+
+  toList(body?.accountId).forEach(addId);
+  toList(body?.accountName).forEach(addName);
+  toList(body?.accounts).forEach(addAccount);
+
+  let portfolio = null;
+  let source = ids.size || names.size ? "request" : null;
+
+  if (body?.portfolio) {
+    portfolio = findPortfolio(body.portfolio);
+    if (!portfolio) {
+      const known = listPortfolios().map((p) => p.name).join(", ") || "none configured";
+      throw new SelectionError(`Unknown portfolio "${body.portfolio}". Available: ${known}.`);
+    }
+    source = source ? "request+portfolio" : "portfolio";
+  } else if (!source) {
+    portfolio = findPortfolioInText(question);
+    source = portfolio ? "question" : "default";
+    if (!portfolio) portfolio = getDefaultPortfolio();
+  }
+
+  if (portfolio) portfolio.accounts.forEach(addAccount);
+  else if (source === "default") DEFAULT_SELECTION.names.forEach(addName);
+
+  if (ids.size + names.size > maxAccounts()) {
+    throw new SelectionError(`Too many accounts selected (max ${maxAccounts()}).`);
+  }
+
+  return {
+    source,
+    portfolio: portfolio ? { id: portfolio.id, name: portfolio.name } : null,
+    ids: [...ids],
+    names: [...names],
+    ratings: portfolio?.ratings || [],
+    fallbackRating: portfolio ? portfolio.fallbackRating : DEFAULT_SELECTION.fallbackRating,
+  };
+}
+
+/* ----------------------------- Salesforce ----------------------------- */
+const ACCOUNT_FIELDS = "Id, Name, Industry, Rating";
+
+function toAccount(r) {
+  return { id: r.Id, name: r.Name, industry: r.Industry || null, rating: r.Rating || null };
+}
+
+async function findAccounts(conn, selection) {
+  const conditions = [];
+  if (selection.ids.length) conditions.push("Id IN :ids");
+  if (selection.names.length) conditions.push("Name IN :names");
+  if (selection.ratings.length) conditions.push("Rating IN :ratings");
+
+  let records = [];
+  if (conditions.length) {
+    const soql = bindSoql(
+      `SELECT ${ACCOUNT_FIELDS} FROM Account WHERE ${conditions.join(" OR ")} ORDER BY Name LIMIT :limit`,
+      { ids: selection.ids, names: selection.names, ratings: selection.ratings, limit: maxAccounts() }
+    );
+    records = (await conn.query(soql))?.records || [];
+  }
+
+  if (!records.length && selection.fallbackRating) {
+    const soql = bindSoql(`SELECT ${ACCOUNT_FIELDS} FROM Account WHERE Rating = :rating LIMIT 1`, {
+      rating: selection.fallbackRating,
+    });
+    records = (await conn.query(soql))?.records || [];
+  }
+
+  return records.map(toAccount);
+}
+
+async function getSalesforceSummary(selection) {
+  if (!isSalesforceConfigured()) {
+    return { source: "Salesforce", ok: false, error: "Missing SF env vars", data: null };
+  }
+
+  let conn;
+  try {
+    conn = await getSalesforceConnection();
+  } catch (e) {
+    return { source: "Salesforce", ok: false, error: `Login failed: ${e?.message || String(e)}`, data: null };
+  }
+
+  const selectionInfo = {
+    source: selection.source,
+    portfolio: selection.portfolio,
+    requested: { ids: selection.ids, names: selection.names, ratings: selection.ratings },
+  };
+
+  let accounts = [];
+  try {
+    accounts = await findAccounts(conn, selection);
+  } catch (e) {
+    return { source: "Salesforce", ok: false, error: `Account query failed: ${e?.message || String(e)}`, data: { selection: selectionInfo } };
+  }
+
+  selectionInfo.unmatched = [
+    ...selection.ids.filter((id) => !accounts.some((a) => a.id === id || a.id.slice(0, 15) === id.slice(0, 15))),
+    ...selection.names.filter((n) => !accounts.some((a) => a.name.toLowerCase() === n.toLowerCase())),
+  ];
+
+  if (!accounts.length) {
+    return { source: "Salesforce", ok: false, error: "No target account found", data: { selection: selectionInfo } };
+  }
+
+  let oppRecords = [];
+  try {
+    const o = await conn.query(bindSoql(`
+      SELECT Id, Name, Amount, StageName, CloseDate, Probability, IsClosed, AccountId
+      FROM Opportunity
+      WHERE AccountId IN :accountIds AND IsClosed = false
+      ORDER BY CloseDate ASC, Amount DESC
+      LIMIT :limit
+    `, { accountIds: accounts.map((a) => a.id), limit: Math.min(25 * accounts.length, 500) }));
+    oppRecords = o?.records || [];
+  } catch (e) {
+    return { source: "Salesforce", ok: false, error: `Opportunity query failed: ${e?.message || String(e)}`, data: { selection: selectionInfo, accounts } };
+  }
+
+  const now = new Date();
+  const daysUntil = (dStr) => {
+    const d = new Date(dStr);
+    if (Number.isNaN(d.getTime())) return 99999;
+    return Math.ceil((d.getTime() - now.getTime()) / 86400000);
+  };
+
+  const accountById = new Map(accounts.map((a) => [a.id, a]));
+  const normalized = oppRecords.map((r) => ({
+    id: r.Id,
+    name: r.Name,
+    accountId: r.AccountId,
+    accountName: accountById.get(r.AccountId)?.name || null,
+    amount: safeNumber(r.Amount, 0),
+    stage: r.StageName,
+    closeDate: r.CloseDate,
+    probability: safeNumber(r.Probability, 0),
+    closeInDays: r.CloseDate ? daysUntil(r.CloseDate) : null
+  }));
+
+  const atRiskAll = normalized
+    .filter((o) => (o.probability <= 30) || (o.closeInDays != null && o.closeInDays <= 45))
+    .sort((a, b) => b.amount - a.amount);
+
+  const byAccount = accounts
+    .map((a) => {
+      const deals = atRiskAll.filter((o) => o.accountId === a.id);
+      return { ...a, opportunityCount: deals.length, totalAmount: deals.reduce((s, o) => s + o.amount, 0) };
+    })
+    .sort((a, b) => b.totalAmount - a.totalAmount);
+
+  const totalAmount = atRiskAll.reduce((s, o) => s + safeNumber(o.amount), 0);
+
+  return {
+    source: "Salesforce",
+    ok: true,
+    error: null,
+    data: {
+      selection: selectionInfo,
+      accounts,
+      // Account carrying the largest at-risk exposure
+      primaryAccount: byAccount[0] ? accountById.get(byAccount[0].id) : accounts[0],
+      atRiskSummary: { opportunityCount: atRiskAll.length, totalAmount, accountCount: byAccount.filter((a) => a.opportunityCount).length },
+      atRiskByAccount: byAccount,
+      atRiskOpportunities: atRiskAll.slice(0, 25)
+    }
+  };
+}
+
+/* ----------------------------- SharePoint (in-process, lib/sharepoint-signals.js) ----------------------------- */
+// Same payload as /api/sharepoint-signals, trimmed to what the caller may open
+async function getSharePointData(req) {
+  let payload;
+  try {
+    payload = await getSharePointSignals(await resolveAccess(req));
+  } catch (e) {
+    payload = { ok: false, error: e?.message || String(e), code: e?.code || null };
+  }
+
+  return {
+    source: "SharePoint",
+    ok: !!payload.ok,
+    error: payload.ok ? null : (payload.error || "NO_MATCH"),
+    data: payload
+  };
+}
+
+// The signals index before trimming: the same for every caller
+async function getSharePointIndexData() {
+  const payload = await getSignalsIndexStatus();
+  return { source: "SharePoint", ok: !!payload.ok, error: payload.error, data: payload };
+}
+
+/* ----------------------------- Pipeline ----------------------------- */
+/**
+ * One run for an account selection (see parseAccountSelection): every source,
+ * anomalies against the selection's baselines, the risk level and the trend
+ * against yesterday and last week. Saves the run's snapshot unless `save` is
+ * false. `req` is the request whose caller SharePoint is read for; scheduled
+ * runs pass their `origin` (e.g. "monitor") to keep a history of their own
+ * (see lib/snapshots.js).
+ * Returns { sources, anomalies, risk, snapshot, trend }; a broken rules or
+ * baseline config throws RiskConfigError / AnomalyConfigError.
+ */
+export async function runTxiPipeline({ selection, req, caller = "anonymous", force = false, origin = "dashboard", save = true }) {
+  const anomalyConfig = loadAnomalyConfig();
+
+  const [serviceNow, salesforce, sharePoint, sharePointIndex] = await Promise.all([
+    cachedSource("serviceNow", [], () => getServiceNowSummary(), { force }),
+    cachedSource("salesforce", [selection], () => getSalesforceSummary(selection), { force }),
+    cachedSource("sharePoint", [caller], () => getSharePointData(req), { force }),
+    cachedSource("sharePointIndex", [], () => getSharePointIndexData(), { force })
+  ]);
+  const sources = { serviceNow, salesforce, sharePoint };
+  // Inputs of the shared risk level and snapshot: nothing caller-specific
+  const shared = { serviceNow, salesforce, sharePointIndex };
+
+  // Earlier days of the same accounts (cached per UTC day): baselines
+  const current = buildSnapshot({ scope: snapshotScope(selection), origin, selection, sources: shared });
+  const readings = await loadDailyReadings(current.scope, { days: anomalyConfig.lookbackDays, origin }).catch((e) => {
+    console.warn("Snapshot history unavailable:", e?.message || e);
+    return [];
+  });
+  const anomalies = detectAnomalies(current, readings, { config: anomalyConfig });
+
+  // Risk level and the rules behind it (config/risk-rules.json)
+  const risk = scoreRisk(riskFactors(shared, anomalies), { account: salesforce?.data?.primaryAccount });
+
+  // Snapshot of this run, compared with the same time yesterday and last week
+  const snapshot = withRisk(current, risk);
+  const trend = await compareWithHistory(snapshot).catch((e) => {
+    console.warn("Snapshot history unavailable:", e?.message || e);
+    return { scope: snapshot.scope, yesterday: null, lastWeek: null };
+  });
+  if (save) await saveSnapshot(snapshot).catch((e) => console.warn("Snapshot not saved:", e?.message || e));
+
+  return { sources, anomalies, risk, snapshot, trend };
+}
@@ -0,0 +1,154 @@
+// lib/webhooks.js
+//
+// Alert delivery to incoming webhooks: Microsoft Teams (Adaptive Card),
+// Slack (Block Kit) or plain JSON.
+//
+// A webhook is { type: "teams" | "slack" | "json", urlEnv?, url?, headers? };
+// the URL is read from the env var named by urlEnv (preferred, since the URL
+// is the secret) or taken from url.
+//
+// An alert message is { title, monitor: { id, name }, alerts: [{ key, kind,
+// title, text }], risk: { level, score, reasons }, metrics, takenAt, url? }.
+//
+// Posts retry once on 429 / 5xx / network errors, honouring a short
+// Retry-After.
+//
+// ENV:
+// TXI_WEBHOOK_TIMEOUT_MS   per request (default 10000)
+
+export const WEBHOOK_TYPES = ["teams", "slack", "json"];
+
+const MAX_RETRY_WAIT_MS = 5000;
+
+export class WebhookError extends Error {
+  constructor(message, { code = "WEBHOOK_FAILED", status = null } = {}) {
+    super(message);
+    this.name = "WebhookError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function webhookUrl(webhook) {
+  return (webhook?.urlEnv ? process.env[webhook.urlEnv] : webhook?.url) || null;
+}
+
+function money(n) {
+  return `$${(Number(n) || 0).toLocaleString("en-US")}`;
+}
+
+// Figures shown with every alert
+function facts(message) {
+  const m = message.metrics || {};
+  return [
+    ["Risk level", `${message.risk.level} (score ${message.risk.score})`],
+    ["P1 / P2 incidents", `${m.p1} / ${m.p2}`],
+    ["High-priority incidents", String(m.highPriority)],
+    ["At-risk deals", `${m.atRiskDeals} (${money(m.atRiskAmount)})`],
+  ];
+}
+
+function teamsPayload(message) {
+  const body = [
+    { type: "TextBlock", text: message.title, weight: "Bolder", size: "Medium", wrap: true },
+    { type: "TextBlock", text: message.monitor.name, isSubtle: true, spacing: "None", wrap: true },
+    ...message.alerts.map((a) => ({ type: "TextBlock", text: `**${a.title}** — ${a.text}`, wrap: true })),
+    { type: "FactSet", facts: facts(message).map(([title, value]) => ({ title, value })) },
+  ];
+  if (message.risk.reasons?.length) {
+    body.push({ type: "TextBlock", text: `Why: ${message.risk.reasons.join("; ")}`, isSubtle: true, wrap: true });
+  }
+  return {
+    type: "message",
+    attachments: [{
+      contentType: "application/vnd.microsoft.card.adaptive",
+      contentUrl: null,
+      content: {
+        $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+        type: "AdaptiveCard",
+        version: "1.4",
+        body,
+        ...(message.url ? { actions: [{ type: "Action.OpenUrl", title: "Open dashboard", url: message.url }] } : {}),
+      },
+    }],
+  };
+}
+
+const slackText = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+function slackPayload(message) {
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: message.title.slice(0, 150) } },
+    { type: "section", text: { type: "mrkdwn", text: message.alerts.map((a) => `• *${slackText(a.title)}* — ${slackText(a.text)}`).join("\n") } },
+    { type: "section", fields: facts(message).map(([title, value]) => ({ type: "mrkdwn", text: `*${title}*\n${slackText(value)}` })) },
+  ];
+  const context = [slackText(message.monitor.name), ...(message.risk.reasons?.length ? [`Why: ${slackText(message.risk.reasons.join("; "))}`] : [])];
+  blocks.push({ type: "context", elements: context.map((text) => ({ type: "mrkdwn", text })) });
+  if (message.url) {
+    blocks.push({ type: "actions", elements: [{ type: "button", text: { type: "plain_text", text: "Open dashboard" }, url: message.url }] });
+  }
+  return { text: `${message.title} (${message.monitor.name})`, blocks };
+}
+
+export function formatMessage(type, message) {
+  if (type === "teams") return teamsPayload(message);
+  if (type === "slack") return slackPayload(message);
+  return { type: "txi.alert", ...message };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function retryAfterMs(resp) {
+  const seconds = Number(resp.headers.get("retry-after"));
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : 1000;
+}
+
+/**
+ * POST `message` to the webhook in its format. Returns { status };
+ * throws WebhookError.
+ */
+export async function postWebhook(webhook, message) {
+  const url = webhookUrl(webhook);
+  if (!url) throw new WebhookError(`Webhook URL is not set${webhook?.urlEnv ? ` (${webhook.urlEnv})` : ""}.`, { code: "WEBHOOK_NOT_CONFIGURED" });
+  const body = JSON.stringify(formatMessage(webhook.type, message));
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), envNumber("TXI_WEBHOOK_TIMEOUT_MS", 10000));
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...webhook.headers },
+        body,
+        signal: controller.signal,
+      });
+    } catch (e) {
+      if (attempt < 1) continue;
+      const timedOut = e?.name === "AbortError";
+      throw new WebhookError(timedOut ? "Webhook timed out." : `Webhook request failed: ${e?.message || e}`, {
+        code: timedOut ? "WEBHOOK_TIMEOUT" : "WEBHOOK_FAILED",
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (resp.ok) return { status: resp.status };
+
+    const retryable = resp.status === 429 || resp.status >= 500;
+    if (retryable && attempt < 1) {
+      await sleep(Math.min(retryAfterMs(resp), MAX_RETRY_WAIT_MS));
+      continue;
+    }
+    const detail = (await resp.text().catch(() => "")).slice(0, 200);
+    throw new WebhookError(`Webhook answered ${resp.status}${detail ? `: ${detail}` : ""}`, {
+      code: resp.status === 429 ? "WEBHOOK_THROTTLED" : "WEBHOOK_REJECTED",
+      status: resp.status,
+    });
+  }
+}
@@ -0,0 +1,97 @@
+// Rolling baselines and anomaly flags (lib/anomaly.js).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectAnomalies, loadAnomalyConfig, AnomalyConfigError } from "../lib/anomaly.js";
+import { clearConfigCache } from "../lib/config.js";
+
+const config = {
+  lookbackDays: 56,
+  minSamples: 7,
+  minSameWeekday: 3,
+  minRelativeSpread: 0,
+  thresholds: { notable: 2, severe: 3, extreme: 4 },
+  metrics: { p1: { label: "P1 incidents", minSpread: 1 }, atRiskAmount: { label: "At-risk pipeline", minSpread: 1 } },
+};
+
+// 2026-03-16 is a Monday
+const NOW = Date.parse("2026-03-16T09:00:00Z");
+const DAY_MS = 86400000;
+
+function snapshot(daysAgo, metrics, sources = { serviceNow: true, salesforce: true }) {
+  return { takenAt: new Date(NOW - daysAgo * DAY_MS).toISOString(), metrics, sources };
+}
+
+// One reading a day for `days` days before NOW
+function history(days, p1For, amount = 1000) {
+  return Array.from({ length: days }, (_, i) => snapshot(days - i, { p1: p1For(days - i), atRiskAmount: amount }));
+}
+
+test("keeps learning until there are enough daily readings", () => {
+  const result = detectAnomalies(snapshot(0, { p1: 50, atRiskAmount: 1000 }), history(6, () => 2), { config });
+  assert.equal(result.metrics.p1.status, "learning");
+  assert.deepEqual(result.metrics.p1.baseline, { samples: 6, needed: 7 });
+  assert.equal(result.metrics.p1.score, null);
+  assert.deepEqual(result.flags, []);
+});
+
+test("scores against the median of every day while weekdays are short", () => {
+  const past = history(10, (d) => (d % 2 ? 4 : 6));
+  const result = detectAnomalies(snapshot(0, { p1: 13, atRiskAmount: 1000 }), past, { config });
+  const p1 = result.metrics.p1;
+  assert.equal(p1.status, "ok");
+  assert.deepEqual([p1.baseline.median, p1.baseline.seasonality, p1.baseline.samples], [5, "all", 10]);
+  assert.equal(p1.baseline.spread, 1.48);
+  assert.deepEqual([p1.score, p1.direction, p1.severity], [5.4, "above", "extreme"]);
+  assert.deepEqual(result.flags.map((f) => f.metric), ["p1"]);
+  assert.equal(result.metrics.atRiskAmount.direction, "level");
+});
+
+test("uses the same weekday's readings once there are enough of them", () => {
+  // Mondays run at 20, every other day at 2
+  const past = history(28, (d) => (d % 7 === 0 ? 20 : 2));
+  const result = detectAnomalies(snapshot(0, { p1: 20, atRiskAmount: 1000 }), past, { config });
+  assert.equal(result.weekday, "Monday");
+  assert.deepEqual(result.metrics.p1.baseline, { median: 20, spread: 1, samples: 4, seasonality: "weekday", weekday: "Monday" });
+  assert.equal(result.metrics.p1.severity, null);
+});
+
+test("ignores readings of a failed source, today's runs and days past the lookback", () => {
+  const past = [
+    ...history(7, () => 3),
+    snapshot(7.5, { p1: 500, atRiskAmount: 1000 }, { serviceNow: false, salesforce: true }),
+    snapshot(80, { p1: 900, atRiskAmount: 1000 }),
+    snapshot(0.1, { p1: 900, atRiskAmount: 1000 }),
+  ].sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+  const result = detectAnomalies(snapshot(0, { p1: 3, atRiskAmount: 1000 }), past, { config });
+  assert.equal(result.metrics.p1.baseline.median, 3);
+  assert.equal(result.metrics.p1.baseline.samples, 7);
+
+  const down = detectAnomalies(snapshot(0, { p1: 0, atRiskAmount: 1000 }, { serviceNow: false, salesforce: true }), past, { config });
+  assert.equal(down.metrics.p1.status, "unavailable");
+  assert.equal(down.metrics.atRiskAmount.status, "ok");
+});
+
+test("orders flags by the size of the deviation", () => {
+  const result = detectAnomalies(snapshot(0, { p1: 7, atRiskAmount: 990 }), history(10, () => 4), { config });
+  assert.deepEqual(result.flags.map((f) => [f.metric, f.direction, f.severity]), [
+    ["atRiskAmount", "below", "extreme"],
+    ["p1", "above", "severe"],
+  ]);
+});
+
+test("rejects unknown metrics and non-positive thresholds", () => {
+  const load = (value) => {
+    process.env.TXI_ANOMALY = JSON.stringify(value);
+    clearConfigCache();
+    try {
+      return loadAnomalyConfig();
+    } finally {
+      delete process.env.TXI_ANOMALY;
+      clearConfigCache();
+    }
+  };
+  assert.deepEqual(load({}).thresholds, { notable: 2, severe: 3, extreme: 4 });
+  assert.throws(() => load({ metrics: { tickets: {} } }), AnomalyConfigError);
+  assert.throws(() => load({ thresholds: { severe: 0 } }), /"severe" must be a positive number/);
+});
@@ -0,0 +1,190 @@
+// Authentication and roles (lib/auth.js) against a local key set: tokens are
+// signed here with keys whose public halves are passed in AUTH_JWKS.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHash, createHmac, generateKeyPairSync, sign, constants } from "node:crypto";
+
+const ISSUER = "https://login.example.test/tenant/v2.0";
+const AUDIENCE = "api://txi-test";
+
+const rsa = generateKeyPairSync("rsa", { modulusLength: 2048 });
+const ec = generateKeyPairSync("ec", { namedCurve: "P-256" });
+const stranger = generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+process.env.AUTH_CONFIG = JSON.stringify({
+  allowAnonymous: false,
+  routes: { open: [], admin: ["TXI.Admin"], cron: ["Cron"] },
+});
+process.env.AUTH_ISSUER = ISSUER;
+process.env.AUTH_AUDIENCE = AUDIENCE;
+process.env.AUTH_JWKS = JSON.stringify({
+  keys: [
+    { ...rsa.publicKey.export({ format: "jwk" }), kid: "rsa-1", use: "sig" },
+    { ...ec.publicKey.export({ format: "jwk" }), kid: "ec-1", alg: "ES256" },
+  ],
+});
+process.env.AUTH_API_KEYS = JSON.stringify([
+  { name: "reporting", key: "plain-secret-key", roles: ["TXI.Read"] },
+  { name: "admin-tool", sha256: createHash("sha256").update("hashed-secret-key").digest("hex"), roles: ["TXI.Admin"] },
+]);
+process.env.CRON_SECRET = "cron-secret";
+delete process.env.AUTH_ALLOW_ANONYMOUS;
+delete process.env.AUTH_JWKS_URI;
+delete process.env.GRAPH_TENANT_ID;
+delete process.env.GRAPH_CLIENT_ID;
+
+const { authenticate, withAuth, AuthError } = await import("../lib/auth.js");
+
+const b64 = (value) => Buffer.from(typeof value === "string" ? value : JSON.stringify(value)).toString("base64url");
+const now = () => Math.floor(Date.now() / 1000);
+
+function claims(overrides = {}) {
+  return { iss: ISSUER, aud: AUDIENCE, oid: "user-1", name: "Test User", roles: ["TXI.Read"], exp: now() + 600, ...overrides };
+}
+
+function jwt(payload = claims(), { alg = "RS256", kid = "rsa-1", key = rsa.privateKey } = {}) {
+  const signed = `${b64({ alg, kid, typ: "JWT" })}.${b64(payload)}`;
+  let signature;
+  if (alg === "ES256") signature = sign("sha256", Buffer.from(signed), { key, dsaEncoding: "ieee-p1363" });
+  else if (alg === "PS256") signature = sign("sha256", Buffer.from(signed), { key, padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: constants.RSA_PSS_SALTLEN_DIGEST });
+  else signature = sign("sha256", Buffer.from(signed), key);
+  return `${signed}.${signature.toString("base64url")}`;
+}
+
+const bearer = (token, route = "open") => authenticate({ headers: { authorization: `Bearer ${token}` } }, route);
+
+async function rejects(promise, code, status = 401, message = null) {
+  await assert.rejects(promise, (e) => {
+    assert.ok(e instanceof AuthError, `expected AuthError, got ${e}`);
+    assert.equal(e.code, code);
+    assert.equal(e.status, status);
+    if (message) assert.match(e.message, message);
+    return true;
+  });
+}
+
+test("accepts a token signed with a key from the local key set", async () => {
+  const caller = await bearer(jwt(claims({ scp: "Briefs.Read" })));
+  assert.equal(caller.type, "user");
+  assert.equal(caller.id, "user-1");
+  assert.equal(caller.name, "Test User");
+  assert.deepEqual(caller.roles, ["TXI.Read", "Briefs.Read"]);
+});
+
+test("accepts RSA-PSS and ECDSA signatures", async () => {
+  assert.equal((await bearer(jwt(claims(), { alg: "PS256" }))).id, "user-1");
+  assert.equal((await bearer(jwt(claims(), { alg: "ES256", kid: "ec-1", key: ec.privateKey }))).id, "user-1");
+});
+
+test("rejects a token signed with a key outside the key set", async () => {
+  await rejects(bearer(jwt(claims(), { key: stranger.privateKey })), "AUTH_INVALID_TOKEN", 401, /bad signature/);
+});
+
+test("rejects a token whose claims were changed after signing", async () => {
+  const [h, , s] = jwt().split(".");
+  await rejects(bearer(`${h}.${b64(claims({ roles: ["TXI.Admin"] }))}.${s}`), "AUTH_INVALID_TOKEN", 401, /bad signature/);
+});
+
+test("rejects an unknown key id and a key restricted to another algorithm", async () => {
+  await rejects(bearer(jwt(claims(), { kid: "rotated-away" })), "AUTH_INVALID_TOKEN", 401, /unknown signing key/);
+  await rejects(bearer(jwt(claims(), { alg: "PS256", kid: "ec-1" })), "AUTH_INVALID_TOKEN", 401, /unknown signing key/);
+});
+
+test("rejects alg none and HMAC algorithms", async () => {
+  const unsigned = `${b64({ alg: "none", kid: "rsa-1" })}.${b64(claims())}.`;
+  await rejects(bearer(unsigned), "AUTH_INVALID_TOKEN", 401, /unsupported algorithm none/);
+
+  // HS256 keyed with the public key, the classic algorithm-confusion attack
+  const signed = `${b64({ alg: "HS256", kid: "rsa-1" })}.${b64(claims())}`;
+  const secret = rsa.publicKey.export({ format: "pem", type: "spki" });
+  const hmac = createHmac("sha256", secret).update(signed).digest("base64url");
+  await rejects(bearer(`${signed}.${hmac}`), "AUTH_INVALID_TOKEN", 401, /unsupported algorithm HS256/);
+});
+
+test("rejects expired, not yet valid and exp-less tokens, allowing clock skew", async () => {
+  await rejects(bearer(jwt(claims({ exp: now() - 120 }))), "AUTH_INVALID_TOKEN", 401, /expired/);
+  await rejects(bearer(jwt(claims({ exp: undefined }))), "AUTH_INVALID_TOKEN", 401, /expired/);
+  await rejects(bearer(jwt(claims({ nbf: now() + 600 }))), "AUTH_INVALID_TOKEN", 401, /not yet valid/);
+  assert.equal((await bearer(jwt(claims({ exp: now() - 30 })))).id, "user-1");
+});
+
+test("rejects a wrong issuer or audience", async () => {
+  await rejects(bearer(jwt(claims({ iss: "https://evil.example/v2.0" }))), "AUTH_INVALID_TOKEN", 401, /issuer/);
+  await rejects(bearer(jwt(claims({ aud: "api://another-app" }))), "AUTH_INVALID_TOKEN", 401, /audience/);
+  assert.equal((await bearer(jwt(claims({ aud: ["api://another-app", AUDIENCE] })))).id, "user-1");
+});
+
+test("rejects malformed tokens", async () => {
+  await rejects(bearer("not-json.not-json.sig"), "AUTH_INVALID_TOKEN", 401, /malformed/);
+});
+
+test("refuses tokens when no issuer is configured", async () => {
+  const issuer = process.env.AUTH_ISSUER;
+  delete process.env.AUTH_ISSUER;
+  try {
+    await rejects(bearer(jwt()), "AUTH_NOT_CONFIGURED");
+  } finally {
+    process.env.AUTH_ISSUER = issuer;
+  }
+});
+
+test("matches API keys given as X-API-Key or a non-JWT bearer value", async () => {
+  const byHeader = await authenticate({ headers: { "x-api-key": "plain-secret-key" } }, "open");
+  assert.deepEqual(byHeader, { type: "apiKey", id: "reporting", name: "reporting", roles: ["TXI.Read"] });
+
+  const hashed = await authenticate({ headers: { authorization: "Bearer hashed-secret-key" } }, "admin");
+  assert.equal(hashed.id, "admin-tool");
+
+  const cron = await authenticate({ headers: { authorization: "Bearer cron-secret" } }, "cron");
+  assert.deepEqual(cron.roles, ["Cron"]);
+
+  await rejects(authenticate({ headers: { "x-api-key": "plain-secret-ke" } }, "open"), "AUTH_INVALID_KEY");
+  await rejects(authenticate({ headers: { "x-api-key": "wrong", authorization: `Bearer ${jwt()}` } }, "open"), "AUTH_INVALID_KEY");
+});
+
+test("denies callers without one of the route's roles", async () => {
+  await rejects(bearer(jwt(), "admin"), "AUTH_FORBIDDEN", 403, /TXI\.Admin/);
+  await rejects(authenticate({ headers: { "x-api-key": "plain-secret-key" } }, "cron"), "AUTH_FORBIDDEN", 403);
+  assert.equal((await bearer(jwt(claims({ roles: ["TXI.Admin"] })), "admin")).id, "user-1");
+});
+
+test("requires credentials unless anonymous access is on and the route needs no role", async () => {
+  await rejects(authenticate({ headers: {} }, "open"), "AUTH_REQUIRED");
+  process.env.AUTH_ALLOW_ANONYMOUS = "true";
+  try {
+    assert.equal((await authenticate({ headers: {} }, "open")).type, "anonymous");
+    await rejects(authenticate({ headers: {} }, "admin"), "AUTH_REQUIRED");
+  } finally {
+    delete process.env.AUTH_ALLOW_ANONYMOUS;
+  }
+});
+
+test("withAuth answers 401 / 403 without calling the handler", async () => {
+  const calls = [];
+  const handler = withAuth(async (req, res) => calls.push(req.auth), { route: "admin", methods: ["GET"] });
+  const response = () => {
+    const res = { statusCode: 200, headers: {}, body: null, headersSent: false };
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; res.headersSent = true; return res; };
+    return res;
+  };
+
+  let res = response();
+  await handler({ method: "GET", headers: { authorization: `Bearer ${jwt(claims({ exp: now() - 3600 }))}` } }, res);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, "AUTH_INVALID_TOKEN");
+  assert.match(res.headers["www-authenticate"], /^Bearer/);
+
+  res = response();
+  await handler({ method: "GET", headers: { authorization: `Bearer ${jwt()}` } }, res);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, "AUTH_FORBIDDEN");
+  assert.equal(calls.length, 0);
+
+  res = response();
+  await handler({ method: "GET", headers: { authorization: `Bearer ${jwt(claims({ roles: ["TXI.Admin"] }))}` } }, res);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].id, "user-1");
+});
@@ -0,0 +1,113 @@
+// Brief subscriptions and their delivery schedule (lib/subscriptions.js,
+// lib/brief-delivery.js).
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dataDir = mkdtempSync(path.join(os.tmpdir(), "txi-brief-test-"));
+process.env.DATA_DIR = dataDir;
+process.env.TXI_BRIEF_EMAIL = JSON.stringify({ defaultTime: "07:30", defaultTimeZone: "Europe/London", allowedRecipientDomains: ["Example.com"] });
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+const { createSubscription, updateSubscription, getSubscription, localDay, isAllowedRecipient, SubscriptionError } = await import("../lib/subscriptions.js");
+const { deliveryDue, runDueDeliveries, listDeliveries } = await import("../lib/brief-delivery.js");
+const { writeJson } = await import("../lib/store.js");
+
+const settings = { catchUpMinutes: 240, maxAttemptsPerDay: 3, allowedRecipientDomains: ["example.com"] };
+const sub = {
+  recipient: "cfo@example.com",
+  timeZone: "America/New_York",
+  schedule: { time: "08:00", days: ["mon", "tue", "wed", "thu", "fri"] },
+  enabled: true,
+  delivery: null,
+};
+// 2026-03-16 is a Monday; New York is on UTC-4
+const monday = (utc) => new Date(`2026-03-16T${utc}:00Z`);
+
+test("reads the local day and time in the subscription's zone", () => {
+  assert.deepEqual(localDay(new Date("2026-03-16T02:30:00Z"), "America/New_York"), { date: "2026-03-15", weekday: "sun", minutes: 1350 });
+  assert.deepEqual(localDay(new Date("2026-03-16T00:00:00Z"), "UTC"), { date: "2026-03-16", weekday: "mon", minutes: 0 });
+});
+
+test("is due from the local send time for the catch-up window", () => {
+  assert.deepEqual(deliveryDue(sub, monday("11:59"), settings), { due: false, reason: "not yet time", local: { date: "2026-03-16", weekday: "mon", minutes: 479 } });
+  assert.equal(deliveryDue(sub, monday("12:00"), settings).due, true);
+  assert.equal(deliveryDue(sub, monday("16:00"), settings).due, true);
+  assert.equal(deliveryDue(sub, monday("16:01"), settings).reason, "missed today's window");
+  assert.equal(deliveryDue(sub, new Date("2026-03-15T12:30:00Z"), settings).reason, "not a delivery day");
+  assert.equal(deliveryDue({ ...sub, enabled: false }, monday("12:30"), settings).reason, "disabled");
+  assert.equal(deliveryDue({ ...sub, recipient: "cfo@elsewhere.com" }, monday("12:30"), settings).reason, "recipient domain not allowed");
+});
+
+test("sends once per local day within the attempt limit", () => {
+  const sent = { ...sub, delivery: { localDate: "2026-03-16", status: "sent", attempts: 1 } };
+  assert.equal(deliveryDue(sent, monday("12:30"), settings).reason, "already sent today");
+
+  const failing = { ...sub, delivery: { localDate: "2026-03-16", status: "failed", attempts: 2 } };
+  assert.equal(deliveryDue(failing, monday("12:30"), settings).due, true);
+  assert.equal(deliveryDue({ ...failing, delivery: { ...failing.delivery, attempts: 3 } }, monday("12:30"), settings).reason, "no attempts left today");
+
+  // Yesterday's delivery does not count against today
+  assert.equal(deliveryDue({ ...sent, delivery: { ...sent.delivery, localDate: "2026-03-13" } }, monday("12:30"), settings).due, true);
+});
+
+test("force skips the schedule and attempt limit but not the other checks", () => {
+  const force = { force: true };
+  const spent = { ...sub, delivery: { localDate: "2026-03-16", status: "sent", attempts: 3 } };
+  assert.equal(deliveryDue(spent, new Date("2026-03-15T03:00:00Z"), settings, force).due, true);
+  assert.equal(deliveryDue({ ...sub, enabled: false }, monday("12:30"), settings, force).reason, "disabled");
+  assert.equal(deliveryDue({ ...sub, recipient: "cfo@elsewhere.com" }, monday("12:30"), settings, force).reason, "recipient domain not allowed");
+});
+
+test("creates subscriptions with the configured defaults", async () => {
+  const created = await createSubscription({ recipient: " CFO@Example.com " }, { createdBy: "admin" });
+  assert.equal(created.recipient, "cfo@example.com");
+  assert.equal(created.timeZone, "Europe/London");
+  assert.deepEqual(created.schedule, { time: "07:30", days: ["mon", "tue", "wed", "thu", "fri"] });
+  assert.deepEqual([created.enabled, created.createdBy, created.delivery], [true, "admin", null]);
+  assert.deepEqual(await getSubscription(created.id), created);
+
+  const updated = await updateSubscription(created.id, { schedule: { days: ["Sat", "mon"] }, enabled: "false" });
+  assert.deepEqual(updated.schedule, { time: "07:30", days: ["mon", "sat"] });
+  assert.equal(updated.enabled, false);
+  assert.equal(await updateSubscription("missing-subscription", {}), null);
+});
+
+test("rejects invalid subscription fields", async () => {
+  const bad = [
+    [{ recipient: "not-an-address" }, /"recipient" must be an email address/],
+    [{ recipient: "cfo@example.com", timeZone: "Mars/Olympus" }, /Unknown time zone/],
+    [{ recipient: "cfo@example.com", schedule: { time: "8am" } }, /"schedule.time"/],
+    [{ recipient: "cfo@example.com", schedule: { days: ["someday"] } }, /"schedule.days"/],
+    [{ recipient: "cfo@example.com", question: "" }, /"question" must be 1–500 characters/],
+  ];
+  for (const [input, message] of bad) {
+    await assert.rejects(createSubscription(input), (e) => e instanceof SubscriptionError && e.status === 400 && message.test(e.message));
+  }
+});
+
+test("only accepts recipients in an allowed domain or its subdomains", async () => {
+  assert.equal(isAllowedRecipient("a@example.com", settings), true);
+  assert.equal(isAllowedRecipient("a@eu.example.com", settings), true);
+  assert.equal(isAllowedRecipient("a@badexample.com", settings), false);
+  assert.equal(isAllowedRecipient("a@example.com.evil.io", settings), false);
+  assert.equal(isAllowedRecipient("a@example.com", { allowedRecipientDomains: [] }), false);
+
+  await assert.rejects(createSubscription({ recipient: "cfo@elsewhere.com" }), /"recipient" must be an address in example.com/);
+  const created = await createSubscription({ recipient: "cfo@example.com" });
+  await assert.rejects(updateSubscription(created.id, { recipient: "cfo@elsewhere.com" }), SubscriptionError);
+});
+
+test("a forced delivery to a domain no longer allowed is not sent", async () => {
+  // Made before the domain was removed from the allowlist
+  const id = "legacy-subscription";
+  await writeJson(`subscriptions/${id}.json`, { ...sub, id, recipient: "cfo@elsewhere.com", question: "Risk?", portfolio: null, createdAt: new Date().toISOString() });
+
+  const results = await runDueDeliveries({ only: [id], force: true, now: monday("12:30") });
+  assert.deepEqual(results, [{ subscriptionId: id, recipient: "cfo@elsewhere.com", sent: false, reason: "recipient domain not allowed" }]);
+  assert.equal((await getSubscription(id)).delivery, null);
+  assert.deepEqual(await listDeliveries({ subscriptionId: id }), []);
+});
@@ -0,0 +1,89 @@
+// Citation checks for document answers (lib/citations.js): a claim is only
+// shown when its quote appears in the cited file.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCitedAnswer, verifyCitations, getCitationsMode } from "../lib/citations.js";
+
+const files = [
+  { fileName: "EBC_Account_Health_Risk.docx", webUrl: "https://sp.example/health", text: "Q3 review:\nThe renewal   is at risk because of repeated\noutages. Budget approved — pending sign-off." },
+  { fileName: "Board notes.pdf", webUrl: "https://sp.example/board", text: "Expansion into APAC is on hold." },
+];
+
+test("parses bullets and their citation markers", () => {
+  const bullets = parseCitedAnswer([
+    '- Renewal is at risk [[cite: EBC_Account_Health_Risk.docx | "renewal is at risk"]]',
+    "",
+    '* Two sources [[cite: a.pdf | "one"]] [[ cite : b.pdf | “two” ]]',
+    "- No citation at all",
+  ].join("\n"));
+  assert.deepEqual(bullets, [
+    { text: "Renewal is at risk", citations: [{ file: "EBC_Account_Health_Risk.docx", quote: "renewal is at risk" }] },
+    { text: "Two sources", citations: [{ file: "a.pdf", quote: "one" }, { file: "b.pdf", quote: "two" }] },
+    { text: "No citation at all", citations: [] },
+  ]);
+});
+
+test("keeps verified claims and numbers each distinct citation once", () => {
+  const raw = [
+    '- Renewal at risk [[cite: EBC_Account_Health_Risk.docx | "Renewal is at risk"]]',
+    '- Outages drive it [[cite: EBC_Account_Health_Risk | "renewal is at risk"]] [[cite: Board notes.pdf | "on hold"]]',
+  ].join("\n");
+  const result = verifyCitations(raw, files, { mode: "remove" });
+  assert.deepEqual(result.unsupportedClaims, []);
+  assert.deepEqual(result.citations.map((c) => [c.id, c.fileName, c.webUrl]), [
+    [1, "EBC_Account_Health_Risk.docx", "https://sp.example/health"],
+    [2, "Board notes.pdf", "https://sp.example/board"],
+  ]);
+  assert.equal(result.answer, "- Renewal at risk [1]\n- Outages drive it [1][2]");
+});
+
+test("matches quotes regardless of case, whitespace and dash or quote style", () => {
+  const raw = '- Budget [[cite: EBC_Account_Health_Risk.docx | "BUDGET approved - pending sign-off"]]';
+  assert.equal(verifyCitations(raw, files, { mode: "remove" }).bullets.length, 1);
+});
+
+test("matches elided quotes piece by piece, in order only", () => {
+  const inOrder = '- Outages [[cite: EBC_Account_Health_Risk.docx | "renewal is at risk … outages"]]';
+  const reversed = '- Outages [[cite: EBC_Account_Health_Risk.docx | "outages ... renewal is at risk"]]';
+  assert.equal(verifyCitations(inOrder, files, { mode: "remove" }).bullets.length, 1);
+  assert.equal(verifyCitations(reversed, files, { mode: "remove" }).bullets.length, 0);
+});
+
+test("removes claims whose quotes are not in the cited file", () => {
+  const raw = [
+    '- Invented figure [[cite: Board notes.pdf | "revenue doubled"]]',
+    '- Unknown file [[cite: Secret.xlsx | "Expansion into APAC is on hold"]]',
+    "- No citation",
+  ].join("\n");
+  const result = verifyCitations(raw, files, { mode: "remove" });
+  assert.deepEqual(result.bullets, []);
+  assert.deepEqual(result.unsupportedClaims.map((c) => [c.text, c.rejectedCitations.map((r) => r.reason)]), [
+    ["Invented figure", ["QUOTE_NOT_FOUND"]],
+    ["Unknown file", ["UNKNOWN_FILE"]],
+    ["No citation", []],
+  ]);
+  assert.doesNotMatch(result.answer, /Invented|Unknown|No citation/);
+});
+
+test("flag mode keeps unsupported claims, marked as unverified", () => {
+  const raw = '- On hold [[cite: Board notes.pdf | "on hold"]]\n- Invented [[cite: Board notes.pdf | "not there"]]';
+  const result = verifyCitations(raw, files, { mode: "flag" });
+  assert.equal(result.answer, "- On hold [1]\n- Invented (unverified)");
+  assert.deepEqual(result.bullets.map((b) => b.supported), [true, false]);
+});
+
+test("defaults to remove unless SP_CITATIONS_MODE is flag", () => {
+  const previous = process.env.SP_CITATIONS_MODE;
+  try {
+    delete process.env.SP_CITATIONS_MODE;
+    assert.equal(getCitationsMode(), "remove");
+    process.env.SP_CITATIONS_MODE = " FLAG ";
+    assert.equal(getCitationsMode(), "flag");
+    process.env.SP_CITATIONS_MODE = "anything";
+    assert.equal(getCitationsMode(), "remove");
+  } finally {
+    if (previous === undefined) delete process.env.SP_CITATIONS_MODE;
+    else process.env.SP_CITATIONS_MODE = previous;
+  }
+});
@@ -0,0 +1,71 @@
+// Monitor alert rules and quiet hours (lib/monitor.js).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateAlerts, inQuietHours } from "../lib/monitor.js";
+
+const monitor = { alerts: { riskLevelChange: true, p1Threshold: 5, atRiskAmountChangePct: 20 } };
+const up = { serviceNow: true, salesforce: true };
+
+function snapshot(metrics, sources = up) {
+  return { metrics: { riskLevel: "Low", p1: 0, atRiskAmount: 0, atRiskDeals: 0, ...metrics }, sources };
+}
+
+test("raises nothing on the first run and records the at-risk reference", () => {
+  const { alerts, reference } = evaluateAlerts(monitor, {}, snapshot({ riskLevel: "High", p1: 9, atRiskAmount: 5000 }));
+  assert.deepEqual(alerts, []);
+  assert.deepEqual(reference, { atRiskAmount: 5000 });
+});
+
+test("alerts when the risk level changes", () => {
+  const state = { last: { riskLevel: "Low", p1: 0, sources: up } };
+  const { alerts } = evaluateAlerts(monitor, state, snapshot({ riskLevel: "High" }));
+  assert.deepEqual(alerts.map((a) => [a.key, a.title]), [["risk-level:Low>High", "Risk level rose to High"]]);
+
+  const fell = evaluateAlerts(monitor, { last: { riskLevel: "High", sources: up } }, snapshot({ riskLevel: "Medium" }));
+  assert.equal(fell.alerts[0].title, "Risk level fell to Medium");
+  assert.deepEqual(evaluateAlerts({ alerts: {} }, state, snapshot({ riskLevel: "High" })).alerts, []);
+});
+
+test("alerts when P1 incidents cross the threshold, not while they stay above it", () => {
+  const crossed = evaluateAlerts(monitor, { last: { riskLevel: "Low", p1: 3, sources: up } }, snapshot({ p1: 6 }));
+  assert.deepEqual(crossed.alerts.map((a) => [a.key, a.kind, a.text]), [
+    ["p1:5", "p1-threshold", "At or above the threshold of 5; 3 more than at the previous check."],
+  ]);
+  assert.deepEqual(evaluateAlerts(monitor, { last: { riskLevel: "Low", p1: 6, sources: up } }, snapshot({ p1: 8 })).alerts, []);
+});
+
+test("does not compare figures from a source that failed", () => {
+  const wasDown = { last: { riskLevel: "Low", p1: 0, sources: { serviceNow: false, salesforce: true } }, reference: { atRiskAmount: 1000 } };
+  assert.deepEqual(evaluateAlerts(monitor, wasDown, snapshot({ p1: 9, atRiskAmount: 1000 })).alerts, []);
+
+  const isDown = evaluateAlerts(monitor, { reference: { atRiskAmount: 1000 } }, snapshot({ atRiskAmount: 0 }, { serviceNow: true, salesforce: false }));
+  assert.deepEqual(isDown, { alerts: [], reference: { atRiskAmount: 1000 } });
+});
+
+test("alerts on at-risk moves since the value last alerted on", () => {
+  const small = evaluateAlerts(monitor, { reference: { atRiskAmount: 10000 } }, snapshot({ atRiskAmount: 11500 }));
+  assert.deepEqual(small, { alerts: [], reference: { atRiskAmount: 10000 } });
+
+  const big = evaluateAlerts(monitor, { reference: { atRiskAmount: 10000 } }, snapshot({ atRiskAmount: 12500, atRiskDeals: 3 }));
+  assert.deepEqual(big.alerts.map((a) => [a.key, a.title, a.text]), [
+    ["at-risk:up:12500", "At-risk deal value rose to $12,500", "+25% since $10,000; 3 deal(s) at risk."],
+  ]);
+  assert.deepEqual(big.reference, { atRiskAmount: 12500 });
+
+  const fresh = evaluateAlerts(monitor, { reference: { atRiskAmount: 0 } }, snapshot({ atRiskAmount: 400, atRiskDeals: 1 }));
+  assert.equal(fresh.alerts[0].text, "New exposure since $0; 1 deal(s) at risk.");
+});
+
+test("quiet hours wrap past midnight and follow the time zone", () => {
+  const night = { start: "20:00", end: "07:00" };
+  assert.equal(inQuietHours(null, new Date("2026-03-16T23:00:00Z")), false);
+  assert.equal(inQuietHours(night, new Date("2026-03-16T23:00:00Z")), true);
+  assert.equal(inQuietHours(night, new Date("2026-03-16T06:59:00Z")), true);
+  assert.equal(inQuietHours(night, new Date("2026-03-16T07:00:00Z")), false);
+  assert.equal(inQuietHours(night, new Date("2026-03-16T12:00:00Z")), false);
+
+  const lunch = { start: "12:00", end: "13:00", timeZone: "America/New_York" };
+  assert.equal(inQuietHours(lunch, new Date("2026-03-16T16:30:00Z")), true);
+  assert.equal(inQuietHours(lunch, new Date("2026-03-16T12:30:00Z")), false);
+});
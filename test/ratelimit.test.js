@@ -0,0 +1,84 @@
+// Rate limits and daily LLM budgets (lib/ratelimit.js). Anonymous callers are
+// keyed on an address the client cannot choose.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.RATE_LIMITS = JSON.stringify({
+  store: "memory",
+  routes: { default: { limit: 2, windowSeconds: 60 } },
+  llm: { dailyLimit: 5, routes: { "budget-route": 1 } },
+});
+delete process.env.RATE_LIMIT_STORE;
+delete process.env.VERCEL;
+
+const { enforceRateLimit, checkLlmBudget, chargeLlm, RateLimitError } = await import("../lib/ratelimit.js");
+
+function response() {
+  const headers = {};
+  return { headersSent: false, headers, setHeader(name, value) { headers[name] = value; } };
+}
+let route = 0;
+
+test("limits each caller per route and reports what is left", async () => {
+  const name = `route-${++route}`;
+  const anonymous = (address) => ({ headers: {}, socket: { remoteAddress: address } });
+  const res = response();
+  await enforceRateLimit(anonymous("10.0.0.1"), res, name);
+  assert.deepEqual([res.headers["RateLimit-Limit"], res.headers["RateLimit-Remaining"]], ["2", "1"]);
+  await enforceRateLimit(anonymous("10.0.0.1"), response(), name);
+  await assert.rejects(enforceRateLimit(anonymous("10.0.0.1"), response(), name), (e) => e instanceof RateLimitError && e.retryAfterSeconds >= 1);
+
+  await enforceRateLimit(anonymous("10.0.0.2"), response(), name);
+  await enforceRateLimit(anonymous("10.0.0.1"), response(), `route-${++route}`);
+});
+
+test("rotating X-Forwarded-For does not reset an anonymous caller's limit", async () => {
+  const name = `route-${++route}`;
+  const anonymous = (forwardedFor) => ({ headers: { "x-forwarded-for": forwardedFor }, socket: { remoteAddress: "10.0.0.7" } });
+  await enforceRateLimit(anonymous("1.1.1.1"), response(), name);
+  await enforceRateLimit(anonymous("2.2.2.2"), response(), name);
+  await assert.rejects(enforceRateLimit(anonymous("3.3.3.3"), response(), name), RateLimitError);
+});
+
+test("uses req.ip when the server provides it", async () => {
+  const name = `route-${++route}`;
+  const express = (ip) => ({ ip, headers: {}, socket: { remoteAddress: "127.0.0.1" } });
+  await enforceRateLimit(express("203.0.113.1"), response(), name);
+  await enforceRateLimit(express("203.0.113.1"), response(), name);
+  await assert.rejects(enforceRateLimit(express("203.0.113.1"), response(), name), RateLimitError);
+  await enforceRateLimit(express("203.0.113.2"), response(), name);
+});
+
+test("trusts x-real-ip only on Vercel", async () => {
+  const name = `route-${++route}`;
+  const proxied = (realIp) => ({ headers: { "x-real-ip": realIp }, socket: { remoteAddress: "10.0.0.9" } });
+  process.env.VERCEL = "1";
+  try {
+    await enforceRateLimit(proxied("198.51.100.1"), response(), name);
+    await enforceRateLimit(proxied("198.51.100.1"), response(), name);
+    await assert.rejects(enforceRateLimit(proxied("198.51.100.1"), response(), name), RateLimitError);
+    await enforceRateLimit(proxied("198.51.100.2"), response(), name);
+  } finally {
+    delete process.env.VERCEL;
+  }
+});
+
+test("keys signed-in callers on their identity, not their address", async () => {
+  const name = `route-${++route}`;
+  const user = (ip) => ({ ip, headers: {}, auth: { type: "user", id: "user-1" } });
+  await enforceRateLimit(user("203.0.113.10"), response(), name);
+  await enforceRateLimit(user("203.0.113.11"), response(), name);
+  await assert.rejects(enforceRateLimit(user("203.0.113.12"), response(), name), RateLimitError);
+});
+
+test("checks the LLM budget without using it and charges once per request", async () => {
+  const caller = () => ({ headers: {}, auth: { type: "apiKey", id: "budget-key" } });
+  const first = caller();
+  await checkLlmBudget(first, response(), "budget-route");
+  await chargeLlm(first, response(), "budget-route");
+  await chargeLlm(first, response(), "budget-route");
+
+  await assert.rejects(checkLlmBudget(caller(), response(), "budget-route"), (e) => e.code === "LLM_QUOTA_EXCEEDED" && /for budget-route used up/.test(e.message));
+  await checkLlmBudget(caller(), response(), "other-route");
+});
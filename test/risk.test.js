@@ -0,0 +1,132 @@
+// Rule-based risk scoring (lib/risk.js) with inline rule sets.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { riskFactors, scoreRisk, loadRiskRules, RiskConfigError } from "../lib/risk.js";
+import { clearConfigCache } from "../lib/config.js";
+
+const config = {
+  levels: { High: 70, Medium: 30 },
+  weights: { serviceNow: 1, salesforce: 2 },
+  rules: [
+    { id: "sn-down", metric: "serviceNow.available", op: "==", value: false, points: 100 },
+    { id: "p1", metric: "serviceNow.p1", op: ">=", value: 5, points: 40 },
+    { id: "exposure", metric: "salesforce.atRiskAmount", op: ">", value: 100000, points: 20 },
+    { id: "notes", metric: "sharePoint.available", op: "==", value: false, points: 10, minLevel: "Medium" },
+  ],
+  accounts: {
+    "001000000000001AAA": { levels: { High: 50 }, rules: { p1: { value: 2 } } },
+    "Globex": { weights: { salesforce: 0 }, rules: { notes: { disabled: true } } },
+  },
+};
+
+const factors = (overrides = {}) => ({
+  serviceNow: { available: true, p1: 0, ...overrides.serviceNow },
+  salesforce: { available: true, atRiskAmount: 0, ...overrides.salesforce },
+  sharePoint: { available: true, ...overrides.sharePoint },
+});
+
+test("flattens the source payloads into factors", () => {
+  const f = riskFactors({
+    serviceNow: {
+      ok: true,
+      data: {
+        byPriority: [{ priority: "1", count: 3 }, { priority: 2, count: "4" }],
+        totalHighPriority: 7,
+        tables: { incident: { aging: [{ fromDays: 0, count: 5 }, { fromDays: 7, count: 2 }, { fromDays: 30, count: 1 }] } },
+      },
+    },
+    salesforce: { ok: false, data: { atRiskSummary: { totalAmount: "1500", opportunityCount: 2, accountCount: 1 } } },
+    sharePointIndex: { ok: true, data: { files: 2 } },
+    // The caller's trimmed result does not count: the level is shared
+    sharePoint: { ok: false, data: { filesFound: [] } },
+  });
+  assert.deepEqual(
+    [f.serviceNow.available, f.serviceNow.p1, f.serviceNow.p2, f.serviceNow.highPriority, f.serviceNow.agedOverWeek],
+    [true, 3, 4, 7, 3]
+  );
+  assert.deepEqual(
+    [f.salesforce.available, f.salesforce.atRiskAmount, f.salesforce.atRiskDeals, f.salesforce.exposedAccounts],
+    [false, 1500, 2, 1]
+  );
+  assert.deepEqual(f.sharePoint, { available: true, files: 2 });
+  assert.equal(riskFactors({}).serviceNow.available, false);
+});
+
+test("adds weighted points of fired rules and picks the level by score", () => {
+  const quiet = scoreRisk(factors(), { config });
+  assert.deepEqual([quiet.level, quiet.score], ["Low", 0]);
+
+  const risky = scoreRisk(factors({ serviceNow: { p1: 6 }, salesforce: { atRiskAmount: 250000 } }), { config });
+  assert.deepEqual([risky.level, risky.score], ["High", 80]);
+  assert.deepEqual(risky.trace.filter((t) => t.fired).map((t) => [t.id, t.contribution]), [["p1", 40], ["exposure", 40]]);
+  assert.deepEqual(risky.trace.map((t) => t.id), ["p1", "exposure", "sn-down", "notes"]);
+});
+
+test("minLevel raises the level whatever the score", () => {
+  const result = scoreRisk(factors({ sharePoint: { available: false } }), { config });
+  assert.deepEqual([result.level, result.score], ["Medium", 10]);
+});
+
+test("applies account overrides matched by 15-character id or name", () => {
+  const byId = scoreRisk(factors({ serviceNow: { p1: 3 } }), { config, account: { id: "001000000000001", name: "Acme" } });
+  assert.deepEqual([byId.level, byId.score, byId.override], ["Medium", 40, { account: "Acme", key: "001000000000001AAA" }]);
+  assert.equal(byId.trace.find((t) => t.id === "p1").overridden, true);
+  assert.equal(scoreRisk(factors({ serviceNow: { p1: 6 }, salesforce: { atRiskAmount: 200000 } }), { config, account: { id: "001000000000001AAA" } }).level, "High");
+
+  const byName = scoreRisk(factors({ salesforce: { atRiskAmount: 250000 }, sharePoint: { available: false } }), { config, account: { name: " globex " } });
+  assert.deepEqual([byName.level, byName.score], ["Low", 0]);
+  assert.equal(byName.trace.some((t) => t.id === "notes"), false);
+});
+
+test("rejects malformed rule sets", () => {
+  const load = (rules) => {
+    process.env.TXI_RISK_RULES = JSON.stringify({ rules });
+    clearConfigCache();
+    try {
+      return loadRiskRules();
+    } finally {
+      delete process.env.TXI_RISK_RULES;
+      clearConfigCache();
+    }
+  };
+  assert.equal(load([{ id: "ok", metric: "serviceNow.p1", op: ">=", value: 1, points: 1 }]).rules.length, 1);
+  assert.throws(() => load([{ metric: "serviceNow.p1", op: ">=" }]), RiskConfigError);
+  assert.throws(() => load([{ id: "a", metric: "serviceNow.p1", op: ">=" }, { id: "a", metric: "serviceNow.p1", op: ">=" }]), /Duplicate risk rule "a"/);
+  assert.throws(() => load([{ id: "a", metric: "p1", op: ">=" }]), /metric must look like/);
+  assert.throws(() => load([{ id: "a", metric: "serviceNow.p1", op: "=~" }]), /op must be one of/);
+  assert.throws(() => load([{ id: "a", metric: "serviceNow.p1", op: ">=", minLevel: "Critical" }]), /minLevel must be/);
+});
+
+test("reads anomaly scores only from baselines that are learned", () => {
+  const anomalies = { metrics: { p1: { status: "ok", score: 3.5 }, highPriority: { status: "learning", score: null }, atRiskAmount: { status: "ok", score: -1 } } };
+  const f = riskFactors({ serviceNow: { ok: true }, salesforce: { ok: true } }, anomalies);
+  assert.deepEqual(
+    [f.serviceNow.p1Anomaly, f.serviceNow.highPriorityAnomaly, f.serviceNow.p2Anomaly, f.salesforce.atRiskAmountAnomaly],
+    [3.5, null, null, -1]
+  );
+});
+
+test("fallback rules apply only while their factor has no baseline", () => {
+  const rules = {
+    rules: [
+      { id: "p1-anomaly", metric: "serviceNow.p1Anomaly", op: ">=", value: 3, points: 100 },
+      { id: "p1-surge", metric: "serviceNow.p1", op: ">=", value: 50, points: 100, fallbackFor: "serviceNow.p1Anomaly" },
+    ],
+  };
+  const learning = scoreRisk({ serviceNow: { p1: 60, p1Anomaly: null } }, { config: rules });
+  assert.deepEqual([learning.level, learning.trace[0].id], ["High", "p1-surge"]);
+
+  const learned = scoreRisk({ serviceNow: { p1: 60, p1Anomaly: 0.5 } }, { config: rules });
+  assert.equal(learned.level, "Low");
+  assert.equal(learned.trace.find((t) => t.id === "p1-surge").skipped, "baseline");
+
+  process.env.TXI_RISK_RULES = JSON.stringify({ rules: [{ id: "a", metric: "serviceNow.p1", op: ">=", fallbackFor: "p1Anomaly" }] });
+  clearConfigCache();
+  try {
+    assert.throws(() => loadRiskRules(), /fallbackFor must look like/);
+  } finally {
+    delete process.env.TXI_RISK_RULES;
+    clearConfigCache();
+  }
+});
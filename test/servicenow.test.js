@@ -0,0 +1,149 @@
+// ServiceNow client (lib/servicenow.js) against a stubbed fetch: encoded
+// queries, paging, aggregates and retries.
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.SN_INSTANCE_URL = "https://acme.service-now.test/";
+process.env.SN_USERNAME = "svc";
+process.env.SN_PASSWORD = "secret";
+process.env.SN_MAX_RETRIES = "2";
+process.env.SN_CONFIG = JSON.stringify({});
+
+const { joinQuery, queryValue, queryTable, aggregate, listIncidents, ServiceNowError } = await import("../lib/servicenow.js");
+
+let requests = [];
+let replies = [];
+
+// Replies are served in order; each is { status, body, headers }
+globalThis.fetch = async (url, options) => {
+  requests.push({ url: new URL(url), headers: options.headers });
+  const { status = 200, body = { result: [] }, headers = {} } = replies.shift() || {};
+  return new Response(JSON.stringify(body), { status, headers });
+};
+
+beforeEach(() => {
+  requests = [];
+  replies = [];
+  delete process.env.SN_PAGE_SIZE;
+});
+
+test("joins encoded query conditions, skipping empty parts", () => {
+  assert.equal(joinQuery("active=true", "", null, ["priorityIN1,2", " "], "ORDERBYDESCopened_at"), "active=true^priorityIN1,2^ORDERBYDESCopened_at");
+  assert.equal(joinQuery(), "");
+});
+
+test("reads a table page by page with basic auth", async () => {
+  process.env.SN_PAGE_SIZE = "2";
+  replies = [
+    { body: { result: [{ n: 1 }, { n: 2 }] }, headers: { "X-Total-Count": "3" } },
+    { body: { result: [{ n: 3 }] }, headers: { "X-Total-Count": "3" } },
+  ];
+  const { records, total } = await queryTable("incident", { query: "active=true", fields: ["number", "priority"], orderBy: "-opened_at", limit: 10 });
+  assert.deepEqual(records.map((r) => r.n), [1, 2, 3]);
+  assert.equal(total, 3);
+
+  assert.equal(requests.length, 2);
+  const [first, second] = requests.map((r) => r.url);
+  assert.equal(first.origin + first.pathname, "https://acme.service-now.test/api/now/table/incident");
+  assert.equal(first.searchParams.get("sysparm_query"), "active=true^ORDERBYDESCopened_at");
+  assert.equal(first.searchParams.get("sysparm_fields"), "number,priority");
+  assert.equal(first.searchParams.get("sysparm_limit"), "2");
+  assert.equal(first.searchParams.get("sysparm_offset"), "0");
+  assert.equal(second.searchParams.get("sysparm_offset"), "2");
+  assert.equal(requests[0].headers.Authorization, `Basic ${Buffer.from("svc:secret").toString("base64")}`);
+});
+
+test("maps Aggregate API rows to groups and counts", async () => {
+  replies = [{
+    body: {
+      result: [
+        { stats: { count: "4" }, groupby_fields: [{ field: "priority", value: "1", display_value: "1 - Critical" }] },
+        { stats: { count: "7" }, groupby_fields: [{ field: "priority", value: "2" }] },
+      ],
+    },
+  }];
+  const rows = await aggregate("incident", { query: "active=true", groupBy: ["priority"] });
+  assert.deepEqual(rows, [
+    { group: { priority: { value: "1", display: "1 - Critical" } }, count: 4 },
+    { group: { priority: { value: "2", display: "2" } }, count: 7 },
+  ]);
+  const url = requests[0].url;
+  assert.equal(url.pathname, "/api/now/stats/incident");
+  assert.equal(url.searchParams.get("sysparm_group_by"), "priority");
+  assert.equal(url.searchParams.get("sysparm_count"), "true");
+});
+
+test("retries throttled requests, honouring Retry-After", async () => {
+  replies = [
+    { status: 429, body: { error: { message: "slow down" } }, headers: { "Retry-After": "0" } },
+    { body: { result: { stats: { count: "5" } } } },
+  ];
+  const [row] = await aggregate("incident");
+  assert.equal(row.count, 5);
+  assert.equal(requests.length, 2);
+});
+
+test("throws ServiceNowError with a stable code", async () => {
+  replies = [{ status: 401, body: { error: { message: "User Not Authenticated" } } }];
+  await assert.rejects(queryTable("incident"), (e) => {
+    assert.ok(e instanceof ServiceNowError);
+    assert.equal(e.code, "SN_UNAUTHORIZED");
+    assert.equal(e.status, 401);
+    assert.match(e.message, /User Not Authenticated/);
+    return true;
+  });
+
+  replies = [{ body: { unexpected: true } }];
+  await assert.rejects(queryTable("incident"), { code: "SN_BAD_RESPONSE" });
+
+  const url = process.env.SN_INSTANCE_URL;
+  delete process.env.SN_INSTANCE_URL;
+  try {
+    await assert.rejects(queryTable("incident"), { code: "SN_NOT_CONFIGURED" });
+  } finally {
+    process.env.SN_INSTANCE_URL = url;
+  }
+});
+
+test("escapes caret separators inside query values", () => {
+  assert.equal(queryValue("a^ORb\nc"), "a^^ORb c");
+});
+
+test("builds the drill-down query from the figure and filters", async () => {
+  replies = [{ body: { result: [] }, headers: { "X-Total-Count": "60" } }];
+  const result = await listIncidents({
+    figure: "high-priority",
+    filters: { priority: "2,3", group: "Network", ci: "0123456789abcdef0123456789abcdef", q: "VPN^ORactive=false", minAgeDays: "7" },
+    sort: "oldest",
+    page: 3,
+    pageSize: 25,
+  });
+  assert.equal(
+    result.query,
+    "active=true^priorityIN2^assignment_group.name=Network^cmdb_ci=0123456789abcdef0123456789abcdef^numberLIKEVPN^^ORactive=false^ORshort_descriptionLIKEVPN^^ORactive=false^opened_at<javascript:gs.daysAgoStart(7)"
+  );
+  assert.deepEqual([result.total, result.page, result.pages], [60, 3, 3]);
+
+  const url = requests[0].url;
+  assert.equal(url.pathname, "/api/now/table/incident");
+  assert.equal(url.searchParams.get("sysparm_query"), `${result.query}^ORDERBYopened_at`);
+  assert.equal(url.searchParams.get("sysparm_offset"), "50");
+  assert.equal(url.searchParams.get("sysparm_limit"), "25");
+  assert.equal(url.searchParams.get("sysparm_display_value"), "all");
+});
+
+test("matches nothing when the priorities asked for are outside the figure", async () => {
+  replies = [{ body: { result: [] } }];
+  const { query } = await listIncidents({ figure: "p1", filters: { priority: "2" } });
+  assert.equal(query, "active=true^sys_idISEMPTY");
+});
+
+test("refuses unknown figures, sorts and malformed filters", async () => {
+  const bad = { code: "SN_BAD_FILTER", status: 400 };
+  await assert.rejects(listIncidents({ figure: "all" }), bad);
+  await assert.rejects(listIncidents({ sort: "random" }), bad);
+  await assert.rejects(listIncidents({ filters: { priority: "1^ORactive=false" } }), bad);
+  await assert.rejects(listIncidents({ filters: { maxAgeDays: "-1" } }), bad);
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,140 @@
+// SOQL allowlist validation (lib/soql.js): only single, allowlisted SELECTs
+// get through, and the query that runs is rebuilt from the parse tree.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateSoql, bindSoql, quoteSoql, isSalesforceId } from "../lib/soql.js";
+
+const allowlist = {
+  defaultLimit: 50,
+  maxLimit: 200,
+  objects: {
+    Opportunity: { fields: ["Id", "Name", "StageName", "Amount", "CloseDate", "IsWon", "Account.Name"] },
+    Account: { fields: ["Id", "Name", "Industry"] },
+  },
+};
+
+const check = (soql) => validateSoql(soql, allowlist);
+
+function rejects(soql, pattern) {
+  const result = check(soql);
+  assert.equal(result.ok, false, `expected "${soql}" to be rejected`);
+  assert.match(result.error, pattern);
+}
+
+test("accepts an allowlisted query and re-serializes it with canonical names", () => {
+  const result = check("select id, amount, account.name from opportunity where StageName = 'Closed Won' and Amount > 1000 order by Amount desc nulls last;");
+  assert.equal(result.ok, true);
+  assert.equal(result.soql, "SELECT Id, Amount, Account.Name FROM Opportunity WHERE StageName = 'Closed Won' AND Amount > 1000 ORDER BY Amount DESC NULLS LAST LIMIT 50");
+  assert.equal(result.object, "Opportunity");
+  assert.deepEqual(result.fields, ["Id", "Amount", "Account.Name", "StageName"]);
+  assert.equal(result.aggregate, false);
+});
+
+test("always sets a LIMIT and caps it at maxLimit", () => {
+  assert.equal(check("SELECT Id FROM Account").limit, 50);
+  const capped = check("SELECT Id FROM Account LIMIT 5000");
+  assert.equal(capped.limit, 200);
+  assert.match(capped.soql, /LIMIT 200$/);
+  assert.deepEqual(capped.notes, ["LIMIT lowered from 5000 to 200"]);
+});
+
+test("describes aggregate columns by alias or exprN", () => {
+  const result = check("SELECT StageName, SUM(Amount) total, COUNT(Id) FROM Opportunity GROUP BY StageName HAVING SUM(Amount) > 0");
+  assert.equal(result.ok, true);
+  assert.equal(result.grouped, true);
+  assert.equal(result.aggregate, true);
+  assert.deepEqual(result.columns.map((c) => c.key), ["StageName", "total", "expr0"]);
+});
+
+test("keeps date literals and bounded OR / NOT conditions", () => {
+  const result = check("SELECT Id FROM Opportunity WHERE (CloseDate = LAST_N_DAYS:30 OR CloseDate = THIS_QUARTER) AND NOT IsWon = true AND StageName NOT IN ('A', 'B')");
+  assert.equal(result.ok, true);
+  assert.equal(result.soql, "SELECT Id FROM Opportunity WHERE (CloseDate = LAST_N_DAYS:30 OR CloseDate = THIS_QUARTER) AND NOT (IsWon = TRUE) AND StageName NOT IN ('A', 'B') LIMIT 50");
+});
+
+test("rejects objects and fields outside the allowlist", () => {
+  rejects("SELECT Id FROM User", /Object "User" is not allowed/);
+  rejects("SELECT Id, Password__c FROM Account", /Field "Password__c" is not allowed on Account/);
+  rejects("SELECT Id FROM Account WHERE Owner.Email = 'x'", /Field "Owner.Email" is not allowed/);
+  rejects("SELECT Id FROM Account ORDER BY AnnualRevenue", /Field "AnnualRevenue" is not allowed/);
+});
+
+test("rejects anything but a single plain SELECT", () => {
+  rejects("DELETE FROM Account", /Expected SELECT/);
+  rejects("SELECT Id FROM Account; SELECT Id FROM Opportunity", /Unexpected character ";"/);
+  rejects("SELECT Id, (SELECT Id FROM Opportunities) FROM Account", /Subqueries are not allowed|Object "Opportunities" is not allowed/);
+  rejects("SELECT Id FROM Opportunity WHERE AccountId IN (SELECT Id FROM Account)", /Field "AccountId" is not allowed|Subqueries are not allowed/);
+  rejects("SELECT Id FROM Opportunity WHERE Id IN (SELECT Id FROM Account)", /Subqueries are not allowed/);
+  rejects("SELECT Id FROM Account FOR UPDATE", /FOR VIEW \/ FOR UPDATE are not allowed/);
+  rejects("SELECT Id FROM Account WITH SECURITY_ENFORCED", /WITH clauses are not allowed/);
+  rejects("SELECT Id FROM Account USING SCOPE mine", /USING SCOPE is not allowed/);
+  rejects("SELECT TYPEOF What WHEN Account THEN Name END FROM Account", /TYPEOF is not allowed/);
+  rejects("SELECT Id FROM Account LIMIT 10 OFFSET 5000", /OFFSET cannot exceed 2000/);
+  rejects("", /Empty query/);
+});
+
+test("rejects unknown functions and injected string content", () => {
+  rejects("SELECT FORMAT(Amount) FROM Opportunity", /Function "FORMAT" is not allowed/);
+  rejects("SELECT Id FROM Account WHERE SUM(Id) > 1", /Aggregate SUM\(\) is not allowed here/);
+  rejects("SELECT Id FROM Account WHERE Name = 'x' OR Name = 'unterminated", /Unterminated string literal/);
+  rejects("SELECT Id FROM Account WHERE Name = 'a\\zb'", /Invalid escape/);
+  rejects("SELECT Id FROM Account WHERE Name = Industry", /Unsupported value "Industry"/);
+
+  // Quotes stay inside the literal they were escaped in
+  const escaped = check("SELECT Id FROM Account WHERE Name = 'O\\'Brien\\' OR Name != \\''");
+  assert.equal(escaped.ok, true);
+  assert.equal(escaped.soql, "SELECT Id FROM Account WHERE Name = 'O\\'Brien\\' OR Name != \\'' LIMIT 50");
+});
+
+test("limits GROUP BY and date functions to the fields the allowlist names", () => {
+  const grouped = {
+    ...allowlist,
+    objects: { Opportunity: { ...allowlist.objects.Opportunity, groupable: ["StageName"], dateFields: ["CloseDate"] } },
+  };
+  const result = validateSoql("SELECT CALENDAR_YEAR(CloseDate) yr, CALENDAR_MONTH(CloseDate) mo, StageName, SUM(Amount) total FROM Opportunity GROUP BY CALENDAR_YEAR(CloseDate), CALENDAR_MONTH(CloseDate), StageName", grouped);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.columns.map((c) => c.key), ["yr", "mo", "StageName", "total"]);
+
+  const refused = (soql, pattern) => {
+    const r = validateSoql(soql, grouped);
+    assert.equal(r.ok, false);
+    assert.match(r.error, pattern);
+  };
+  refused("SELECT Name, COUNT(Id) n FROM Opportunity GROUP BY Name", /Field "Name" cannot be grouped/);
+  refused("SELECT CALENDAR_MONTH(Amount) m FROM Opportunity GROUP BY CALENDAR_MONTH(Amount)", /CALENDAR_MONTH\(\) needs a date field, got "Amount"/);
+  refused("SELECT StageName, COUNT(Id) n FROM Opportunity GROUP BY ROLLUP(StageName)", /ROLLUP and CUBE are not allowed/);
+});
+
+test("binds values as escaped literals", () => {
+  const soql = bindSoql("SELECT Id FROM Account WHERE Id IN :ids AND Name = :name AND IsDeleted = :deleted AND CreatedDate > :since AND CloseDate = LAST_N_DAYS:30 LIMIT :limit", {
+    ids: ["001000000000001", "001000000000002AAA"],
+    name: "O'Brien \\ Sons\n' OR Name != '",
+    deleted: false,
+    since: new Date("2024-07-01T00:00:00Z"),
+    limit: 10,
+  });
+  assert.equal(
+    soql,
+    "SELECT Id FROM Account WHERE Id IN ('001000000000001', '001000000000002AAA') AND Name = 'O\\'Brien \\\\ Sons\\n\\' OR Name != \\'' AND IsDeleted = FALSE AND CreatedDate > 2024-07-01T00:00:00.000Z AND CloseDate = LAST_N_DAYS:30 LIMIT 10"
+  );
+  // A hostile value stays one string literal
+  const bound = check(bindSoql("SELECT Id FROM Account WHERE Name = :name", { name: "x' OR Name != 'y" }));
+  assert.equal(bound.ok, true);
+  assert.equal(bound.soql, "SELECT Id FROM Account WHERE Name = 'x\\' OR Name != \\'y' LIMIT 50");
+});
+
+test("refuses missing, empty or unsupported bind values", () => {
+  assert.throws(() => bindSoql("SELECT Id FROM Account WHERE Id = :id", {}), /Missing bind variable :id/);
+  assert.throws(() => bindSoql("SELECT Id FROM Account WHERE Id IN :ids", { ids: [] }), /empty list/);
+  assert.throws(() => bindSoql("SELECT Id FROM Account LIMIT :n", { n: Infinity }), /not a finite number/);
+  assert.throws(() => bindSoql("SELECT Id FROM Account WHERE Name = :name", { name: { toString: () => "x" } }), /unsupported type object/);
+});
+
+test("recognises 15- and 18-character Salesforce ids only", () => {
+  assert.equal(isSalesforceId("001000000000001"), true);
+  assert.equal(isSalesforceId("001000000000001AAA"), true);
+  assert.equal(isSalesforceId("0010000000000012"), false);
+  assert.equal(isSalesforceId("001000000000001' OR Id != '"), false);
+  assert.equal(quoteSoql("a'b"), "'a\\'b'");
+});
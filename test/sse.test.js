@@ -0,0 +1,70 @@
+// Streaming answers over Server-Sent Events (lib/sse.js).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { streamAnswer } from "../lib/sse.js";
+
+// Records the events written to the response
+function response() {
+  const events = [];
+  return {
+    events,
+    ended: false,
+    write(chunk) {
+      const [, event, data] = chunk.match(/^event: (\w+)\ndata: (.*)\n\n$/s);
+      events.push([event, JSON.parse(data)]);
+    },
+    end() {
+      this.ended = true;
+    },
+  };
+}
+
+async function* chunks(...parts) {
+  for (const part of parts) yield part;
+}
+
+test("streams the model's tokens as they arrive", async () => {
+  const res = response();
+  const answer = await streamAnswer(res, chunks("Hello", " world "), { meta: { usedFiles: [] } });
+  assert.equal(answer, "Hello world");
+  assert.deepEqual(res.events, [
+    ["token", { text: "Hello" }],
+    ["token", { text: " world " }],
+    ["meta", { usedFiles: [] }],
+    ["done", { answer: "Hello world" }],
+  ]);
+  assert.equal(res.ended, true);
+});
+
+test("sends only the post-processed answer when the route checks it", async () => {
+  const res = response();
+  const finalize = (raw) => ({ answer: raw.replace(/ \(unverified\)/, ""), meta: { removed: 1 } });
+  const answer = await streamAnswer(res, chunks("Checked claim", " (unverified)"), { meta: { usedFiles: [] }, finalize });
+  assert.equal(answer, "Checked claim");
+  assert.deepEqual(res.events, [
+    ["token", { text: "Checked claim" }],
+    ["meta", { usedFiles: [], removed: 1 }],
+    ["done", { answer: "Checked claim" }],
+  ]);
+  assert.ok(res.events.every(([, data]) => !JSON.stringify(data).includes("unverified")));
+});
+
+test("sends the fallback unchecked when the model returns nothing", async () => {
+  const res = response();
+  const finalize = () => assert.fail("the fallback is not post-processed");
+  const answer = await streamAnswer(res, chunks("  "), { fallback: "No summary.", finalize });
+  assert.equal(answer, "No summary.");
+  assert.deepEqual(res.events.map(([event]) => event), ["token", "meta", "done"]);
+});
+
+test("reports a failure mid-stream without leaking buffered text", async () => {
+  const res = response();
+  async function* failing() {
+    yield "Partial claim";
+    throw new Error("model went away");
+  }
+  await assert.rejects(streamAnswer(res, failing(), { finalize: (raw) => ({ answer: raw }) }), /model went away/);
+  assert.deepEqual(res.events, [["error", { error: "Streaming answer failed.", details: "model went away" }]]);
+  assert.equal(res.ended, true);
+});
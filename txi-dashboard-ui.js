@@ -4,10 +4,14 @@
 
   const qEl = $("q");
   const askBtn = $("askBtn");
+  const refreshBtn = $("refreshBtn");
   const exampleBtn = $("exampleBtn");
   const toggleDebugBtn = $("toggleDebugBtn");
+  const accountsInput = $("accountsInput");
+  const portfolioSelect = $("portfolioSelect");
 
   const answerEl = $("answer");
+  const drillDownEl = $("drillDown");
   const debugBox = $("debugBox");
 
   const sfDot = $("sfDot"), snDot = $("snDot"), spDot = $("spDot");
@@ -28,6 +32,14 @@
     return "warn";
   }
 
+  // " (cached 3m)" when the source was served from the server cache
+  function cacheNote(srcObj) {
+    const c = srcObj?.cache;
+    if (!c?.hit) return "";
+    const age = c.ageSeconds >= 60 ? `${Math.round(c.ageSeconds / 60)}m` : `${c.ageSeconds}s`;
+    return ` (cached ${age}${c.stale ? ", refreshing" : ""})`;
+  }
+
   function toExecFormat(combinedAnswer, sources) {
     let text = (combinedAnswer || "").trim();
 
@@ -46,11 +58,213 @@
     return text;
   }
 
-  async function ask() {
+  // API credentials (see lib/auth.js): an access token or API key saved in
+  // localStorage under "apiAuth"
+  function authHeaders() {
+    const value = localStorage.getItem("apiAuth") || "";
+    if (!value) return {};
+    return value.split(".").length === 3 ? { Authorization: `Bearer ${value}` } : { "X-API-Key": value };
+  }
+
+  // ---- Incident drill-down (/api/txi-incidents) ----
+  const SECTION_TITLES = { 1: "What’s happening" };
+
+  function cell(row, text, tag = "td") {
+    const el = document.createElement(tag);
+    el.textContent = text == null || text === "" ? "—" : String(text);
+    row.appendChild(el);
+    return el;
+  }
+
+  function incidentRow(inc) {
+    const tr = document.createElement("tr");
+    const num = cell(tr, inc.number);
+    if (inc.url) {
+      const link = document.createElement("a");
+      link.href = inc.url;
+      link.target = "_blank";
+      link.rel = "noopener";
+      link.textContent = inc.number;
+      num.replaceChildren(link);
+    }
+    cell(tr, inc.shortDescription);
+    cell(tr, inc.priorityLabel || inc.priority);
+    cell(tr, inc.ageDays == null ? "" : `${inc.ageDays}d`);
+    cell(tr, inc.assignmentGroup);
+    cell(tr, inc.customer);
+    return tr;
+  }
+
+  // One expandable list per figure; loads on first open, then page by page
+  function drillSection(fig) {
+    const details = document.createElement("details");
+    details.className = "drill";
+    const summary = document.createElement("summary");
+    summary.textContent = `${SECTION_TITLES[fig.section] || `Section ${fig.section}`} — ${fig.label} (${fig.count})`;
+    details.appendChild(summary);
+
+    const body = document.createElement("div");
+    body.className = "drillBody";
+    details.appendChild(body);
+
+    const filter = document.createElement("div");
+    filter.className = "drillFilter";
+    const input = document.createElement("input");
+    input.placeholder = "Filter by incident number or description…";
+    const apply = document.createElement("button");
+    apply.className = "secondary";
+    apply.textContent = "Filter";
+    filter.append(input, apply);
+
+    const status = document.createElement("div");
+    status.className = "hint";
+    const table = document.createElement("table");
+    table.className = "drillTable";
+    const head = document.createElement("tr");
+    ["Number", "Description", "Priority", "Age", "Assignment group", "Customer"].forEach((h) => cell(head, h, "th"));
+    const thead = document.createElement("thead");
+    thead.appendChild(head);
+    const tbody = document.createElement("tbody");
+    table.append(thead, tbody);
+    const more = document.createElement("button");
+    more.className = "secondary drillMore";
+    more.textContent = "Load more";
+    more.style.display = "none";
+    body.append(filter, status, table, more);
+
+    let page = 0;
+    let loaded = false;
+
+    async function load(reset) {
+      if (reset) {
+        page = 0;
+        tbody.textContent = "";
+      }
+      const params = new URLSearchParams({ figure: fig.figure, page: String(page + 1), pageSize: "25" });
+      const text = input.value.trim();
+      if (text) params.set("q", text);
+
+      more.disabled = true;
+      status.textContent = "Loading…";
+      try {
+        const r = await fetch(`/api/txi-incidents?${params}`, { headers: authHeaders() });
+        const json = await r.json().catch(() => null);
+        if (!r.ok || !json) {
+          status.textContent = `Could not load incidents: ${json?.error || r.status}`;
+          return;
+        }
+        page = json.page;
+        json.incidents.forEach((inc) => tbody.appendChild(incidentRow(inc)));
+        status.textContent = `${tbody.children.length} of ${json.total} shown`;
+        more.style.display = json.page < json.pages ? "" : "none";
+      } catch (e) {
+        status.textContent = `Could not load incidents: ${e?.message || e}`;
+      } finally {
+        more.disabled = false;
+      }
+    }
+
+    details.addEventListener("toggle", () => {
+      if (details.open && !loaded) {
+        loaded = true;
+        load(true);
+      }
+    });
+    apply.addEventListener("click", () => load(true));
+    input.addEventListener("keydown", (e) => { if (e.key === "Enter") load(true); });
+    more.addEventListener("click", () => load(false));
+    return details;
+  }
+
+  // "Why Risk: High" — the scoring rules behind the brief's risk level
+  function riskSection(risk, anomalies) {
+    const details = document.createElement("details");
+    details.className = "drill";
+    const summary = document.createElement("summary");
+    summary.textContent = `Risk level — why ${risk.level} (score ${risk.score}; High ≥ ${risk.levels.High}, Medium ≥ ${risk.levels.Medium})`;
+    details.appendChild(summary);
+
+    const body = document.createElement("div");
+    body.className = "drillBody";
+    if (risk.override) {
+      const note = document.createElement("div");
+      note.className = "hint";
+      note.textContent = `Account-specific rules applied for ${risk.override.account}.`;
+      body.appendChild(note);
+    }
+    if (anomalies) {
+      const note = document.createElement("div");
+      note.className = "hint";
+      note.textContent = anomalies.flags.length
+        ? `Unusual for a ${anomalies.weekday}: ` + anomalies.flags.map((f) => `${f.label} ${f.value} vs typical ${Math.round(f.baseline.median)} (${f.severity}, ${f.score > 0 ? "+" : ""}${f.score})`).join("; ")
+        : Object.values(anomalies.metrics).some((m) => m.status === "ok")
+          ? "Incident and pipeline figures are within their normal range."
+          : "Baselines are still learning; fixed thresholds apply.";
+      body.appendChild(note);
+    }
+
+    const table = document.createElement("table");
+    table.className = "drillTable";
+    const head = document.createElement("tr");
+    ["Rule", "Condition", "Actual", "Fired", "Points"].forEach((h) => cell(head, h, "th"));
+    const thead = document.createElement("thead");
+    thead.appendChild(head);
+    const tbody = document.createElement("tbody");
+    (risk.trace || []).forEach((t) => {
+      const tr = document.createElement("tr");
+      cell(tr, t.description);
+      cell(tr, `${t.metric} ${t.op} ${t.value}`);
+      cell(tr, t.actual);
+      cell(tr, t.fired ? "yes" : t.skipped ? "skipped (baseline learned)" : "no");
+      cell(tr, t.fired ? `${t.contribution}${t.minLevel ? ` (at least ${t.minLevel})` : ""}` : "0");
+      tbody.appendChild(tr);
+    });
+    table.append(thead, tbody);
+    body.appendChild(table);
+    details.appendChild(body);
+    return details;
+  }
+
+  function renderDrillDown(figures, risk, anomalies) {
+    drillDownEl.textContent = "";
+    if (risk) drillDownEl.appendChild(riskSection(risk, anomalies));
+    (figures || []).forEach((fig) => drillDownEl.appendChild(drillSection(fig)));
+  }
+
+  // Saved portfolios for the selector; the dashboard still works without them
+  async function loadPortfolios() {
+    try {
+      const r = await fetch("/api/txi-dashboard", { headers: authHeaders() });
+      const json = await r.json();
+      (json.portfolios || []).forEach((p) => {
+        const opt = document.createElement("option");
+        opt.value = p.id;
+        opt.textContent = p.name;
+        if (p.description) opt.title = p.description;
+        portfolioSelect.appendChild(opt);
+      });
+    } catch (e) {
+      console.warn("Could not load portfolios:", e);
+    }
+  }
+
+  function accountSelection() {
+    const accounts = (accountsInput.value || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const selection = {};
+    if (accounts.length) selection.accounts = accounts;
+    if (portfolioSelect.value) selection.portfolio = portfolioSelect.value;
+    return selection;
+  }
+
+  async function ask({ forceRefresh = false } = {}) {
     const question = (qEl.value || "").trim();
     if (!question) return;
 
     askBtn.disabled = true;
+    refreshBtn.disabled = true;
     answerEl.classList.add("muted");
     answerEl.textContent = "Working on it…";
 
@@ -63,12 +277,13 @@
     // Reset chips while loading
     setDot(sfDot, "warn"); setDot(snDot, "warn"); setDot(spDot, "warn");
     sfTxt.textContent = "—"; snTxt.textContent = "—"; spTxt.textContent = "—";
+    renderDrillDown([]);
 
     try {
       const r = await fetch("/api/txi-dashboard", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ question })
+        headers: { "Content-Type": "application/json", ...authHeaders() },
+        body: JSON.stringify({ question, ...accountSelection(), ...(forceRefresh ? { forceRefresh: true } : {}) })
       });
 
       const rawText = await r.text();
@@ -89,14 +304,15 @@
 
       setDot(sfDot, sfS); setDot(snDot, snS); setDot(spDot, spS);
 
-      sfTxt.textContent = sfS === "OK" ? "• OK" : sfS === "error" ? "• error" : "• warn";
-      snTxt.textContent = snS === "OK" ? "• OK" : snS === "error" ? "• error" : "• warn";
-      spTxt.textContent = spS === "OK" ? "• OK" : spS === "error" ? "• error" : "• warn";
+      sfTxt.textContent = (sfS === "OK" ? "• OK" : sfS === "error" ? "• error" : "• warn") + cacheNote(sources.salesforce);
+      snTxt.textContent = (snS === "OK" ? "• OK" : snS === "error" ? "• error" : "• warn") + cacheNote(sources.serviceNow);
+      spTxt.textContent = (spS === "OK" ? "• OK" : spS === "error" ? "• error" : "• warn") + cacheNote(sources.sharePoint);
 
       const combined = toExecFormat(json.combinedAnswer, sources);
 
       answerEl.classList.remove("muted");
       answerEl.textContent = combined;
+      renderDrillDown(json.drillDown, json.risk, json.anomalies);
 
       // PROOF: not truncating
       console.log("combinedAnswer length:", combined.length);
@@ -106,11 +322,14 @@
       const debugPayload = {
         httpStatus: r.status,
         generatedAt: json.generatedAt,
-        gemini: json.gemini,
+        llm: json.llm,
+        risk: json.risk ? { level: json.risk.level, score: json.risk.score, fired: json.risk.trace.filter((t) => t.fired).map((t) => t.id) } : null,
+        anomalies: json.anomalies ? json.anomalies.flags.map((f) => `${f.metric}: ${f.severity} ${f.direction} (${f.score})`) : null,
+        accounts: sources.salesforce?.data?.selection || null,
         sources: {
-          salesforce: sources.salesforce?.ok ? { ok: true } : { ok: false, error: sources.salesforce?.error || "unknown" },
-          serviceNow: sources.serviceNow?.ok ? { ok: true } : { ok: false, error: sources.serviceNow?.error || "unknown" },
-          sharePoint: sources.sharePoint?.ok ? { ok: true } : { ok: false, error: sources.sharePoint?.error || "unknown" }
+          salesforce: sources.salesforce?.ok ? { ok: true, cache: sources.salesforce.cache } : { ok: false, error: sources.salesforce?.error || "unknown" },
+          serviceNow: sources.serviceNow?.ok ? { ok: true, cache: sources.serviceNow.cache } : { ok: false, error: sources.serviceNow?.error || "unknown" },
+          sharePoint: sources.sharePoint?.ok ? { ok: true, cache: sources.sharePoint.cache } : { ok: false, error: sources.sharePoint?.error || "unknown" }
         }
       };
       debugBox.textContent = JSON.stringify(debugPayload, null, 2);
@@ -121,10 +340,13 @@
       debugBox.textContent = String(e?.stack || e);
     } finally {
       askBtn.disabled = false;
+      refreshBtn.disabled = false;
     }
   }
 
-  askBtn.addEventListener("click", ask);
+  askBtn.addEventListener("click", () => ask());
+  refreshBtn.addEventListener("click", () => ask({ forceRefresh: true }));
+  loadPortfolios();
 
   exampleBtn.addEventListener("click", () => {
     qEl.value = "What are the top 3 operational issues I should care about today, and what’s the business impact?";